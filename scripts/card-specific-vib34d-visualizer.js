@@ -33,17 +33,20 @@ class WebGLContextManager {
     if (gl) {
       this.contexts.set(canvas, gl);
       this.contextUsage.set(canvas, Date.now());
-      
-      // Set up common WebGL state for performance
-      gl.disable(gl.DEPTH_TEST);
-      gl.disable(gl.CULL_FACE);
-      gl.enable(gl.BLEND);
-      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+      this.configure(gl);
     }
     
     return gl;
   }
   
+  // Common WebGL state for performance (again after a context restore)
+  static configure(gl) {
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.CULL_FACE);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  }
+  
   static cleanupOldestContexts(count = 1) {
     // Sort contexts by usage time and remove oldest
     const sortedContexts = Array.from(this.contextUsage.entries())
@@ -77,21 +80,291 @@ class WebGLContextManager {
   }
 }
 
+/*
+ * Shared card renderer: one page-wide WebGL canvas that draws every card
+ * visualizer into its card's on-screen rectangle (viewport + scissor), so the
+ * number of cards is not bounded by the browser's WebGL context limit.
+ * Programs are compiled once per role.
+ *
+ * Opt-in (CardVisualizerManager mode 'shared'); it only approximates the
+ * per-card canvases:
+ * - The canvas is a fixed overlay on <body> at one z-index (options.zIndex,
+ *   default 1). It ignores the cards' stacking contexts - page content meant
+ *   to cover a card does not - and is not clipped by overflow: hidden or
+ *   scrolling ancestors.
+ * - GL blending mixes cards with each other, never with the page behind the
+ *   canvas. Opacity, brightness, offset and scale follow applyRoleStyles;
+ *   the shadow's multiply and the accent's color-dodge are drawn as normal
+ *   and additive blends, and the blur() filters are dropped.
+ */
+class SharedCardRenderer {
+  // Approximations of CardVisualizerManager.applyRoleStyles (see above); offsets in CSS pixels
+  static ROLE_STYLES = {
+    'background': { opacity: 1.0, brightness: 1.0, blend: 'normal', offset: [0, 0], scale: 1 },
+    'shadow': { opacity: 0.6, brightness: 0.7, blend: 'normal', offset: [4, 4], scale: 1 },
+    'content': { opacity: 0.8, brightness: 1.0, blend: 'normal', offset: [0, 0], scale: 1 },
+    'highlight': { opacity: 0.4, brightness: 1.5, blend: 'screen', offset: [-2, -2], scale: 1 },
+    'accent': { opacity: 0.3, brightness: 1.0, blend: 'add', offset: [0, 0], scale: 1.02 }
+  };
+  
+  // Drawing order (the z-index order of the per-card canvases)
+  static ROLE_ORDER = ['background', 'shadow', 'content', 'highlight', 'accent'];
+  
+  constructor(options = {}) {
+    this.visualizers = new Set();
+    this.programs = new Map();
+    this.frame = null;
+    this.pixelRatio = options.pixelRatio || window.devicePixelRatio || 1;
+    
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'shared-card-visualizer';
+    Object.assign(this.canvas.style, {
+      position: 'fixed',
+      top: '0', left: '0',
+      width: '100%', height: '100%',
+      pointerEvents: 'none',
+      zIndex: String(options.zIndex ?? 1)
+    });
+    document.body.appendChild(this.canvas);
+    
+    this.gl = this.canvas.getContext('webgl', {
+      antialias: false,
+      alpha: true,
+      premultipliedAlpha: false,
+      preserveDrawingBuffer: false,
+      powerPreference: 'high-performance'
+    });
+    if (!this.gl) {
+      console.error('Shared card renderer: WebGL context creation failed');
+      this.canvas.remove();
+      return;
+    }
+    
+    this.setupContext();
+    
+    // One outage pauses every card; each card shows its own static fallback
+    this.recovery = window.WebGLContextRecovery ? new WebGLContextRecovery(this.canvas, {
+      gl: this.gl,
+      onLost: () => {
+        this.programs.clear();
+        this.vertexBuffer = null;
+      },
+      onRestored: () => this.setupContext(),
+      fallbacks: () => Array.from(this.visualizers).map(visualizer => ({
+        element: visualizer.cardElement,
+        hue: visualizer.getHue()
+      }))
+    }) : null;
+    
+    this.handleResize = () => this.resize();
+    window.addEventListener('resize', this.handleResize);
+    this.resize();
+    
+    console.log('🖼️ Shared card renderer ready');
+  }
+  
+  // State and quad buffer; programs are compiled on first use per role
+  setupContext() {
+    const gl = this.gl;
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.CULL_FACE);
+    gl.enable(gl.BLEND);
+    
+    this.vertexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+  }
+  
+  // Program, uniform locations and position attribute for a role (compiled once)
+  getProgram(role) {
+    const style = SharedCardRenderer.ROLE_STYLES[role] ? role : 'content';
+    if (this.programs.has(style)) return this.programs.get(style);
+    
+    const gl = this.gl;
+    const { opacity, brightness } = SharedCardRenderer.ROLE_STYLES[style];
+    const { vertex, fragment } = CardSpecificVIB34DVisualizer.getShaderSources();
+    const defines = `#define CARD_OPACITY ${opacity.toFixed(3)}\n#define CARD_BRIGHTNESS ${brightness.toFixed(3)}\n`;
+    const program = this.createProgram(vertex, defines + fragment);
+    
+    const entry = { program, uniforms: {}, position: program ? gl.getAttribLocation(program, 'a_position') : -1 };
+    if (program) {
+      Object.entries(CardSpecificVIB34DVisualizer.UNIFORMS).forEach(([key, name]) => {
+        entry.uniforms[key] = gl.getUniformLocation(program, name);
+      });
+    }
+    this.programs.set(style, entry);
+    return entry;
+  }
+  
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        console.error('Shader compile error:', gl.getShaderInfoLog(shader));
+        gl.deleteShader(shader);
+        return null;
+      }
+      return shader;
+    };
+    
+    const vertexShader = compile(gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = compile(gl.FRAGMENT_SHADER, fragmentSource);
+    if (!vertexShader || !fragmentShader) return null;
+    
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      console.error('Program link error:', gl.getProgramInfoLog(program));
+      return null;
+    }
+    return program;
+  }
+  
+  add(visualizer) {
+    this.visualizers.add(visualizer);
+    if (!this.frame) {
+      const renderFrame = () => {
+        this.render();
+        this.frame = this.visualizers.size > 0 ? requestAnimationFrame(renderFrame) : null;
+      };
+      this.frame = requestAnimationFrame(renderFrame);
+    }
+  }
+  
+  remove(visualizer) {
+    this.visualizers.delete(visualizer);
+  }
+  
+  resize() {
+    this.canvas.width = Math.round(window.innerWidth * this.pixelRatio);
+    this.canvas.height = Math.round(window.innerHeight * this.pixelRatio);
+  }
+  
+  setBlend(mode) {
+    const gl = this.gl;
+    if (mode === 'screen') {
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_COLOR);
+    } else if (mode === 'add') {
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+    } else {
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    }
+  }
+  
+  render() {
+    if (this.recovery && this.recovery.isLost) return;
+    
+    const gl = this.gl;
+    const { width, height } = this.canvas;
+    const ratio = this.pixelRatio;
+    
+    gl.disable(gl.SCISSOR_TEST);
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    
+    const order = SharedCardRenderer.ROLE_ORDER;
+    const visualizers = Array.from(this.visualizers)
+      .filter(visualizer => visualizer.active)
+      .sort((a, b) => order.indexOf(a.role) - order.indexOf(b.role));
+    
+    visualizers.forEach(visualizer => {
+      const rect = visualizer.cardElement.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return;
+      
+      // Card rectangle in GL pixels (origin bottom-left), moved and scaled like the role's CSS
+      const style = SharedCardRenderer.ROLE_STYLES[visualizer.role] || SharedCardRenderer.ROLE_STYLES.content;
+      const w = rect.width * style.scale * ratio;
+      const h = rect.height * style.scale * ratio;
+      const x = (rect.left + style.offset[0] - (rect.width * (style.scale - 1)) / 2) * ratio;
+      const y = height - (rect.bottom + style.offset[1] + (rect.height * (style.scale - 1)) / 2) * ratio;
+      
+      const left = Math.max(Math.floor(x), 0);
+      const bottom = Math.max(Math.floor(y), 0);
+      const right = Math.min(Math.ceil(x + w), width);
+      const top = Math.min(Math.ceil(y + h), height);
+      if (right <= left || top <= bottom) return; // Off screen
+      
+      const entry = this.getProgram(visualizer.role);
+      if (!entry.program) return;
+      
+      gl.useProgram(entry.program);
+      gl.enableVertexAttribArray(entry.position);
+      gl.vertexAttribPointer(entry.position, 2, gl.FLOAT, false, 0, 0);
+      this.setBlend(style.blend);
+      gl.viewport(Math.round(x), Math.round(y), Math.round(w), Math.round(h));
+      gl.scissor(left, bottom, right - left, top - bottom);
+      
+      visualizer.drawFrame(gl, entry.uniforms, Math.round(w), Math.round(h));
+    });
+  }
+  
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.visualizers.clear();
+    if (this.recovery) this.recovery.destroy();
+    window.removeEventListener('resize', this.handleResize);
+    this.canvas.remove();
+  }
+}
+
 class CardSpecificVIB34DVisualizer {
-  constructor(canvasId, role = 'content', cardElement) {
+  // Uniform locations looked up for the card program (key -> GLSL name)
+  static UNIFORMS = {
+    resolution: 'u_resolution',
+    time: 'u_time',
+    mouse: 'u_mouse',
+    geometry: 'u_geometry',
+    density: 'u_density',
+    speed: 'u_speed',
+    color: 'u_color',
+    intensity: 'u_intensity',
+    instanceDensity: 'u_instanceDensity',
+    instanceSpeed: 'u_instanceSpeed',
+    colorShift: 'u_colorShift',
+    cardSeed: 'u_cardSeed',
+    densityVariation: 'u_densityVariation',
+    rot4dXW: 'u_rot4dXW',
+    rot4dYW: 'u_rot4dYW',
+    rot4dZW: 'u_rot4dZW',
+    mouseIntensity: 'u_mouseIntensity',
+    clickIntensity: 'u_clickIntensity'
+  };
+
+  // options.sharedRenderer: draw through a SharedCardRenderer instead of an own canvas
+  constructor(canvasId, role = 'content', cardElement, options = {}) {
     this.canvasId = canvasId;
-    this.canvas = document.getElementById(canvasId);
     this.cardElement = cardElement;
     this.role = role;
     this.active = true;
     this.startTime = Date.now();
+    this.sharedRenderer = options.sharedRenderer || null;
     
-    if (!this.canvas || !this.canvas.getContext) {
-      console.error(`Canvas ${canvasId} not found or WebGL not supported`);
-      return;
+    if (this.sharedRenderer) {
+      this.canvas = null;
+      if (!this.cardElement) {
+        console.error(`Shared card visualizer ${canvasId} needs a card element`);
+        return;
+      }
+      this.gl = this.sharedRenderer.gl;
+    } else {
+      this.canvas = document.getElementById(canvasId);
+      if (!this.canvas || !this.canvas.getContext) {
+        console.error(`Canvas ${canvasId} not found or WebGL not supported`);
+        return;
+      }
+      this.gl = WebGLContextManager.getContext(this.canvas);
     }
     
-    this.gl = WebGLContextManager.getContext(this.canvas);
     if (!this.gl) {
       console.error(`WebGL context creation failed for ${canvasId}`);
       return;
@@ -117,9 +390,21 @@ class CardSpecificVIB34DVisualizer {
     this.targetGeometry = this.currentGeometry;
     this.geometryTransition = 0;
     
-    this.initShaders();
-    this.initBuffers();
-    this.resize();
+    if (this.sharedRenderer) {
+      // Drawn into the card's rectangle by the shared renderer's frame loop
+      this.sharedRenderer.add(this);
+    } else {
+      this.initShaders();
+      this.initBuffers();
+      this.resize();
+      
+      this.recovery = window.WebGLContextRecovery ? new WebGLContextRecovery(this.canvas, {
+        gl: this.gl,
+        onLost: () => this.handleContextLoss(),
+        onRestored: () => this.handleContextRestore(),
+        fallbacks: () => [{ element: this.canvas, hue: this.getHue() }]
+      }) : null;
+    }
     this.setupCardAnimations();
     this.startRenderLoop();
     
@@ -196,7 +481,9 @@ class CardSpecificVIB34DVisualizer {
     return profiles[role] || profiles['content'];
   }
   
-  initShaders() {
+  // Shader sources shared by every card. The fragment output honours
+  // CARD_BRIGHTNESS and CARD_OPACITY defines (1.0 unless defined before it).
+  static getShaderSources() {
     const vertexShaderSource = `
       precision highp float;
       
@@ -233,6 +520,13 @@ class CardSpecificVIB34DVisualizer {
       
       varying vec2 v_uv;
       
+      #ifndef CARD_BRIGHTNESS
+      #define CARD_BRIGHTNESS 1.0
+      #endif
+      #ifndef CARD_OPACITY
+      #define CARD_OPACITY 1.0
+      #endif
+      
       // 4D rotation matrices
       mat4 rotateXW(float theta) {
         float c = cos(theta), s = sin(theta);
@@ -413,34 +707,23 @@ class CardSpecificVIB34DVisualizer {
           color += vec3(explosion * 2.0);
         }
         
-        gl_FragColor = vec4(color, 0.95);
+        gl_FragColor = vec4(color * CARD_BRIGHTNESS, 0.95 * CARD_OPACITY);
       }
     `;
     
-    this.program = this.createShaderProgram(vertexShaderSource, fragmentShaderSource);
+    return { vertex: vertexShaderSource, fragment: fragmentShaderSource };
+  }
+  
+  initShaders() {
+    const { vertex, fragment } = CardSpecificVIB34DVisualizer.getShaderSources();
+    this.program = this.createShaderProgram(vertex, fragment);
     this.gl.useProgram(this.program);
     
     // Get uniform locations
-    this.uniforms = {
-      resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
-      time: this.gl.getUniformLocation(this.program, 'u_time'),
-      mouse: this.gl.getUniformLocation(this.program, 'u_mouse'),
-      geometry: this.gl.getUniformLocation(this.program, 'u_geometry'),
-      density: this.gl.getUniformLocation(this.program, 'u_density'),
-      speed: this.gl.getUniformLocation(this.program, 'u_speed'),
-      color: this.gl.getUniformLocation(this.program, 'u_color'),
-      intensity: this.gl.getUniformLocation(this.program, 'u_intensity'),
-      instanceDensity: this.gl.getUniformLocation(this.program, 'u_instanceDensity'),
-      instanceSpeed: this.gl.getUniformLocation(this.program, 'u_instanceSpeed'),
-      colorShift: this.gl.getUniformLocation(this.program, 'u_colorShift'),
-      cardSeed: this.gl.getUniformLocation(this.program, 'u_cardSeed'),
-      densityVariation: this.gl.getUniformLocation(this.program, 'u_densityVariation'),
-      rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
-      rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
-      rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
-      mouseIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
-      clickIntensity: this.gl.getUniformLocation(this.program, 'u_clickIntensity')
-    };
+    this.uniforms = {};
+    Object.entries(CardSpecificVIB34DVisualizer.UNIFORMS).forEach(([key, name]) => {
+      this.uniforms[key] = this.gl.getUniformLocation(this.program, name);
+    });
   }
   
   createShaderProgram(vertexSource, fragmentSource) {
@@ -570,6 +853,25 @@ class CardSpecificVIB34DVisualizer {
     }, 200);
   }
   
+  // Base hue of this card (seed and colour shift), for static fallbacks
+  getHue() {
+    return this.instanceParams.colorShift + this.cardSeed * 360;
+  }
+  
+  // Program and buffer are gone; seed, parameters and interaction state stay
+  handleContextLoss() {
+    this.program = null;
+    this.vertexBuffer = null;
+    this.uniforms = {};
+  }
+  
+  handleContextRestore() {
+    WebGLContextManager.configure(this.gl);
+    this.initShaders();
+    this.initBuffers();
+    this.resize();
+  }
+  
   resize() {
     if (!this.canvas) return;
     
@@ -585,6 +887,11 @@ class CardSpecificVIB34DVisualizer {
     // Update context usage for LRU management
     WebGLContextManager.updateUsage(this.canvas);
     
+    this.drawFrame(this.gl, this.uniforms, this.canvas.width, this.canvas.height);
+  }
+  
+  // Sets this card's uniforms and draws the quad into the current viewport
+  drawFrame(gl, uniforms, width, height) {
     const time = Date.now() - this.startTime;
     const morphTime = time * this.behaviorProfile.geometryMorphSpeed;
     const colorTime = time * this.behaviorProfile.colorCycleRate;
@@ -606,27 +913,27 @@ class CardSpecificVIB34DVisualizer {
     const rot4dZW = time * 0.0005 + this.mouseIntensity * 3.14159;
     
     // Set uniforms
-    this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
-    this.gl.uniform1f(this.uniforms.time, time);
-    this.gl.uniform2f(this.uniforms.mouse, this.mouseX, this.mouseY);
-    this.gl.uniform1f(this.uniforms.geometry, geometryFloat);
-    this.gl.uniform1f(this.uniforms.density, 8.0);
-    this.gl.uniform1f(this.uniforms.speed, this.roleParams.speedMult);
-    this.gl.uniform3f(this.uniforms.color, 0.0, 1.0, 1.0); // Cyan base
-    this.gl.uniform1f(this.uniforms.intensity, this.roleParams.intensity * this.instanceParams.intensity);
-    this.gl.uniform1f(this.uniforms.instanceDensity, this.roleParams.densityMult * this.instanceParams.densityMult);
-    this.gl.uniform1f(this.uniforms.instanceSpeed, this.instanceParams.speedMult);
-    this.gl.uniform1f(this.uniforms.colorShift, hueShift);
-    this.gl.uniform1f(this.uniforms.cardSeed, this.cardSeed);
-    this.gl.uniform1f(this.uniforms.densityVariation, densityVariation);
-    this.gl.uniform1f(this.uniforms.rot4dXW, rot4dXW);
-    this.gl.uniform1f(this.uniforms.rot4dYW, rot4dYW);
-    this.gl.uniform1f(this.uniforms.rot4dZW, rot4dZW);
-    this.gl.uniform1f(this.uniforms.mouseIntensity, this.mouseIntensity);
-    this.gl.uniform1f(this.uniforms.clickIntensity, this.clickIntensity);
+    gl.uniform2f(uniforms.resolution, width, height);
+    gl.uniform1f(uniforms.time, time);
+    gl.uniform2f(uniforms.mouse, this.mouseX, this.mouseY);
+    gl.uniform1f(uniforms.geometry, geometryFloat);
+    gl.uniform1f(uniforms.density, 8.0);
+    gl.uniform1f(uniforms.speed, this.roleParams.speedMult);
+    gl.uniform3f(uniforms.color, 0.0, 1.0, 1.0); // Cyan base
+    gl.uniform1f(uniforms.intensity, this.roleParams.intensity * this.instanceParams.intensity);
+    gl.uniform1f(uniforms.instanceDensity, this.roleParams.densityMult * this.instanceParams.densityMult);
+    gl.uniform1f(uniforms.instanceSpeed, this.instanceParams.speedMult);
+    gl.uniform1f(uniforms.colorShift, hueShift);
+    gl.uniform1f(uniforms.cardSeed, this.cardSeed);
+    gl.uniform1f(uniforms.densityVariation, densityVariation);
+    gl.uniform1f(uniforms.rot4dXW, rot4dXW);
+    gl.uniform1f(uniforms.rot4dYW, rot4dYW);
+    gl.uniform1f(uniforms.rot4dZW, rot4dZW);
+    gl.uniform1f(uniforms.mouseIntensity, this.mouseIntensity);
+    gl.uniform1f(uniforms.clickIntensity, this.clickIntensity);
     
     // Render
-    this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     
     // Decay click intensity
     if (this.clickIntensity > 0) {
@@ -635,6 +942,9 @@ class CardSpecificVIB34DVisualizer {
   }
   
   startRenderLoop() {
+    // The shared renderer draws every active card in its own loop
+    if (this.sharedRenderer) return;
+    
     const renderFrame = () => {
       if (!this.active) return;
       
@@ -656,7 +966,13 @@ class CardSpecificVIB34DVisualizer {
   
   destroy() {
     this.active = false;
-    if (this.canvas && this.gl) {
+    if (this.recovery) {
+      this.recovery.destroy();
+      this.recovery = null;
+    }
+    if (this.sharedRenderer) {
+      this.sharedRenderer.remove(this);
+    } else if (this.canvas && this.gl) {
       WebGLContextManager.releaseContext(this.canvas);
     }
     
@@ -680,7 +996,13 @@ class CardSpecificVIB34DVisualizer {
 
 // Card Visualizer Manager
 class CardVisualizerManager {
-  constructor() {
+  /*
+   * options.mode:
+   *   'canvas'  one canvas and WebGL context per visualizer (default)
+   *   'shared'  every visualizer drawn on one page-wide SharedCardRenderer canvas
+   * options.shared: SharedCardRenderer options ({ zIndex, pixelRatio })
+   */
+  constructor(options = {}) {
     this.activeVisualizers = new Map();
     this.canvasPool = [];
     this.maxConcurrent = 8; // Prevent performance issues
@@ -689,7 +1011,18 @@ class CardVisualizerManager {
       this.handleIntersection.bind(this), this.observerOptions
     );
     
-    console.log('🎨 Card Visualizer Manager initialized');
+    this.mode = options.mode || 'canvas';
+    this.sharedRenderer = null;
+    if (this.mode === 'shared') {
+      this.sharedRenderer = new SharedCardRenderer(options.shared);
+      if (!this.sharedRenderer.gl) {
+        console.warn('⚠️ Shared card renderer unavailable, using one canvas per visualizer');
+        this.sharedRenderer = null;
+        this.mode = 'canvas';
+      }
+    }
+    
+    console.log(`🎨 Card Visualizer Manager initialized (${this.mode} mode)`);
   }
   
   createCardVisualizer(cardElement, role = 'content') {
@@ -700,12 +1033,18 @@ class CardVisualizerManager {
       return this.activeVisualizers.get(canvasId);
     }
     
-    // Create canvas element
-    const canvas = this.getOrCreateCanvas(canvasId, role);
-    cardElement.appendChild(canvas);
-    
-    // Create visualizer instance
-    const visualizer = new CardSpecificVIB34DVisualizer(canvasId, role, cardElement);
+    let visualizer;
+    if (this.sharedRenderer) {
+      // No canvas of its own - drawn into the card's rectangle on the shared canvas
+      visualizer = new CardSpecificVIB34DVisualizer(canvasId, role, cardElement, { sharedRenderer: this.sharedRenderer });
+    } else {
+      // Create canvas element
+      const canvas = this.getOrCreateCanvas(canvasId, role);
+      cardElement.appendChild(canvas);
+      
+      // Create visualizer instance
+      visualizer = new CardSpecificVIB34DVisualizer(canvasId, role, cardElement);
+    }
     
     if (visualizer.gl) {
       this.activeVisualizers.set(canvasId, visualizer);
@@ -819,5 +1158,6 @@ class CardVisualizerManager {
 // Global instance
 window.CardVisualizerManager = CardVisualizerManager;
 window.CardSpecificVIB34DVisualizer = CardSpecificVIB34DVisualizer;
+window.SharedCardRenderer = SharedCardRenderer;
 
 console.log('🎨 Card-Specific VIB34D Visualizer System loaded');
\ No newline at end of file
@@ -5,12 +5,17 @@
  */
 
 class CardSystemController {
-  constructor() {
+  constructor(options = {}) {
     this.visualizerManager = null;
     this.cards = new Map();
+    
+    // 'canvas' uses one WebGL canvas per card (default); 'shared' draws every
+    // card on one overlay canvas, so the visualizer count is not capped by the
+    // browser's context limit (see SharedCardRenderer for what it gives up)
+    this.renderMode = options.renderMode === 'shared' ? 'shared' : 'canvas';
     this.performanceMonitor = {
       activeVisualizers: 0,
-      maxVisualizers: 6,
+      maxVisualizers: this.renderMode === 'shared' ? Infinity : 6,
       performanceMode: 'auto'
     };
     
@@ -53,7 +58,11 @@ class CardSystemController {
       return;
     }
     
-    this.visualizerManager = new window.CardVisualizerManager();
+    this.visualizerManager = new window.CardVisualizerManager({ mode: this.renderMode });
+    if (this.visualizerManager.mode !== this.renderMode) {
+      this.renderMode = this.visualizerManager.mode;
+      this.performanceMonitor.maxVisualizers = 6;
+    }
     
     // Initialize all configured cards
     for (const [cardId, config] of Object.entries(this.cardConfigs)) {
@@ -384,7 +393,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Wait a bit for other scripts to load
   await new Promise(resolve => setTimeout(resolve, 500));
   
-  window.cardSystemController = new CardSystemController();
+  // Pages pick the render mode with <body data-card-render-mode="shared">
+  window.cardSystemController = new CardSystemController({
+    renderMode: document.body.dataset.cardRenderMode
+  });
   await window.cardSystemController.initialize();
   
   // Debug status logging
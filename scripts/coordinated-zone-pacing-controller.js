@@ -37,6 +37,8 @@ class CoordinatedZonePacingController {
       contact: { entry: 150, development: 450, flourish: 350, transition: 150 }
     };
     
+    this.nextAnimationId = 1;
+    
     // Store original scroll functions for internal use
     this.originalScrollTo = window.scrollTo.bind(window);
     this.originalScrollBy = window.scrollBy.bind(window);
@@ -179,7 +181,7 @@ class CoordinatedZonePacingController {
     const intermediateTarget = window.scrollY + dampedDelta;
     
     // Use MasterConductor's coordinated animation
-    this.masterConductor.requestCoordinatedAnimation({
+    this.requestCoordinatedAnimation({
       type: 'scroll',
       target: intermediateTarget,
       duration: 800,
@@ -189,7 +191,7 @@ class CoordinatedZonePacingController {
     // Queue the full scroll for later
     setTimeout(() => {
       if (!this.shouldDampScroll(targetY, targetY - window.scrollY)) {
-        this.masterConductor.requestCoordinatedAnimation({
+        this.requestCoordinatedAnimation({
           type: 'scroll',
           target: targetY,
           duration: 1200,
@@ -219,7 +221,7 @@ class CoordinatedZonePacingController {
       const controlledTarget = window.scrollY + (allowedMovement * direction);
       
       // Use MasterConductor's coordinated animation
-      this.masterConductor.requestCoordinatedAnimation({
+      this.requestCoordinatedAnimation({
         type: 'scroll',
         target: controlledTarget,
         duration: remainingTime / 2,
@@ -228,7 +230,7 @@ class CoordinatedZonePacingController {
       
       // Queue full movement after timing requirement is met
       setTimeout(() => {
-        this.masterConductor.requestCoordinatedAnimation({
+        this.requestCoordinatedAnimation({
           type: 'scroll',
           target: targetY,
           duration: 1000,
@@ -238,12 +240,50 @@ class CoordinatedZonePacingController {
     }
   }
   
+  /*
+   * Scroll and presentation animations. The MasterConductor runs them when it
+   * provides requestCoordinatedAnimation; otherwise they run on the shared
+   * tween scheduler. easing is any EasingLibrary name ('ease-out',
+   * 'cubicInOut', 'spring(120, 14)', ...).
+   *   { type: 'scroll', target, duration, easing }
+   *   { type: 'custom', duration, easing, onUpdate(progress), onComplete }
+   */
+  requestCoordinatedAnimation(options) {
+    if (typeof this.masterConductor.requestCoordinatedAnimation === 'function') {
+      return this.masterConductor.requestCoordinatedAnimation(options);
+    }
+    
+    const scheduler = window.tweenScheduler;
+    const isScroll = options.type === 'scroll';
+    const apply = isScroll
+      ? (value) => this.originalScrollTo(window.scrollX, value)
+      : (value) => options.onUpdate && options.onUpdate(value);
+    
+    if (!scheduler || !options.duration) {
+      apply(isScroll ? options.target : 1);
+      if (options.onComplete) options.onComplete();
+      return null;
+    }
+    
+    return scheduler.to({
+      // A new scroll replaces the running one; custom animations run side by side
+      key: isScroll ? 'zone-pacing:scroll' : `zone-pacing:custom-${this.nextAnimationId++}`,
+      from: isScroll ? window.scrollY : 0,
+      to: isScroll ? options.target : 1,
+      duration: options.duration,
+      easing: options.easing || 'linear',
+      owner: `zone pacing ${options.type}`,
+      apply,
+      onComplete: options.onComplete
+    });
+  }
+  
   executeControlledScroll(targetY, behavior) {
     // Update zone state
     this.updateZoneState(targetY);
     
     // Use MasterConductor's coordinated scroll
-    this.masterConductor.requestCoordinatedAnimation({
+    this.requestCoordinatedAnimation({
       type: 'scroll',
       target: targetY,
       duration: behavior === 'smooth' ? 800 : 0,
@@ -325,7 +365,7 @@ class CoordinatedZonePacingController {
       });
       
       // Use MasterConductor for coordinated presentation progress
-      this.masterConductor.requestCoordinatedAnimation({
+      this.requestCoordinatedAnimation({
         type: 'custom',
         duration: this.zonePresentationTimes[zone.id]?.[subZone.name] || 2000,
         onUpdate: (progress) => {
@@ -585,7 +625,7 @@ class CoordinatedZonePacingController {
     if (!zone.element) return;
     
     // Enhanced flourish effects - coordinated with MasterConductor
-    this.masterConductor.requestCoordinatedAnimation({
+    this.requestCoordinatedAnimation({
       type: 'custom',
       duration: 2000,
       onUpdate: (progress) => {
@@ -93,17 +93,17 @@ class ClearSeasCoreEngine {
       this.updatePerformanceMetrics();
     }, 1000);
     
-    // Monitor WebGL context loss
+    // Monitor WebGL context loss (the events do not bubble, so listen while capturing)
     window.addEventListener('webglcontextlost', (event) => {
-      console.warn('⚠️ WebGL context lost:', event);
+      console.warn('⚠️ WebGL context lost:', event.target);
       event.preventDefault();
-      this.handleContextLoss();
-    });
+      this.handleContextLoss(event.target);
+    }, true);
     
     window.addEventListener('webglcontextrestored', (event) => {
-      console.log('🔄 WebGL context restored:', event);
-      this.handleContextRestore();
-    });
+      console.log('🔄 WebGL context restored:', event.target);
+      this.handleContextRestore(event.target);
+    }, true);
   }
   
   updatePerformanceMetrics() {
@@ -279,13 +279,6 @@ class ClearSeasCoreEngine {
    * WebGL Support Validation
    */
   async validateWebGLSupport() {
-    const canvas = document.createElement('canvas');
-    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
-    
-    if (!gl) {
-      throw new Error('WebGL not supported');
-    }
-    
     // Check for required extensions
     const requiredExtensions = [
       'EXT_color_buffer_float',
@@ -293,6 +286,31 @@ class ClearSeasCoreEngine {
       'OES_texture_float'
     ];
     
+    // Best VIB34DRenderer tier this browser offers
+    const canvas = document.createElement('canvas');
+    let gl = canvas.getContext('webgl2');
+    let tier = 'webgl2';
+    if (!gl) {
+      gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+      tier = 'webgl1';
+    }
+    
+    if (!gl) {
+      console.warn('⚠️ WebGL not supported - visualizers use the Canvas2D approximation');
+      this.webglCapabilities = {
+        tier: 'canvas2d',
+        version: null,
+        vendor: null,
+        renderer: null,
+        maxTextureSize: null,
+        maxVertexAttribs: null,
+        supportedExtensions: [],
+        unsupportedExtensions: requiredExtensions
+      };
+      canvas.remove();
+      return;
+    }
+    
     const supportedExtensions = [];
     const unsupportedExtensions = [];
     
@@ -311,6 +329,7 @@ class ClearSeasCoreEngine {
     
     // Store WebGL capabilities
     this.webglCapabilities = {
+      tier,
       version: gl.getParameter(gl.VERSION),
       vendor: gl.getParameter(gl.VENDOR),
       renderer: gl.getParameter(gl.RENDERER),
@@ -385,35 +404,43 @@ class ClearSeasCoreEngine {
   
   /**
    * Context Loss Handling
+   * Only the visualizers drawing to the affected canvas are told (all of
+   * them without a canvas). Visualizers with a WebGLContextRecovery pause and
+   * rebuild themselves, so the render loop keeps running for everyone else.
    */
-  handleContextLoss() {
+  handleContextLoss(canvas = null) {
     console.warn('🔄 Handling WebGL context loss...');
     
-    // Stop render loop temporarily
-    this.stopRenderLoop();
-    
-    // Notify all visualizers
-    this.visualizers.forEach(visualizer => {
+    this.getContextVisualizers(canvas).forEach(visualizer => {
       if (visualizer.handleContextLoss) {
         visualizer.handleContextLoss();
       }
     });
   }
   
-  handleContextRestore() {
+  handleContextRestore(canvas = null) {
     console.log('🔄 Handling WebGL context restore...');
     
-    // Restart render loop
-    this.startRenderLoop();
-    
-    // Notify all visualizers
-    this.visualizers.forEach(visualizer => {
+    this.getContextVisualizers(canvas).forEach(visualizer => {
       if (visualizer.handleContextRestore) {
         visualizer.handleContextRestore();
       }
     });
   }
   
+  getContextVisualizers(canvas) {
+    return Array.from(this.visualizers.values())
+      .filter(visualizer => !visualizer.recovery && (!canvas || visualizer.canvas === canvas));
+  }
+  
+  // Debug hook: loses every tracked WebGL context and restores it after restoreAfter ms
+  simulateContextLoss(restoreAfter = 1000) {
+    if (!window.WebGLContextRecovery) {
+      return Promise.reject(new Error('Context loss simulation needs webgl-context-recovery.js'));
+    }
+    return WebGLContextRecovery.simulateLoss(restoreAfter);
+  }
+  
   /**
    * Utility Methods
    */
@@ -422,7 +449,12 @@ class ClearSeasCoreEngine {
   }
   
   getWebGLCapabilities() {
-    return { ...this.webglCapabilities };
+    // Tier each registered VIB34DRenderer actually runs on
+    const renderers = {};
+    this.visualizers.forEach((visualizer, id) => {
+      if (visualizer.tier) renderers[id] = visualizer.tier;
+    });
+    return { ...this.webglCapabilities, renderers };
   }
   
   getCurrentTheme() {
@@ -472,6 +504,19 @@ class ClearSeasCoreEngine {
  * Enhanced version with professional optimizations
  */
 class VIB34DRenderer {
+  // 'auto'      angles advance on their own (rot4d parameters are ignored)
+  // 'manual'    the rot4d parameters are the angles (default with autoRotate: false)
+  // 'additive'  the rot4d parameters offset the advancing angles (default), so
+  //             values from setParameters() and reactivity stay visible
+  static ROTATION_MODES = ['auto', 'manual', 'additive'];
+  
+  // Angular velocity per plane, radians per second at speed 1
+  static ROTATION_VELOCITY = { xw: 0.1, yw: 0.13, zw: 0.17 };
+  
+  // Longer gaps between frames (background tab, stopped loop) are pauses
+  // and do not advance the rotation; seconds
+  static ROTATION_MAX_GAP = 1;
+  
   constructor(canvas, options = {}) {
     this.canvas = canvas;
     this.gl = null;
@@ -485,10 +530,28 @@ class VIB34DRenderer {
       quality: options.quality || 'high',
       enableAntialiasing: options.enableAntialiasing !== false,
       enableBloom: options.enableBloom !== false,
+      // Framebuffer passes after the system shader (see VIB34DPostProcessor);
+      // bloom only with enableBloom, amounts come from the parameters
+      postProcessing: ['bloom', 'chromaticAberration', 'scanlines', 'grain', 'vignette'],
       animationSpeed: options.animationSpeed || 1.0,
+      autoRotate: options.autoRotate !== false,
+      // Overrides autoRotate; see ROTATION_MODES
+      rotationMode: options.rotationMode || (options.autoRotate === false ? 'manual' : 'additive'),
+      autoResize: options.autoResize !== false,
+      // Backends tried in order; canvas2d evaluates the shaders in JS at
+      // softwareResolution pixels (longest side) and scales the result up
+      tiers: ['webgl2', 'webgl1', 'canvas2d'],
+      softwareResolution: 160,
       ...options
     };
     
+    // Backend in use: 'webgl2', 'webgl1' or 'canvas2d'
+    this.tier = null;
+    this.ctx = null;
+    this.software = null;
+    this.recovery = null;
+    this.post = null;
+    
     // State
     this.time = 0;
     this.uniforms = {};
@@ -507,31 +570,73 @@ class VIB34DRenderer {
       speed: 1.0,
       hue: 0,
       intensity: 0.8,
-      saturation: 0.9
+      saturation: 0.9,
+      
+      // Post-processing amounts (0-1); all off until set
+      bloom: 0,
+      chromaticShift: 0,
+      scanlines: 0,
+      grain: 0,
+      vignette: 0
     };
     
-    this.init();
+    // Rotation: phases accumulate velocity * speed per frame, so speed
+    // changes never jump; angles are what the shaders get this frame
+    this.rotation = {
+      mode: 'auto',
+      velocity: { ...VIB34DRenderer.ROTATION_VELOCITY, ...options.rotationVelocity },
+      phase: { xw: 0, yw: 0, zw: 0 },
+      lastTime: null
+    };
+    this.angles = { rot4dXW: 0, rot4dYW: 0, rot4dZW: 0 };
+    this.setRotationMode(this.config.rotationMode);
+    
+    // Resolves once the backend is ready; rejects only when no tier is available.
+    // init() has logged the failure; the handler keeps callers that never await
+    // ready from raising an unhandled rejection
+    this.unavailable = false;
+    this.ready = this.init();
+    this.ready.catch(() => { this.unavailable = true; });
   }
   
   async init() {
     try {
-      // Initialize WebGL context
+      // Initialize the first available backend tier
       this.initWebGL();
       
-      // Compile shaders
-      await this.compileShaders();
-      
-      // Setup geometry
-      this.setupGeometry();
-      
-      // Setup uniforms
-      this.setupUniforms();
+      if (this.tier === 'canvas2d') {
+        this.initCanvas2D();
+      } else {
+        // Context loss: pause, show a static fallback and rebuild on restore
+        if (!this.recovery && window.WebGLContextRecovery) {
+          this.recovery = new WebGLContextRecovery(this.canvas, {
+            gl: this.gl,
+            onLost: () => this.handleContextLoss(),
+            onRestored: () => this.handleContextRestore(),
+            fallbacks: () => [{ element: this.canvas, hue: this.parameters.hue }]
+          });
+        }
+        
+        // Compile shaders
+        await this.compileShaders();
+        
+        // Setup geometry
+        this.setupGeometry();
+        
+        // Setup uniforms
+        this.setupUniforms();
+        
+        // Setup post-processing
+        this.setupPostProcessing();
+      }
       
-      // Setup resize observer
-      this.setupResizeObserver();
+      // Setup resize observer (offscreen renderers size their canvas themselves)
+      if (this.config.autoResize) {
+        this.setupResizeObserver();
+      }
       
       this.isInitialized = true;
-      console.log(`✅ VIB34D Renderer initialized: ${this.config.system}`);
+      console.log(`✅ VIB34D Renderer initialized: ${this.config.system} (${this.tier})`);
       
     } catch (error) {
       console.error('❌ Failed to initialize VIB34D Renderer:', error);
@@ -539,28 +644,58 @@ class VIB34DRenderer {
     }
   }
   
+  // A canvas keeps the first context type it hands out, so tiers are chosen
+  // by context availability only (a later shader error does not fall through)
   initWebGL() {
-    this.gl = this.canvas.getContext('webgl2', {
+    const attributes = {
       alpha: true,
       premultipliedAlpha: false,
       preserveDrawingBuffer: false,
       powerPreference: 'high-performance',
       antialias: this.config.enableAntialiasing
-    });
+    };
+    
+    for (const tier of this.config.tiers) {
+      if (tier === 'canvas2d') {
+        this.ctx = this.canvas.getContext('2d');
+        if (this.ctx) {
+          this.tier = tier;
+          console.warn(`⚠️ VIB34D Renderer: no WebGL, using the Canvas2D approximation (${this.config.system})`);
+          return;
+        }
+      } else {
+        this.gl = tier === 'webgl2'
+          ? this.canvas.getContext('webgl2', attributes)
+          : this.canvas.getContext('webgl', attributes) || this.canvas.getContext('experimental-webgl', attributes);
+        if (this.gl) {
+          this.tier = tier;
+          break;
+        }
+      }
+    }
     
     if (!this.gl) {
-      throw new Error('WebGL2 not supported');
+      throw new Error(`No renderer backend available (tried ${this.config.tiers.join(', ')})`);
     }
     
-    // Configure WebGL state
+    this.configureContext();
+  }
+  
+  // Fixed WebGL state (again after a context restore, which resets it)
+  configureContext() {
     this.gl.enable(this.gl.BLEND);
     this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
     this.gl.clearColor(0.0, 0.0, 0.0, 0.0);
   }
   
   async compileShaders() {
-    const vertexShaderSource = this.getVertexShader();
-    const fragmentShaderSource = this.getFragmentShader();
+    let vertexShaderSource = this.getVertexShader();
+    let fragmentShaderSource = this.getFragmentShader();
+    
+    if (this.tier === 'webgl1') {
+      vertexShaderSource = VIB34DRenderer.toWebGL1(vertexShaderSource, 'vertex');
+      fragmentShaderSource = VIB34DRenderer.toWebGL1(fragmentShaderSource, 'fragment');
+    }
     
     const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexShaderSource);
     const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentShaderSource);
@@ -598,6 +733,36 @@ class VIB34DRenderer {
     return program;
   }
   
+  // Vertex and fragment sources for a system without creating a context
+  // (the preset lab's shader export builds on the live shaders)
+  static getShaderSources(system = 'polychora') {
+    const sources = Object.create(VIB34DRenderer.prototype);
+    sources.config = { system };
+    return { vertex: sources.getVertexShader(), fragment: sources.getFragmentShader() };
+  }
+  
+  // Ports a GLSL ES 3.00 shader to GLSL ES 1.00 (WebGL1): in/out become
+  // attribute/varying, fragColor becomes gl_FragColor, and fragment
+  // precision drops to mediump where highp is unavailable
+  static toWebGL1(source, stage) {
+    let ported = source.replace(/^\s*#version 300 es[^\n]*\n/, '');
+    
+    if (stage === 'vertex') {
+      ported = ported
+        .replace(/^([ \t]*)in\s+/gm, '$1attribute ')
+        .replace(/^([ \t]*)out\s+/gm, '$1varying ');
+    } else {
+      ported = ported
+        .replace(/^[ \t]*out\s+vec4\s+fragColor;[ \t]*\n/m, '')
+        .replace(/^([ \t]*)in\s+/gm, '$1varying ')
+        .replace(/\bfragColor\b/g, 'gl_FragColor')
+        .replace(/^([ \t]*)precision highp float;/m,
+          '$1#ifdef GL_FRAGMENT_PRECISION_HIGH\n$1precision highp float;\n$1#else\n$1precision mediump float;\n$1#endif');
+    }
+    
+    return ported.replace(/\btexture\(/g, 'texture2D(');
+  }
+  
   getVertexShader() {
     return `#version 300 es
       precision highp float;
@@ -704,9 +869,9 @@ class VIB34DRenderer {
         vec4 p4d = vec4(uv * 2.0, sin(u_time * 0.5), cos(u_time * 0.3));
         
         // Apply 4D rotations
-        p4d = rotateXW(u_rot4dXW + u_time * 0.1) * p4d;
-        p4d = rotateYW(u_rot4dYW + u_time * 0.13) * p4d;
-        p4d = rotateZW(u_rot4dZW + u_time * 0.17) * p4d;
+        p4d = rotateXW(u_rot4dXW) * p4d;
+        p4d = rotateYW(u_rot4dYW) * p4d;
+        p4d = rotateZW(u_rot4dZW) * p4d;
         
         // Project to 3D (perspective projection)
         vec3 p3d = p4d.xyz / (2.0 - p4d.w);
@@ -848,9 +1013,16 @@ class VIB34DRenderer {
     this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.vertex);
     this.gl.bufferData(this.gl.ARRAY_BUFFER, vertices, this.gl.STATIC_DRAW);
     
-    const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-    this.gl.enableVertexAttribArray(positionLocation);
-    this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
+    this.positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
+    this.bindGeometry();
+  }
+  
+  // Post-processing binds its own program and quad, so this runs every frame
+  bindGeometry() {
+    this.gl.useProgram(this.program);
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.vertex);
+    this.gl.enableVertexAttribArray(this.positionLocation);
+    this.gl.vertexAttribPointer(this.positionLocation, 2, this.gl.FLOAT, false, 0, 0);
   }
   
   setupUniforms() {
@@ -868,6 +1040,24 @@ class VIB34DRenderer {
     };
   }
   
+  setupPostProcessing() {
+    const passes = (this.config.postProcessing || [])
+      .filter(name => name !== 'bloom' || this.config.enableBloom);
+    
+    this.post = null;
+    if (passes.length === 0 || !window.VIB34DPostProcessor) return;
+    
+    try {
+      this.post = new VIB34DPostProcessor(this.gl, {
+        passes,
+        port: this.tier === 'webgl1' ? VIB34DRenderer.toWebGL1 : null
+      }).compile();
+    } catch (error) {
+      // The system shader still renders, just without the passes
+      console.warn('⚠️ VIB34D post-processing disabled:', error.message);
+    }
+  }
+  
   setupResizeObserver() {
     this.resizeObserver = new ResizeObserver(entries => {
       for (const entry of entries) {
@@ -882,7 +1072,9 @@ class VIB34DRenderer {
   resize(width, height) {
     this.canvas.width = width;
     this.canvas.height = height;
-    this.gl.viewport(0, 0, width, height);
+    if (this.gl) {
+      this.gl.viewport(0, 0, width, height);
+    }
   }
   
   render(timestamp) {
@@ -890,10 +1082,17 @@ class VIB34DRenderer {
     
     this.time = timestamp * 0.001;
     
-    // Update 4D rotations
-    this.parameters.rot4dXW = this.time * this.parameters.speed * 0.1;
-    this.parameters.rot4dYW = this.time * this.parameters.speed * 0.13;
-    this.parameters.rot4dZW = this.time * this.parameters.speed * 0.17;
+    // Update 4D rotations (manual renders keep the rotation they were given)
+    this.updateRotation(this.time);
+    
+    if (this.tier === 'canvas2d') {
+      this.renderCanvas2D();
+      return;
+    }
+    
+    // Post-processing draws the system into an offscreen target first
+    const postProcess = this.post !== null && this.post.begin(this.canvas.width, this.canvas.height, this.parameters);
+    this.bindGeometry();
     
     // Clear canvas
     this.gl.clear(this.gl.COLOR_BUFFER_BIT);
@@ -901,9 +1100,9 @@ class VIB34DRenderer {
     // Update uniforms
     this.gl.uniform1f(this.uniforms.u_time, this.time);
     this.gl.uniform2f(this.uniforms.u_resolution, this.canvas.width, this.canvas.height);
-    this.gl.uniform1f(this.uniforms.u_rot4dXW, this.parameters.rot4dXW);
-    this.gl.uniform1f(this.uniforms.u_rot4dYW, this.parameters.rot4dYW);
-    this.gl.uniform1f(this.uniforms.u_rot4dZW, this.parameters.rot4dZW);
+    this.gl.uniform1f(this.uniforms.u_rot4dXW, this.angles.rot4dXW);
+    this.gl.uniform1f(this.uniforms.u_rot4dYW, this.angles.rot4dYW);
+    this.gl.uniform1f(this.uniforms.u_rot4dZW, this.angles.rot4dZW);
     this.gl.uniform1f(this.uniforms.u_gridDensity, this.parameters.gridDensity);
     this.gl.uniform1f(this.uniforms.u_morphFactor, this.parameters.morphFactor);
     this.gl.uniform1f(this.uniforms.u_chaos, this.parameters.chaos);
@@ -912,6 +1111,234 @@ class VIB34DRenderer {
     
     // Draw
     this.gl.drawArrays(this.gl.TRIANGLES, 0, 6);
+    
+    if (postProcess) {
+      this.post.end(this.parameters, this.time);
+    }
+  }
+  
+  /**
+   * Rotation
+   */
+  
+  // Advances each plane's phase and resolves this frame's angles for the mode
+  updateRotation(time) {
+    const rotation = this.rotation;
+    // Slow frames advance by their full length; the first frame after a pause does not spin ahead
+    const gap = rotation.lastTime === null ? 0 : Math.max(time - rotation.lastTime, 0);
+    const elapsed = gap > VIB34DRenderer.ROTATION_MAX_GAP ? 0 : gap;
+    rotation.lastTime = time;
+    
+    Object.keys(rotation.phase).forEach(plane => {
+      const key = `rot4d${plane.toUpperCase()}`;
+      const offset = this.parameters[key] || 0;
+      
+      if (rotation.mode !== 'manual') {
+        rotation.phase[plane] = (rotation.phase[plane] + rotation.velocity[plane] * this.parameters.speed * elapsed) % (Math.PI * 2);
+      }
+      
+      if (rotation.mode === 'manual') this.angles[key] = offset;
+      else if (rotation.mode === 'additive') this.angles[key] = rotation.phase[plane] + offset;
+      else this.angles[key] = rotation.phase[plane];
+    });
+  }
+  
+  // Phases continue from the angles on screen, so switching modes does not jump
+  setRotationMode(mode) {
+    if (!VIB34DRenderer.ROTATION_MODES.includes(mode)) {
+      throw new Error(`Unknown rotation mode "${mode}" (use ${VIB34DRenderer.ROTATION_MODES.join(', ')})`);
+    }
+    
+    Object.keys(this.rotation.phase).forEach(plane => {
+      const key = `rot4d${plane.toUpperCase()}`;
+      if (mode === 'auto') this.rotation.phase[plane] = this.angles[key];
+      else if (mode === 'additive') this.rotation.phase[plane] = this.angles[key] - (this.parameters[key] || 0);
+    });
+    this.rotation.mode = mode;
+    this.config.rotationMode = mode;
+    this.config.autoRotate = mode !== 'manual';
+  }
+  
+  // Radians per second at speed 1, per plane ({ xw, yw, zw }, partial is fine)
+  setRotationVelocity(velocity) {
+    Object.assign(this.rotation.velocity, velocity);
+  }
+  
+  /**
+   * Canvas2D tier: JS ports of the system shaders, evaluated per pixel into
+   * a small ImageData and scaled up. Same parameters and time as the GPU tiers.
+   */
+  initCanvas2D() {
+    const canvas = document.createElement('canvas');
+    this.software = { canvas, ctx: canvas.getContext('2d'), image: null };
+  }
+  
+  renderCanvas2D() {
+    const { width, height } = this.canvas;
+    if (!width || !height) return;
+    
+    const scale = Math.min(this.config.softwareResolution / Math.max(width, height), 1);
+    const w = Math.max(Math.round(width * scale), 1);
+    const h = Math.max(Math.round(height * scale), 1);
+    const software = this.software;
+    if (!software.image || software.image.width !== w || software.image.height !== h) {
+      software.canvas.width = w;
+      software.canvas.height = h;
+      software.image = software.ctx.createImageData(w, h);
+    }
+    
+    const shaders = {
+      polychora: this.shadePolychora,
+      quantum: this.shadeQuantum,
+      holographic: this.shadeHolographic,
+      faceted: this.shadeFaceted
+    };
+    const shade = shaders[this.config.system] || shaders.polychora;
+    const { hue, intensity } = this.parameters;
+    software.colors = [
+      VIB34DRenderer.hsv2rgb(hue / 360, 0.8, intensity),
+      VIB34DRenderer.hsv2rgb(hue / 360 + 0.3, 0.9, intensity * 0.7)
+    ];
+    const aspect = width / height;
+    const data = software.image.data;
+    const out = [0, 0, 0, 0];
+    const toByte = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 255);
+    
+    for (let j = 0; j < h; j++) {
+      // v_position: -1..1, y up like gl_FragCoord
+      const y = 1 - ((j + 0.5) / h) * 2;
+      for (let i = 0; i < w; i++) {
+        shade.call(this, ((i + 0.5) / w) * 2 - 1, y, aspect, out);
+        const k = (j * w + i) * 4;
+        data[k] = toByte(out[0]);
+        data[k + 1] = toByte(out[1]);
+        data[k + 2] = toByte(out[2]);
+        data[k + 3] = toByte(out[3]);
+      }
+    }
+    
+    software.ctx.putImageData(software.image, 0, 0);
+    this.ctx.clearRect(0, 0, width, height);
+    this.ctx.imageSmoothingEnabled = true;
+    this.ctx.drawImage(software.canvas, 0, 0, width, height);
+  }
+  
+  shadePolychora(px, py, aspect, out) {
+    const t = this.time;
+    const p = this.parameters;
+    const a = this.angles;
+    
+    // uv and 4D point as in getPolychoraShader()
+    let x = (px * 2 - 1) * aspect * 2;
+    let y = (py * 2 - 1) * 2;
+    let z = Math.sin(t * 0.5);
+    let w = Math.cos(t * 0.3);
+    
+    // XW, YW, ZW rotations (inlined - this runs once per pixel)
+    let c = Math.cos(a.rot4dXW);
+    let s = Math.sin(a.rot4dXW);
+    [x, w] = [c * x + s * w, c * w - s * x];
+    c = Math.cos(a.rot4dYW);
+    s = Math.sin(a.rot4dYW);
+    [y, w] = [c * y + s * w, c * w - s * y];
+    c = Math.cos(a.rot4dZW);
+    s = Math.sin(a.rot4dZW);
+    [z, w] = [c * z + s * w, c * w - s * z];
+    
+    // Tesseract SDF
+    const k1 = p.gridDensity * 0.1;
+    const dx = Math.abs(x * k1) - 1;
+    const dy = Math.abs(y * k1) - 1;
+    const dz = Math.abs(z * k1) - 1;
+    const dw = Math.abs(w * k1) - 1;
+    const d1 = Math.sqrt(Math.max(dx, 0) ** 2 + Math.max(dy, 0) ** 2 + Math.max(dz, 0) ** 2 + Math.max(dw, 0) ** 2) +
+      Math.min(Math.max(dx, dy, dz, dw), 0);
+    
+    // 120-cell approximation
+    const k2 = p.gridDensity * 0.05;
+    const r = Math.sqrt((x * k2 + Math.sin(t)) ** 2 + (y * k2 + Math.cos(t)) ** 2 +
+      (z * k2 + Math.sin(t * 1.3)) ** 2 + (w * k2 + Math.cos(t * 1.7)) ** 2);
+    const d2 = r - ((1 + Math.sqrt(5)) / 2) * 0.8 + Math.sin(r * 8) * 0.1;
+    
+    const dist = Math.min(d1, d2);
+    const [color1, color2] = this.software.colors;
+    const intensity = 1 / (1 + dist * dist * 10);
+    const mix = Math.sin(dist * 20 + t) * 0.5 + 0.5;
+    const glow = Math.exp(-dist * 5) * p.intensity * 0.5;
+    
+    for (let i = 0; i < 3; i++) {
+      out[i] = (color1[i] + (color2[i] - color1[i]) * mix) * intensity + color1[i] * glow;
+    }
+    out[3] = intensity * 0.8 + glow;
+  }
+  
+  shadeQuantum(px, py, aspect, out) {
+    const p = this.parameters;
+    const x = px * aspect * p.gridDensity * 0.1;
+    const y = py * p.gridDensity * 0.1;
+    const z = this.time * 0.5;
+    
+    const noise = (a, b, c) => {
+      const value = Math.sin(a * 12.9898 + b * 78.233 + c * 45.164) * 43758.5453;
+      return value - Math.floor(value);
+    };
+    const n1 = noise(x, y, z);
+    const n2 = noise(x * 2 + 1, y * 2 + 1, z * 2 + 1);
+    const n3 = noise(x * 4 + 2, y * 4 + 2, z * 4 + 2);
+    
+    const lattice = Math.sin(x * 8) * Math.sin(y * 8) * Math.sin(z * 8);
+    const combined = (n1 + n2 * 0.5 + n3 * 0.25) * lattice;
+    
+    VIB34DRenderer.hsv2rgb(0.7 + combined * p.chaos, 0.8, p.intensity, out);
+    out[3] = Math.abs(combined) * p.intensity;
+  }
+  
+  shadeHolographic(px, py, aspect, out) {
+    const p = this.parameters;
+    const t = this.time;
+    
+    const wave1 = Math.sin(Math.hypot(px - Math.cos(t), py - Math.sin(t)) * 20 + t * 5);
+    const wave2 = Math.sin(Math.hypot(px + Math.cos(t * 1.3), py + Math.sin(t * 1.7)) * 15 + t * 3);
+    const interference = wave1 * wave2 * p.morphFactor;
+    const shade = (interference * 0.5 + 0.5) * p.intensity;
+    
+    out[0] = shade;
+    out[1] = 0.2 * shade;
+    out[2] = 0.8 * shade;
+    out[3] = Math.abs(interference) * p.intensity;
+  }
+  
+  shadeFaceted(px, py, aspect, out) {
+    const p = this.parameters;
+    const gx = px * p.gridDensity * 0.1;
+    const gy = py * p.gridDensity * 0.1;
+    const d = Math.hypot(gx - Math.floor(gx) - 0.5, gy - Math.floor(gy) - 0.5);
+    
+    out[0] = 0;
+    out[1] = 0.8;
+    out[2] = 1;
+    out[3] = d <= 0.3 ? p.intensity : 0;
+  }
+  
+  // GLSL hsv2rgb() used by the shaders (h wraps, s and v 0-1); fills out[0..2]
+  static hsv2rgb(h, s, v, out = [0, 0, 0]) {
+    for (let i = 0; i < 3; i++) {
+      const k = h + 1 - i / 3;
+      const channel = Math.min(Math.max(Math.abs((k - Math.floor(k)) * 6 - 3) - 1, 0), 1);
+      out[i] = v * (1 + (channel - 1) * s);
+    }
+    return out;
+  }
+  
+  // Backend in use and what it supports
+  getWebGLCapabilities() {
+    const gl = this.gl;
+    return {
+      tier: this.tier,
+      version: gl ? gl.getParameter(gl.VERSION) : null,
+      shadingLanguage: gl ? gl.getParameter(gl.SHADING_LANGUAGE_VERSION) : null,
+      maxTextureSize: gl ? gl.getParameter(gl.MAX_TEXTURE_SIZE) : null
+    };
   }
   
   setParameters(params) {
@@ -941,12 +1368,24 @@ class VIB34DRenderer {
     this.parameters.hue = hue * 360;
   }
   
+  // The context's program, buffers and locations are gone; parameters stay
   handleContextLoss() {
     this.isInitialized = false;
+    this.program = null;
+    this.buffers = {};
+    this.uniforms = {};
+    this.post = null;
   }
   
+  // Same context object with fresh state: rebuild what init() put on it
   async handleContextRestore() {
-    await this.init();
+    this.configureContext();
+    await this.compileShaders();
+    this.setupGeometry();
+    this.setupUniforms();
+    this.setupPostProcessing();
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    this.isInitialized = true;
   }
   
   destroy() {
@@ -954,6 +1393,16 @@ class VIB34DRenderer {
       this.resizeObserver.disconnect();
     }
     
+    if (this.recovery) {
+      this.recovery.destroy();
+      this.recovery = null;
+    }
+    
+    if (this.post) {
+      this.post.destroy();
+      this.post = null;
+    }
+    
     if (this.gl && this.program) {
       this.gl.deleteProgram(this.program);
     }
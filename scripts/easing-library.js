@@ -0,0 +1,299 @@
+/*
+ * EASING LIBRARY v1.0
+ *
+ * The one easing table for reactivity configs, the tween scheduler, the
+ * parameter adapter, the preset lab and the zone pacing controller. Every
+ * easing is addressed by name:
+ *
+ *   Penner set     linear, quadIn/Out/InOut, cubic*, quart*, quint*, sine*,
+ *                  expo*, circ*, back*, elastic*, bounce*
+ *                  (easeOutExpo-style names are accepted too)
+ *   CSS keywords   ease, ease-in, ease-out, ease-in-out, step-start, step-end
+ *   Curves         cubic-bezier(x1, y1, x2, y2)
+ *                  steps(n) / steps(n, start)
+ *                  spring(stiffness, damping[, mass[, velocity]])
+ *
+ * Easings map t in [0, 1] to progress; back, elastic and spring overshoot.
+ * Runs in the browser (window.EasingLibrary) and in Node (require), where the
+ * config check validates easing names.
+ */
+
+class EasingLibrary {
+  static PENNER = (() => {
+    const c1 = 1.70158;
+    const c2 = c1 * 1.525;
+    const c3 = c1 + 1;
+    const c4 = (2 * Math.PI) / 3;
+    const c5 = (2 * Math.PI) / 4.5;
+
+    const bounceOut = (t) => {
+      const n1 = 7.5625;
+      const d1 = 2.75;
+      if (t < 1 / d1) return n1 * t * t;
+      if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+      if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+      return n1 * (t -= 2.625 / d1) * t + 0.984375;
+    };
+
+    return {
+      linear: (t) => t,
+
+      quadIn: (t) => t * t,
+      quadOut: (t) => 1 - (1 - t) * (1 - t),
+      quadInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+
+      cubicIn: (t) => t * t * t,
+      cubicOut: (t) => 1 - Math.pow(1 - t, 3),
+      cubicInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+
+      quartIn: (t) => t * t * t * t,
+      quartOut: (t) => 1 - Math.pow(1 - t, 4),
+      quartInOut: (t) => (t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2),
+
+      quintIn: (t) => t * t * t * t * t,
+      quintOut: (t) => 1 - Math.pow(1 - t, 5),
+      quintInOut: (t) => (t < 0.5 ? 16 * t * t * t * t * t : 1 - Math.pow(-2 * t + 2, 5) / 2),
+
+      sineIn: (t) => 1 - Math.cos((t * Math.PI) / 2),
+      sineOut: (t) => Math.sin((t * Math.PI) / 2),
+      sineInOut: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+
+      expoIn: (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+      expoOut: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+      expoInOut: (t) => {
+        if (t === 0 || t === 1) return t;
+        return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+      },
+
+      circIn: (t) => 1 - Math.sqrt(1 - Math.pow(t, 2)),
+      circOut: (t) => Math.sqrt(1 - Math.pow(t - 1, 2)),
+      circInOut: (t) => (t < 0.5
+        ? (1 - Math.sqrt(1 - Math.pow(2 * t, 2))) / 2
+        : (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2),
+
+      backIn: (t) => c3 * t * t * t - c1 * t * t,
+      backOut: (t) => 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2),
+      backInOut: (t) => (t < 0.5
+        ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+        : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2),
+
+      elasticIn: (t) => {
+        if (t === 0 || t === 1) return t;
+        return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * c4);
+      },
+      elasticOut: (t) => {
+        if (t === 0 || t === 1) return t;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
+      },
+      elasticInOut: (t) => {
+        if (t === 0 || t === 1) return t;
+        return t < 0.5
+          ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c5)) / 2
+          : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c5)) / 2 + 1;
+      },
+
+      bounceIn: (t) => 1 - bounceOut(1 - t),
+      bounceOut,
+      bounceInOut: (t) => (t < 0.5 ? (1 - bounceOut(1 - 2 * t)) / 2 : (1 + bounceOut(2 * t - 1)) / 2)
+    };
+  })();
+
+  // CSS keywords and names used by older code
+  static ALIASES = {
+    'ease': 'cubic-bezier(0.25, 0.1, 0.25, 1)',
+    'ease-in': 'cubic-bezier(0.42, 0, 1, 1)',
+    'ease-out': 'cubic-bezier(0, 0, 0.58, 1)',
+    'ease-in-out': 'cubic-bezier(0.42, 0, 0.58, 1)',
+    'step-start': 'steps(1, start)',
+    'step-end': 'steps(1, end)',
+    'elastic': 'elasticOut'
+  };
+
+  static cache = new Map();
+
+  // Easing function for a name; unknown names warn once and fall back to linear
+  static get(name) {
+    if (typeof name === 'function') return name;
+    if (!name) return EasingLibrary.PENNER.linear;
+
+    if (!EasingLibrary.cache.has(name)) {
+      let easing;
+      try {
+        easing = EasingLibrary.parse(name);
+      } catch (error) {
+        console.warn(`⚠️ ${error.message} - using linear`);
+        easing = EasingLibrary.PENNER.linear;
+      }
+      EasingLibrary.cache.set(name, easing);
+    }
+
+    return EasingLibrary.cache.get(name);
+  }
+
+  static ease(t, name) {
+    return EasingLibrary.get(name)(t);
+  }
+
+  // Returns an error message, or null when the name is a valid easing
+  static check(name) {
+    try {
+      EasingLibrary.parse(name);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  // Plain names for pickers (Penner set and CSS keywords)
+  static names() {
+    return Object.keys(EasingLibrary.PENNER).concat(Object.keys(EasingLibrary.ALIASES));
+  }
+
+  static parse(name) {
+    const trimmed = String(name).trim();
+
+    if (Object.prototype.hasOwnProperty.call(EasingLibrary.PENNER, trimmed)) {
+      return EasingLibrary.PENNER[trimmed];
+    }
+    if (Object.prototype.hasOwnProperty.call(EasingLibrary.ALIASES, trimmed)) {
+      return EasingLibrary.parse(EasingLibrary.ALIASES[trimmed]);
+    }
+
+    // easeOutExpo / easeInOutCubic → expoOut / cubicInOut
+    const penner = /^ease(InOut|In|Out)([A-Z][a-z]+)$/.exec(trimmed);
+    if (penner) {
+      const canonical = penner[2].toLowerCase() + penner[1];
+      if (EasingLibrary.PENNER[canonical]) return EasingLibrary.PENNER[canonical];
+    }
+
+    const call = /^(cubic-bezier|steps|spring)\((.*)\)$/.exec(trimmed);
+    if (call) {
+      const args = call[2].split(',').map(arg => arg.trim());
+
+      if (call[1] === 'steps') {
+        const count = Number(args[0]);
+        const position = args[1] || 'end';
+        if (!Number.isInteger(count) || count < 1 || args.length > 2 || !['start', 'end'].includes(position)) {
+          throw new Error(`invalid easing "${name}" - expected steps(n) or steps(n, start|end)`);
+        }
+        return EasingLibrary.steps(count, position);
+      }
+
+      const numbers = args.map(Number);
+      if (numbers.some(n => !Number.isFinite(n)) || args.some(arg => arg === '')) {
+        throw new Error(`invalid easing "${name}" - arguments must be numbers`);
+      }
+
+      if (call[1] === 'cubic-bezier') {
+        if (numbers.length !== 4 || numbers[0] < 0 || numbers[0] > 1 || numbers[2] < 0 || numbers[2] > 1) {
+          throw new Error(`invalid easing "${name}" - expected cubic-bezier(x1, y1, x2, y2) with x1, x2 in 0-1`);
+        }
+        return EasingLibrary.cubicBezier(...numbers);
+      }
+
+      if (numbers.length < 2 || numbers.length > 4 || numbers[0] <= 0 || numbers[1] <= 0 || (numbers[2] !== undefined && numbers[2] <= 0)) {
+        throw new Error(`invalid easing "${name}" - expected spring(stiffness, damping[, mass[, velocity]]) with positive stiffness, damping and mass`);
+      }
+      return EasingLibrary.spring(...numbers);
+    }
+
+    throw new Error(`unknown easing "${name}" - use a Penner name (e.g. expoOut, cubicInOut), ` +
+      'a CSS keyword (ease-in-out), cubic-bezier(), steps() or spring()');
+  }
+
+  // ===== CURVES =====
+
+  // CSS cubic-bezier: solve x(s) = t for s, return y(s)
+  static cubicBezier(x1, y1, x2, y2) {
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+
+    const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+    const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+    const slopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+    const solve = (x) => {
+      // Newton-Raphson first, bisection when the slope is too flat
+      let s = x;
+      for (let i = 0; i < 8; i++) {
+        const error = sampleX(s) - x;
+        if (Math.abs(error) < 1e-6) return s;
+        const slope = slopeX(s);
+        if (Math.abs(slope) < 1e-6) break;
+        s -= error / slope;
+      }
+
+      let low = 0;
+      let high = 1;
+      s = x;
+      while (high - low > 1e-6) {
+        if (sampleX(s) < x) low = s;
+        else high = s;
+        s = (low + high) / 2;
+      }
+      return s;
+    };
+
+    return (t) => {
+      if (t <= 0) return 0;
+      if (t >= 1) return 1;
+      return sampleY(solve(t));
+    };
+  }
+
+  static steps(count, position = 'end') {
+    return (t) => {
+      if (t >= 1) return 1;
+      const step = position === 'start' ? Math.ceil(t * count) : Math.floor(t * count);
+      return Math.min(Math.max(step / count, 0), 1);
+    };
+  }
+
+  // Damped harmonic oscillator pulled from 0 to 1. The curve is time-scaled
+  // so t = 1 is the moment it settles (within 0.1% of the target).
+  static spring(stiffness, damping, mass = 1, velocity = 0) {
+    const omega = Math.sqrt(stiffness / mass);
+    const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+
+    // Displacement from the target at time s (seconds), starting at -1
+    let position;
+    if (zeta < 1) {
+      const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+      const b = (velocity - zeta * omega) / omegaD;
+      position = (s) => Math.exp(-zeta * omega * s) * (-Math.cos(omegaD * s) + b * Math.sin(omegaD * s));
+    } else if (zeta === 1) {
+      position = (s) => Math.exp(-omega * s) * (-1 + (velocity - omega) * s);
+    } else {
+      const r1 = -omega * (zeta - Math.sqrt(zeta * zeta - 1));
+      const r2 = -omega * (zeta + Math.sqrt(zeta * zeta - 1));
+      const c2 = (velocity + r1) / (r2 - r1);
+      const c1 = -1 - c2;
+      position = (s) => c1 * Math.exp(r1 * s) + c2 * Math.exp(r2 * s);
+    }
+
+    // Find the settle time: the last sample still outside the tolerance
+    const dt = 1 / 120;
+    let settle = dt;
+    for (let s = 0; s < 30; s += dt) {
+      if (Math.abs(position(s)) > 0.001) settle = s + dt;
+    }
+
+    return (t) => {
+      if (t <= 0) return 0;
+      if (t >= 1) return 1;
+      return 1 + position(t * settle);
+    };
+  }
+}
+
+// Browser global + Node export (used by scripts/validate-reactivity-config.js)
+if (typeof window !== 'undefined') {
+  window.EasingLibrary = EasingLibrary;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EasingLibrary;
+}
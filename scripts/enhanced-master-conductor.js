@@ -311,39 +311,85 @@ class EnhancedMasterConductor {
     
     // Apply parameters to visualizer
     Object.keys(params).forEach(key => {
-      let value = params[key];
-      
-      // Handle special value types
-      if (typeof value === 'string') {
-        if (value.startsWith('+') || value.startsWith('-')) {
-          // Relative change
-          const currentValue = visualizer.currentParams[key] || 0;
-          value = currentValue + parseFloat(value);
-        } else if (value === 'complement') {
-          // Complementary hue
-          const currentHue = visualizer.currentParams.hue || 200;
-          value = (currentHue + 180) % 360;
-        } else if (value === 'shift') {
-          // Random hue shift
-          value = Math.random() * 360;
-        }
+      // Direct updates take over from any running tween on the parameter
+      if (window.tweenScheduler) {
+        window.tweenScheduler.cancel(this.getTweenKey(visualizerId, key));
       }
       
-      // Update visualizer parameter
-      this.setVisualizerParam(visualizerId, key, value);
+      this.setVisualizerParam(visualizerId, key, this.resolveVisualizerParam(visualizer, key, params[key]));
+    });
+  }
+
+  resolveVisualizerParam(visualizer, key, value) {
+    const currentParams = visualizer.currentParams || {};
+    
+    // Handle special value types
+    if (typeof value === 'string') {
+      if (value.startsWith('+') || value.startsWith('-')) {
+        // Relative change
+        const currentValue = currentParams[key] || 0;
+        return currentValue + parseFloat(value);
+      } else if (value === 'complement') {
+        // Complementary hue
+        const currentHue = currentParams.hue || 200;
+        return (currentHue + 180) % 360;
+      } else if (value === 'shift') {
+        // Random hue shift
+        return Math.random() * 360;
+      }
+    }
+    
+    return value;
+  }
+
+  // Same key the polytopal system and the adapter use for the parameter;
+  // profile params are visual-namespace names except the color ones
+  getTweenKey(visualizerId, param) {
+    const namespace = ['hue', 'saturation'].includes(param) ? 'color' : 'visual';
+    return window.tweenScheduler.keyFor(visualizerId, `${namespace}.${param}`);
+  }
+
+  // Tween one parameter through the shared scheduler. Iframe visualizers
+  // reload on every src change, so intermediate values are throttled.
+  tweenVisualizerParam(visualizerId, param, value, options = {}) {
+    const visualizer = this.getVisualizer(visualizerId);
+    if (!visualizer) return null;
+    
+    if (!window.tweenScheduler) {
+      this.setVisualizerParam(visualizerId, param, value);
+      return null;
+    }
+    
+    return window.tweenScheduler.to({
+      key: this.getTweenKey(visualizerId, param),
+      read: () => (visualizer.currentParams || {})[param] ?? value,
+      to: value,
+      duration: options.duration,
+      easing: options.easing,
+      mode: options.mode,
+      interval: 50,
+      owner: options.owner || 'conductor',
+      apply: (current) => this.setVisualizerParam(visualizerId, param, Number(current.toFixed(3)))
     });
   }
 
   surgeVisualizerParams(visualizerId, params, duration) {
     const { surge = 0.2, settle = 0.8 } = duration || {};
+    const visualizer = this.getVisualizer(visualizerId);
+    if (!visualizer) return;
     
-    // Quick surge to peak values
-    this.updateVisualizerParams(visualizerId, params);
+    // Quick surge to peak values...
+    Object.keys(params).forEach(key => {
+      const value = this.resolveVisualizerParam(visualizer, key, params[key]);
+      this.tweenVisualizerParam(visualizerId, key, value, {
+        duration: surge * 1000,
+        easing: 'cubicOut',
+        owner: 'conductor surge'
+      });
+    });
     
-    // Settle back to normal over time
-    setTimeout(() => {
-      this.resetVisualizer(visualizerId, settle * 1000);
-    }, surge * 1000);
+    // ...then settle back to normal once each surge finishes
+    this.resetVisualizer(visualizerId, settle * 1000);
   }
 
   getVisualizer(visualizerId) {
@@ -386,11 +432,13 @@ class EnhancedMasterConductor {
       intensity: 0.8
     };
     
-    // Gradual transition back to defaults
+    // Gradual transition back to defaults, after any surge still running
     Object.keys(defaultParams).forEach(key => {
-      setTimeout(() => {
-        this.setVisualizerParam(visualizerId, key, defaultParams[key]);
-      }, Math.random() * transitionTime);
+      this.tweenVisualizerParam(visualizerId, key, defaultParams[key], {
+        duration: transitionTime,
+        mode: 'queue',
+        owner: 'conductor reset'
+      });
     });
   }
 
@@ -0,0 +1,178 @@
+/*
+ * PARAMETER HISTORY v1.0
+ *
+ * Undo/redo and a session change log for UnifiedPolytopalSystem parameter
+ * changes. Every change is { namespace, param, from, to, ms, ease }.
+ *
+ * - Changes made while handling one triggering event (begin()/end() around
+ *   executeReactions) form one transaction per visualizer they touch, so a
+ *   single undo reverts a whole "card:hover". Timelines keep recording into
+ *   the transaction of the event that started them; repeated changes to the
+ *   same parameter merge (first "from", last "to").
+ * - Undo/redo stacks are per visualizer and bounded (limit transactions).
+ * - The session log keeps every transaction plus undo/redo steps in order
+ *   (bounded by logLimit) and exports as JSON for replay.
+ *
+ * The history only stores data; UnifiedPolytopalSystem applies the values.
+ */
+
+class ParameterHistory {
+  constructor(options = {}) {
+    this.limit = options.limit || 50;
+    this.logLimit = options.logLimit || 1000;
+
+    this.stacks = new Map();
+    this.log = [];
+    this.droppedEntries = 0;
+    this.current = null;
+    this.nextId = 1;
+    this.startedAt = Date.now();
+    this.startTime = performance.now();
+  }
+
+  // Opens a group for one triggering event; meta is stored on its transactions
+  begin(label, meta = {}) {
+    this.current = { id: this.nextId++, label, meta, transactions: new Map() };
+    return this.current;
+  }
+
+  end(group = this.current) {
+    if (this.current === group) this.current = null;
+  }
+
+  // Changes outside a group become a transaction of their own
+  record(visualizerId, change, group = this.current) {
+    const owner = group || { id: this.nextId++, label: change.owner || 'direct', meta: {}, transactions: new Map() };
+
+    let transaction = owner.transactions.get(visualizerId);
+    if (!transaction) {
+      transaction = {
+        id: this.nextId++,
+        group: owner.id,
+        visualizerId,
+        label: owner.label,
+        ...owner.meta,
+        time: this.time(),
+        changes: []
+      };
+      owner.transactions.set(visualizerId, transaction);
+      this.push(visualizerId, transaction);
+      this.appendLog({ type: 'transaction', transaction });
+    }
+
+    const existing = transaction.changes.find(c => c.namespace === change.namespace && c.param === change.param);
+    if (existing) {
+      existing.to = change.to;
+      existing.ms = change.ms || 0;
+      existing.ease = change.ease;
+    } else {
+      transaction.changes.push({
+        namespace: change.namespace,
+        param: change.param,
+        from: change.from ?? null,
+        to: change.to,
+        ms: change.ms || 0,
+        ease: change.ease
+      });
+    }
+
+    return transaction;
+  }
+
+  // Returns the transaction to revert (apply each change's "from"), or null
+  undo(visualizerId) {
+    const stack = this.stacks.get(visualizerId);
+    const transaction = stack?.undo.pop();
+    if (!transaction) return null;
+
+    stack.redo.push(transaction);
+    this.appendLog({ type: 'undo', visualizerId, transactionId: transaction.id, time: this.time() });
+    return transaction;
+  }
+
+  // Returns the transaction to re-apply (apply each change's "to"), or null
+  redo(visualizerId) {
+    const stack = this.stacks.get(visualizerId);
+    const transaction = stack?.redo.pop();
+    if (!transaction) return null;
+
+    stack.undo.push(transaction);
+    this.appendLog({ type: 'redo', visualizerId, transactionId: transaction.id, time: this.time() });
+    return transaction;
+  }
+
+  canUndo(visualizerId) {
+    return (this.stacks.get(visualizerId)?.undo.length || 0) > 0;
+  }
+
+  canRedo(visualizerId) {
+    return (this.stacks.get(visualizerId)?.redo.length || 0) > 0;
+  }
+
+  getHistory(visualizerId) {
+    const stack = this.stacks.get(visualizerId) || { undo: [], redo: [] };
+    return { undo: stack.undo.slice(), redo: stack.redo.slice() };
+  }
+
+  getVisualizerIds() {
+    return Array.from(this.stacks.keys());
+  }
+
+  clear(visualizerId) {
+    if (visualizerId === undefined) {
+      this.stacks.clear();
+      this.log = [];
+      this.droppedEntries = 0;
+    } else {
+      this.stacks.delete(visualizerId);
+    }
+  }
+
+  // ===== SESSION LOG =====
+
+  export() {
+    return JSON.stringify({
+      version: 1,
+      startedAt: new Date(this.startedAt).toISOString(),
+      droppedEntries: this.droppedEntries,
+      entries: this.log
+    }, null, 2);
+  }
+
+  // Accepts export() output (string or parsed) and returns its entries in order
+  static parseLog(log) {
+    const data = typeof log === 'string' ? JSON.parse(log) : log;
+    if (!data || data.version !== 1 || !Array.isArray(data.entries)) {
+      throw new Error('Not a parameter history log (expected version 1 with entries)');
+    }
+    return data.entries;
+  }
+
+  // ===== INTERNALS =====
+
+  time() {
+    return Math.round(performance.now() - this.startTime);
+  }
+
+  push(visualizerId, transaction) {
+    if (!this.stacks.has(visualizerId)) {
+      this.stacks.set(visualizerId, { undo: [], redo: [] });
+    }
+
+    const stack = this.stacks.get(visualizerId);
+    stack.undo.push(transaction);
+    stack.redo = [];
+    if (stack.undo.length > this.limit) stack.undo.shift();
+  }
+
+  appendLog(entry) {
+    this.log.push(entry);
+    if (this.log.length > this.logLimit) {
+      this.log.shift();
+      this.droppedEntries++;
+    }
+  }
+}
+
+// Export for global use
+window.ParameterHistory = ParameterHistory;
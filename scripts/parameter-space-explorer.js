@@ -0,0 +1,256 @@
+/*
+ * PARAMETER SPACE EXPLORER v1.0
+ *
+ * XY pad over any two preset parameters, drawn on a 2D canvas.
+ *
+ *   const explorer = new ParameterSpaceExplorer(canvas, {
+ *     fields: PresetCodec.FIELDS,
+ *     x: 'visual.chaos',
+ *     y: 'visual.gridDensity',
+ *     onChange: (values) => ...,   { 'visual.chaos': 0.42, 'visual.gridDensity': 37 }
+ *     onPick: (id) => ...          a plotted point was clicked
+ *   });
+ *   explorer.setPoints(presets.map(p => ({ id: p.id, parameters: p.parameters })));
+ *   explorer.setPuck(current.parameters);
+ *
+ * Dragging the puck reports both axis values at most once per frame.
+ * Clicking within a few pixels of a plotted point picks it instead.
+ */
+
+class ParameterSpaceExplorer {
+  static PICK_RADIUS = 6;
+
+  /*
+   * options:
+   *   fields    [{ namespace, param, min, max }] that can be put on an axis
+   *   x, y      initial axes as "namespace.param"
+   *   onChange  called with { [x]: value, [y]: value } while dragging
+   *   onPick    called with a point id when a point is clicked
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.fields = options.fields || [];
+    this.onChange = options.onChange || null;
+    this.onPick = options.onPick || null;
+
+    this.points = [];
+    this.puck = null;
+    this.dragging = false;
+    this.frame = null;
+    this.pending = null;
+
+    this.setAxes(options.x || this.getKey(this.fields[0]), options.y || this.getKey(this.fields[1]));
+    this.bindPointer();
+  }
+
+  getKey(field) {
+    return field ? `${field.namespace}.${field.param}` : null;
+  }
+
+  getField(key) {
+    const field = this.fields.find(candidate => this.getKey(candidate) === key);
+    if (!field) throw new Error(`Unknown parameter space axis "${key}"`);
+    return field;
+  }
+
+  setAxes(x, y) {
+    const fields = [this.getField(x), this.getField(y)];
+    [this.x, this.y] = fields;
+    this.draw();
+    return this;
+  }
+
+  // points: [{ id, parameters, active }]; colour comes from the point's hue
+  setPoints(points) {
+    this.points = points;
+    this.draw();
+    return this;
+  }
+
+  // Puck at the axis values of a parameter set; null hides it
+  setPuck(parameters) {
+    this.puck = parameters
+      ? { x: this.getValue(parameters, this.x), y: this.getValue(parameters, this.y) }
+      : null;
+    this.draw();
+    return this;
+  }
+
+  getValue(parameters, field) {
+    const value = parameters?.[field.namespace]?.[field.param];
+    return typeof value === 'number' ? value : null;
+  }
+
+  // ===== MAPPING =====
+
+  toPixel(value, field, size, flip = false) {
+    const t = (value - field.min) / (field.max - field.min);
+    return (flip ? 1 - t : t) * size;
+  }
+
+  toValue(pixel, field, size, flip = false) {
+    const t = Math.min(Math.max(pixel / size, 0), 1);
+    return field.min + (flip ? 1 - t : t) * (field.max - field.min);
+  }
+
+  // Pointer event -> canvas pixels (the canvas may be scaled by CSS)
+  getCanvasPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  // ===== INTERACTION =====
+
+  bindPointer() {
+    this.handlers = {
+      down: (event) => {
+        const point = this.getCanvasPoint(event);
+        const picked = this.onPick && this.findPoint(point);
+        if (picked) {
+          this.onPick(picked.id);
+          return;
+        }
+
+        this.dragging = true;
+        this.canvas.setPointerCapture(event.pointerId);
+        this.movePuck(point);
+      },
+      move: (event) => {
+        if (this.dragging) this.movePuck(this.getCanvasPoint(event));
+      },
+      up: () => {
+        this.dragging = false;
+      }
+    };
+
+    this.canvas.addEventListener('pointerdown', this.handlers.down);
+    this.canvas.addEventListener('pointermove', this.handlers.move);
+    this.canvas.addEventListener('pointerup', this.handlers.up);
+    this.canvas.addEventListener('pointercancel', this.handlers.up);
+  }
+
+  findPoint({ x, y }) {
+    const { width, height } = this.canvas;
+    let best = null;
+    let bestDistance = ParameterSpaceExplorer.PICK_RADIUS;
+
+    this.points.forEach(point => {
+      const px = this.getValue(point.parameters, this.x);
+      const py = this.getValue(point.parameters, this.y);
+      if (px === null || py === null) return;
+
+      const distance = Math.hypot(this.toPixel(px, this.x, width) - x, this.toPixel(py, this.y, height, true) - y);
+      if (distance <= bestDistance) {
+        best = point;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  movePuck({ x, y }) {
+    const { width, height } = this.canvas;
+    this.puck = { x: this.toValue(x, this.x, width), y: this.toValue(y, this.y, height, true) };
+    this.draw();
+
+    this.pending = { [this.getKey(this.x)]: this.puck.x, [this.getKey(this.y)]: this.puck.y };
+    if (!this.frame) {
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        if (this.onChange && this.pending) this.onChange(this.pending);
+        this.pending = null;
+      });
+    }
+  }
+
+  // ===== DRAWING =====
+
+  draw() {
+    if (!this.x || !this.y) return;
+
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+
+    ctx.fillStyle = 'rgba(13, 17, 23, 1)';
+    ctx.fillRect(0, 0, width, height);
+
+    // Quarter grid
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.lineWidth = 1;
+    for (let i = 1; i < 4; i++) {
+      ctx.beginPath();
+      ctx.moveTo((width * i) / 4, 0);
+      ctx.lineTo((width * i) / 4, height);
+      ctx.moveTo(0, (height * i) / 4);
+      ctx.lineTo(width, (height * i) / 4);
+      ctx.stroke();
+    }
+
+    this.points.forEach(point => {
+      const px = this.getValue(point.parameters, this.x);
+      const py = this.getValue(point.parameters, this.y);
+      if (px === null || py === null) return;
+
+      const x = this.toPixel(px, this.x, width);
+      const y = this.toPixel(py, this.y, height, true);
+      ctx.fillStyle = `hsl(${point.parameters.color?.hue ?? 200}, 70%, 60%)`;
+      ctx.beginPath();
+      ctx.arc(x, y, 3, 0, Math.PI * 2);
+      ctx.fill();
+
+      if (point.active) {
+        ctx.strokeStyle = 'rgba(58, 212, 237, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    });
+
+    if (this.puck && this.puck.x !== null && this.puck.y !== null) {
+      const x = this.toPixel(this.puck.x, this.x, width);
+      const y = this.toPixel(this.puck.y, this.y, height, true);
+      ctx.strokeStyle = 'rgba(58, 212, 237, 0.3)';
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+
+      ctx.fillStyle = '#3ad4ed';
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    // Axis labels with the puck values
+    const format = (value) => (value === null || value === undefined ? '–' : value.toFixed(2));
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.font = '10px Orbitron';
+    ctx.fillText(`${this.x.param} ${format(this.puck?.x)} →`, 5, height - 5);
+    ctx.save();
+    ctx.translate(12, height - 20);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(`${this.y.param} ${format(this.puck?.y)} →`, 0, 0);
+    ctx.restore();
+  }
+
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.canvas.removeEventListener('pointerdown', this.handlers.down);
+    this.canvas.removeEventListener('pointermove', this.handlers.move);
+    this.canvas.removeEventListener('pointerup', this.handlers.up);
+    this.canvas.removeEventListener('pointercancel', this.handlers.up);
+  }
+}
+
+// Export for global use
+window.ParameterSpaceExplorer = ParameterSpaceExplorer;
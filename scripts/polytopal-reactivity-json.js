@@ -16,9 +16,54 @@ class UnifiedPolytopalSystem {
     this.systems = new Map();
     this.routes = [];
     this.activeElements = new Map();
-    this.parameterHistory = new Map();
     this.isInitialized = false;
     
+    // Config validation (errors are always reported; strict mode refuses the config)
+    this.validator = null;
+    this.validationErrors = [];
+    this.strictValidation = false;
+    
+    // Config composition (manifest → system files → page config → extends)
+    this.manifestUrl = '/assets/reactivity/manifest.json';
+    this.configLoader = window.ReactivityConfigLoader ? new ReactivityConfigLoader() : null;
+    this.configSources = [];
+    
+    // Live inputs exposed to "expr" operations (scroll, pointer, time)
+    this.inputState = {
+      scroll: { progress: 0, velocity: 0 },
+      pointer: { x: 0.5, y: 0.5 },
+      startTime: performance.now()
+    };
+    this.setupInputTracking();
+    
+    // Maps "subject:action" config keys to pointer/focus/key/visibility/scroll triggers
+    this.eventBinder = window.ReactivityEventBinder ? new ReactivityEventBinder() : null;
+    
+    // Shared tween scheduler (one frame loop, per-parameter ownership)
+    this.tweenScheduler = window.tweenScheduler || null;
+    
+    // Keyframe sequences ("keyframes" operations and "timeline" blocks)
+    // (linear easing without EasingLibrary)
+    this.timeline = window.ReactivityTimeline
+      ? new ReactivityTimeline({ easing: window.EasingLibrary ? (t, easing) => EasingLibrary.ease(t, easing) : null })
+      : null;
+    // Closing actions cancel timelines their opening actions started
+    this.closingEvents = {
+      leave: ['hover', 'press', 'longpress'],
+      release: ['press', 'longpress'],
+      blur: ['focus', 'key'],
+      exit: ['enter', 'visible']
+    };
+    
+    // Undo/redo per visualizer and the session change log; changes made while
+    // handling one event are grouped into one transaction
+    this.history = window.ParameterHistory ? new ParameterHistory() : null;
+    
+    const missing = ['ReactivityEventBinder', 'ReactivityTimeline', 'ParameterHistory'].filter(name => !window[name]);
+    if (missing.length > 0) {
+      console.warn(`⚠️ Reactivity modules not loaded: ${missing.join(', ')} - events, timelines or undo/redo are disabled`);
+    }
+    
     // CONSOLIDATED VISUALIZER MANAGEMENT
     this.visualizers = new Map();
     this.parameterQueue = new Map();
@@ -30,8 +75,7 @@ class UnifiedPolytopalSystem {
 
   async loadConfiguration() {
     try {
-      const response = await fetch('/assets/reactivity/faceted.json');
-      const config = await response.json();
+      const config = await this.loadComposedConfiguration();
       
       // Initialize visualizer scanning FIRST
       this.scanForVisualizers();
@@ -48,6 +92,7 @@ class UnifiedPolytopalSystem {
       
       this.isInitialized = true;
       console.log('🚀 UNIFIED Polytopal System - Loaded', this.systems.size, 'systems,', this.visualizers.size, 'visualizers');
+      this.announceReady();
       
       // Start parameter processing queue
       this.startParameterQueue();
@@ -59,109 +104,371 @@ class UnifiedPolytopalSystem {
     }
   }
   
+  async loadComposedConfiguration() {
+    if (!this.configLoader) {
+      console.warn('⚠️ ReactivityConfigLoader not loaded - composing', this.manifestUrl, 'without extends');
+      return this.loadLegacyConfiguration();
+    }
+    
+    const pageKey = this.getPageKey();
+    const { config, sources } = await this.configLoader.loadForPage(this.manifestUrl, pageKey);
+    this.configSources = sources.map(source => source.url);
+    
+    // Each file is checked on its own (systems may live in another file),
+    // then the composed result is checked for cross-file references
+    const errors = [];
+    for (const source of sources) {
+      await this.validateConfiguration(source.config, source.url, { references: false });
+      errors.push(...this.validationErrors);
+    }
+    await this.validateConfiguration(config, `${this.manifestUrl} [page: ${pageKey}]`);
+    this.validationErrors = errors.concat(this.validationErrors);
+    
+    console.log(`📦 Reactivity config composed for page "${pageKey}" from ${sources.length} file(s)`);
+    return config;
+  }
+  
+  // Without the loader: the manifest's system files and the page config,
+  // merged shallowly ("extends" chains are not followed)
+  async loadLegacyConfiguration() {
+    const fetchJson = async (file) => {
+      const response = await fetch(new URL(file, new URL(this.manifestUrl, window.location.href)));
+      return response.json();
+    };
+    const manifest = await fetchJson(this.manifestUrl);
+    const config = { systems: {}, routes: [] };
+    
+    for (const file of manifest.systems || []) {
+      Object.assign(config.systems, (await fetchJson(file)).systems);
+    }
+    
+    const pageKey = this.getPageKey();
+    const pages = manifest.pages || {};
+    const pageFile = pages[pageKey] || pages.default;
+    if (pageFile) {
+      const page = await fetchJson(pageFile);
+      Object.assign(config.systems, page.systems);
+      config.routes.push(...(page.routes || []));
+    }
+    
+    await this.validateConfiguration(config, `${this.manifestUrl} [page: ${pageKey}]`);
+    return config;
+  }
+  
+  // <body data-reactivity-page="..."> wins; otherwise the HTML file name
+  getPageKey() {
+    if (document.body?.dataset.reactivityPage) {
+      return document.body.dataset.reactivityPage;
+    }
+    
+    const file = window.location.pathname.split('/').pop().replace(/\.html?$/, '');
+    return file || 'default';
+  }
+  
+  async validateConfiguration(config, source, options = {}) {
+    if (!window.ReactivityConfigValidator) {
+      console.warn('⚠️ ReactivityConfigValidator not loaded - skipping config validation');
+      return true;
+    }
+    
+    try {
+      if (!this.validator) {
+        this.validator = await ReactivityConfigValidator.load();
+        if (window.ReactivityExpression) {
+          this.validator.registerFormat('reactivity-expression', ReactivityExpression.check);
+        }
+        if (window.EasingLibrary) {
+          this.validator.registerFormat('easing', EasingLibrary.check);
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load reactivity schema - skipping config validation:', error);
+      return true;
+    }
+    
+    const result = this.validator.validate(config, options);
+    this.validationErrors = result.errors.map(error => ({ source, ...error }));
+    
+    if (!result.valid) {
+      console.error(`❌ Reactivity config ${source} has ${result.errors.length} error(s):\n` +
+        ReactivityConfigValidator.formatErrors(result.errors));
+      
+      if (this.strictValidation) {
+        throw new Error(`Reactivity config failed validation: ${source}`);
+      }
+    }
+    
+    return result.valid;
+  }
+  
+  setupInputTracking() {
+    let lastScrollY = window.scrollY;
+    let lastScrollTime = performance.now();
+    
+    const updateScroll = () => {
+      const now = performance.now();
+      const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+      const elapsed = Math.max(now - lastScrollTime, 1);
+      
+      this.inputState.scroll.progress = maxScroll > 0 ? Math.min(Math.max(window.scrollY / maxScroll, 0), 1) : 0;
+      // Viewport heights per second, signed (positive = scrolling down)
+      this.inputState.scroll.velocity = ((window.scrollY - lastScrollY) / window.innerHeight) / (elapsed / 1000);
+      
+      lastScrollY = window.scrollY;
+      lastScrollTime = now;
+    };
+    
+    window.addEventListener('scroll', updateScroll, { passive: true });
+    window.addEventListener('pointermove', (event) => {
+      this.inputState.pointer.x = event.clientX / window.innerWidth;
+      this.inputState.pointer.y = event.clientY / window.innerHeight;
+    }, { passive: true });
+    
+    updateScroll();
+  }
+  
   initializeFallbackSystem() {
     console.warn('🔄 Initializing fallback reactivity system');
     this.scanForVisualizers();
     this.startParameterQueue();
     this.isInitialized = true;
+    this.announceReady();
+  }
+
+  // Config loaded and routes bound (or the fallback is up)
+  announceReady() {
+    window.dispatchEvent(new CustomEvent('polytopal:ready', {
+      detail: { systems: this.systems.size, routes: this.routes.length, visualizers: this.visualizers.size }
+    }));
   }
 
   initializeRoutes() {
+    // Route overrides are resolved once per route, not per element
+    this.routeSystems = new Map();
     this.routes.forEach(route => {
-      const elements = document.querySelectorAll(route.selector);
-      
-      elements.forEach(element => {
-        const elementData = {
-          element,
-          route,
-          system: this.systems.get(route.system),
-          originalParams: this.captureOriginalParams(route.system),
-          activeReactions: new Set()
-        };
-        
-        this.setupElementListeners(elementData);
-        this.activeElements.set(element, elementData);
+      this.routeSystems.set(route, window.ReactivityConfigLoader
+        ? ReactivityConfigLoader.resolveRouteSystem(this.systems.get(route.system), route.overrides)
+        : this.systems.get(route.system));
+    });
+    
+    this.refreshRoutes();
+    this.observeRoutes();
+  }
+
+  // Binds every element currently matching a route and unbinds elements that
+  // left the DOM or no longer match. Safe to call at any time.
+  refreshRoutes() {
+    if (!this.routeSystems) return 0; // Config not loaded yet
+    
+    this.activeElements.forEach((elementData, element) => {
+      if (!element.isConnected) {
+        this.unbindElement(element);
+        return;
+      }
+      this.getElementBindings(elementData).forEach(binding => {
+        if (!element.matches(binding.route.selector)) this.unbindElement(element, binding.route);
       });
     });
+    
+    this.routes.forEach(route => {
+      document.querySelectorAll(route.selector).forEach(element => this.bindElement(element, route));
+    });
+    
+    return this.activeElements.size;
   }
 
-  setupElementListeners(elementData) {
-    const { element, system } = elementData;
+  // Keeps routes live for content rendered after load (portfolio filters,
+  // research tabs): added nodes are bound, removed nodes release their listeners
+  observeRoutes() {
+    if (this.routeObserver || typeof MutationObserver === 'undefined') return;
     
-    if (!system?.reactivity?.events) return;
+    // Attributes that can change whether an element matches a selector
+    const attributeFilter = new Set(['class', 'id']);
+    this.routes.forEach(route => {
+      (route.selector.match(/\[[\w-]+/g) || []).forEach(match => attributeFilter.add(match.slice(1)));
+    });
     
-    Object.entries(system.reactivity.events).forEach(([eventType, reactions]) => {
-      const [eventName] = eventType.split(':');
+    this.routeObserver = new MutationObserver((mutations) => {
+      let removed = false;
+      const changed = new Set();
       
-      if (eventName === 'card' || eventName === 'button') {
-        this.setupCardOrButtonEvents(element, eventType, reactions, elementData);
+      mutations.forEach(mutation => {
+        if (mutation.type === 'attributes') {
+          changed.add(mutation.target);
+          return;
+        }
+        
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          this.routes.forEach(route => {
+            if (node.matches(route.selector)) this.bindElement(node, route);
+            node.querySelectorAll(route.selector).forEach(element => this.bindElement(element, route));
+          });
+        });
+        removed = removed || mutation.removedNodes.length > 0;
+      });
+      
+      changed.forEach(element => this.rematchElement(element));
+      
+      // Moved nodes are removed and re-added; only disconnected ones are unbound
+      if (removed) {
+        this.activeElements.forEach((elementData, element) => {
+          if (!element.isConnected) this.unbindElement(element);
+        });
       }
     });
+    
+    this.routeObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: Array.from(attributeFilter)
+    });
   }
 
-  setupCardOrButtonEvents(element, eventType, reactions, elementData) {
-    const [, action] = eventType.split(':');
+  // An attribute change can also flip descendants (.theme-dark .card), so
+  // the element's whole subtree is matched again
+  rematchElement(element) {
+    if (!element.isConnected) return;
     
-    switch (action) {
-      case 'hover':
-        element.addEventListener('mouseenter', () => {
-          this.executeReactions(reactions, elementData, eventType);
+    Array.from(this.activeElements.keys())
+      .filter(bound => element.contains(bound))
+      .forEach(bound => {
+        this.getElementBindings(this.activeElements.get(bound)).forEach(binding => {
+          if (!bound.matches(binding.route.selector)) this.unbindElement(bound, binding.route);
         });
-        break;
-        
-      case 'leave':
-        element.addEventListener('mouseleave', () => {
-          this.executeReactions(reactions, elementData, eventType);
-        });
-        break;
-        
-      case 'click':
-        element.addEventListener('click', () => {
-          this.executeReactions(reactions, elementData, eventType);
-        });
-        break;
-    }
+      });
+    
+    this.routes.forEach(route => {
+      if (element.matches(route.selector)) this.bindElement(element, route);
+      element.querySelectorAll(route.selector).forEach(match => this.bindElement(match, route));
+    });
   }
 
-  executeReactions(reactions, elementData, eventType) {
-    const { element, system, route } = elementData;
+  // An element matching several routes keeps one entry in activeElements
+  // (the first route); the other bindings hang off it as "linked"
+  bindElement(element, route) {
+    if (this.isBound(element, route)) return;
     
-    // Process target reactions (the element itself)
-    if (reactions.target) {
-      this.applyTargetReactions(element, reactions.target, system, eventType);
-    }
+    const system = this.routeSystems.get(route);
+    const elementData = {
+      element,
+      route,
+      system,
+      originalParams: system ? JSON.parse(JSON.stringify(system.base)) : {},
+      activeReactions: new Set(),
+      linked: []
+    };
     
-    // Process frame reactions (background visualizer)
-    if (reactions.frame) {
-      this.applyFrameReactions(reactions.frame, system, route, eventType);
-    }
+    this.setupElementListeners(elementData);
     
-    // Process sibling reactions (other elements in same scene)
-    if (reactions.siblings) {
-      this.applySiblingReactions(element, reactions.siblings, route, eventType);
+    const existing = this.activeElements.get(element);
+    if (existing) {
+      existing.linked.push(elementData);
+    } else {
+      this.activeElements.set(element, elementData);
     }
   }
 
-  applyTargetReactions(element, targetReactions, system, eventType) {
-    // Handle visual parameter changes
-    if (targetReactions.visual) {
-      Object.entries(targetReactions.visual).forEach(([param, operation]) => {
-        this.applyParameterOperation(element, 'visual', param, operation, system);
-      });
+  // Removes one route's binding, or every binding when route is omitted
+  unbindElement(element, route) {
+    const elementData = this.activeElements.get(element);
+    if (!elementData) return;
+    
+    const bindings = this.getElementBindings(elementData);
+    const released = route ? bindings.filter(binding => binding.route === route) : bindings;
+    const remaining = bindings.filter(binding => !released.includes(binding));
+    
+    released.forEach(binding => {
+      binding.disposers.forEach(dispose => dispose());
+      binding.disposers = [];
+    });
+    this.timeline?.cancelWhere(key => key.element === element &&
+      !remaining.some(binding => binding.system?.reactivity?.events?.[key.eventType]));
+    
+    if (remaining.length === 0) {
+      this.activeElements.delete(element);
+    } else {
+      const [primary, ...linked] = remaining;
+      primary.linked = linked;
+      this.activeElements.set(element, primary);
     }
+  }
+
+  isBound(element, route) {
+    const elementData = this.activeElements.get(element);
+    return !!elementData && this.getElementBindings(elementData).some(binding => binding.route === route);
+  }
+
+  getElementBindings(elementData) {
+    return [elementData, ...(elementData.linked || [])];
+  }
+
+  setupElementListeners(elementData) {
+    const { element, system } = elementData;
+    
+    elementData.disposers = elementData.disposers || [];
+    if (!system?.reactivity?.events || !this.eventBinder) return;
     
-    // Handle color parameter changes
-    if (targetReactions.color) {
-      Object.entries(targetReactions.color).forEach(([param, operation]) => {
-        this.applyParameterOperation(element, 'color', param, operation, system);
+    Object.entries(system.reactivity.events).forEach(([eventType, reactions]) => {
+      const dispose = this.eventBinder.bind(element, eventType, () => {
+        this.executeReactions(reactions, elementData, eventType);
       });
+      elementData.disposers.push(dispose);
+    });
+  }
+
+  executeReactions(reactions, elementData, eventType) {
+    const { element, system, route } = elementData;
+    
+    this.cancelTimelines(element, eventType, reactions);
+    
+    const group = this.history?.begin(eventType, { eventType, element: element.id || 'unnamed' });
+    const fired = { target: null, frame: null, siblings: [] };
+    try {
+      // Process target reactions (the element itself)
+      if (reactions.target) {
+        this.applyTargetReactions(element, reactions.target, system, eventType, route);
+        fired.target = this.findElementVisualizer(element);
+      }
+      
+      // Process frame reactions (background visualizer)
+      if (reactions.frame) {
+        fired.frame = this.applyFrameReactions(reactions.frame, system, route, eventType, element);
+      }
+      
+      // Process sibling reactions (other elements in same scene)
+      if (reactions.siblings) {
+        fired.siblings = this.applySiblingReactions(element, reactions.siblings, route, eventType, system);
+      }
+    } finally {
+      this.history?.end(group);
     }
     
-    // Handle rot4d parameter changes
-    if (targetReactions.rot4d) {
-      Object.entries(targetReactions.rot4d).forEach(([param, operation]) => {
-        this.applyParameterOperation(element, 'rot4d', param, operation, system);
+    // Observed by the reactivity inspector
+    window.dispatchEvent(new CustomEvent('polytopal:reaction', {
+      detail: { element, eventType, route, reactions, fired }
+    }));
+  }
+
+  applyTargetReactions(element, targetReactions, system, eventType, route) {
+    const playback = { element, system, route, eventType, defaults: targetReactions };
+    
+    // Handle visual, color and rot4d parameter changes
+    ['visual', 'color', 'rot4d'].forEach(namespace => {
+      Object.entries(targetReactions[namespace] || {}).forEach(([param, operation]) => {
+        const timeline = this.getOperationTimeline(namespace, param, operation);
+        if (timeline) {
+          this.playTimeline(timeline, 'target', playback);
+        } else {
+          this.applyParameterOperation(element, namespace, param, operation, system, route, targetReactions, eventType);
+        }
       });
+    });
+    
+    // Handle keyframe sequences
+    if (targetReactions.timeline) {
+      this.playTimeline(targetReactions.timeline, 'target', playback);
     }
     
     // Handle reset operations
@@ -170,22 +477,84 @@ class UnifiedPolytopalSystem {
     }
   }
 
-  applyParameterOperation(element, namespace, param, operation, system) {
+  applyParameterOperation(element, namespace, param, operation, system, route, block = {}, eventType) {
     const currentValue = this.getCurrentParameterValue(element, namespace, param, system);
-    const newValue = this.calculateParameterValue(currentValue, operation, system, namespace, param);
+    const newValue = this.calculateParameterValue(currentValue, operation, system, namespace, param, { element, route });
     
     // Apply to visualizer if element has one
     const visualizer = this.findElementVisualizer(element);
     if (visualizer) {
-      this.queueParameterUpdate(visualizer.id, namespace, param, newValue, { immediate: true });
+      this.tweenParameter(visualizer, namespace, param, newValue, {
+        ...this.getTweenOptions(operation, block),
+        from: currentValue,
+        owner: eventType
+      });
+    }
+  }
+
+  // Operation settings win over the reaction block's ("ms", "ease", "mode")
+  getTweenOptions(operation, block = {}) {
+    const op = typeof operation === 'object' ? operation : {};
+    return {
+      ms: op.ms ?? block.ms ?? 0,
+      ease: op.ease || block.ease,
+      mode: op.mode || block.mode
+    };
+  }
+
+  // Only meaningful with a scheduler; every key use goes through it
+  getTweenKey(visualizerId, namespace, param) {
+    return this.tweenScheduler?.keyFor(visualizerId, `${namespace}.${param}`) ?? null;
+  }
+
+  // Animates a visualizer parameter through the shared scheduler; without a
+  // duration (or scheduler) the value applies at once and takes ownership.
+  // The change is recorded in the history unless options.record is false.
+  tweenParameter(visualizer, namespace, param, value, options = {}) {
+    const key = this.getTweenKey(visualizer.id, namespace, param);
+    
+    if (options.record !== false) {
+      this.history?.record(visualizer.id, {
+        namespace,
+        param,
+        from: options.from ?? this.readVisualizerParameter(visualizer.id, namespace, param),
+        to: value,
+        ms: options.ms,
+        ease: options.ease,
+        owner: options.owner
+      });
+    }
+    
+    if (!options.ms || !this.tweenScheduler) {
+      this.tweenScheduler?.cancel(key);
+      this.queueParameterUpdate(visualizer.id, namespace, param, value, { immediate: true });
+      return null;
     }
     
-    // Store parameter change for reference
-    this.recordParameterChange(element, namespace, param, currentValue, newValue);
+    return this.tweenScheduler.to({
+      key,
+      from: options.from,
+      to: value,
+      duration: options.ms,
+      easing: options.ease,
+      mode: options.mode,
+      owner: options.owner ? `polytopal ${options.owner}` : 'polytopal',
+      // Intermediate values go through the batched queue, the final one applies immediately
+      apply: (current, isFinal) => {
+        this.queueParameterUpdate(visualizer.id, namespace, param, current, { immediate: isFinal });
+      }
+    });
   }
 
-  calculateParameterValue(currentValue, operation, system, namespace, param) {
+  // context: { element, route } of the triggering element, used by expressions
+  // and target./frame. references
+  calculateParameterValue(currentValue, operation, system, namespace, param, context = {}) {
     if (typeof operation === 'object') {
+      // Expression operation ("expr": "clamp(value + 30, 0, 360)")
+      if (operation.expr !== undefined) {
+        return this.evaluateExpression(operation.expr, currentValue, system, context);
+      }
+      
       // Complex operation object
       if (operation.to !== undefined) {
         return operation.to;
@@ -196,7 +565,7 @@ class UnifiedPolytopalSystem {
       }
       
       if (operation.toComplementOf) {
-        const targetValue = this.resolveParameterReference(operation.toComplementOf, system);
+        const targetValue = this.resolveParameterReference(operation.toComplementOf, system, context);
         if (param === 'hue') {
           return (targetValue + 180) % 360;
         }
@@ -204,24 +573,22 @@ class UnifiedPolytopalSystem {
       }
       
       if (operation.toInverseOf) {
-        const targetValue = this.resolveParameterReference(operation.toInverseOf, system);
+        const targetValue = this.resolveParameterReference(operation.toInverseOf, system, context);
         return 1 / Math.max(targetValue, 0.001); // Prevent division by zero
       }
       
       if (operation.pingPong) {
-        const [high, low] = operation.pingPong;
-        const duration = operation.ms || 300;
-        this.createPingPongAnimation(currentValue, high, low, duration);
-        return high; // Start with high value
+        // Animated as a timeline where a visualizer is available (see getOperationTimeline)
+        return operation.pingPong[0];
       }
       
       if (operation.swapWith) {
-        const targetValue = this.resolveParameterReference(operation.swapWith, system);
+        const targetValue = this.resolveParameterReference(operation.swapWith, system, context);
         return targetValue;
       }
       
       if (operation.pingPongInverseOf) {
-        const targetValue = this.resolveParameterReference(operation.pingPongInverseOf, system);
+        const targetValue = this.resolveParameterReference(operation.pingPongInverseOf, system, context);
         const inverse = 1 / Math.max(targetValue, 0.001);
         const multiplier = operation.mul || 1;
         return inverse * multiplier;
@@ -235,9 +602,11 @@ class UnifiedPolytopalSystem {
     return currentValue;
   }
 
-  resolveParameterReference(reference, system) {
+  // "target.color.hue" / "frame.visual.speed" / "base.rot4d.xw"
+  resolveParameterReference(reference, system, context = {}) {
+    const scope = this.buildExpressionScope(0, system, context);
     const parts = reference.split('.');
-    let current = system.base;
+    let current = scope[parts[0]] ? scope : scope.base;
     
     for (const part of parts) {
       if (current && current[part] !== undefined) {
@@ -251,66 +620,170 @@ class UnifiedPolytopalSystem {
     return current;
   }
 
-  createPingPongAnimation(startValue, high, low, duration) {
-    const steps = 60; // 60fps assumption
-    const stepDuration = duration / steps;
-    let currentStep = 0;
-    let goingUp = true;
+  evaluateExpression(expression, currentValue, system, context) {
+    if (!window.ReactivityExpression) {
+      console.warn('⚠️ ReactivityExpression not loaded - ignoring expr:', expression);
+      return currentValue;
+    }
     
-    const animate = () => {
-      const progress = currentStep / (steps / 2);
-      const easeProgress = this.easeInOutCubic(progress);
-      
-      const value = goingUp 
-        ? startValue + (high - startValue) * easeProgress
-        : high - (high - low) * easeProgress;
-      
-      // Apply value to visualizer
-      // (This would connect to your VIB34D system)
-      
-      currentStep++;
-      
-      if (currentStep >= steps / 2) {
-        if (goingUp) {
-          goingUp = false;
-          currentStep = 0;
-        } else {
-          return; // Animation complete
+    try {
+      return ReactivityExpression.evaluate(expression, this.buildExpressionScope(currentValue, system, context));
+    } catch (error) {
+      console.warn('Could not evaluate reactivity expression:', error.message);
+      return currentValue;
+    }
+  }
+
+  buildExpressionScope(currentValue, system, context = {}) {
+    const base = system?.base || {};
+    const frameVisualizer = context.route ? this.findFrameVisualizer(context.route.scene) : null;
+    
+    return {
+      value: currentValue,
+      base,
+      target: context.element && system
+        ? this.readParameters(base, (namespace, param) => this.getCurrentParameterValue(context.element, namespace, param, system))
+        : base,
+      frame: frameVisualizer
+        ? this.readParameters(base, (namespace, param) => this.getCurrentFrameParameter(frameVisualizer, param, namespace, base[namespace]?.[param] ?? 0))
+        : base,
+      scroll: { ...this.inputState.scroll },
+      pointer: { ...this.inputState.pointer },
+      time: (performance.now() - this.inputState.startTime) / 1000
+    };
+  }
+
+  // { visual, color, rot4d } with values from read() for every base or mapped
+  // parameter, so expressions can read parameters a system's base leaves out
+  readParameters(base, read) {
+    const values = {};
+    ['visual', 'color', 'rot4d'].forEach(namespace => {
+      values[namespace] = {};
+      const params = new Set([...Object.keys(base[namespace] || {}), ...Object.keys(this.parameterMappings[namespace] || {})]);
+      params.forEach(param => {
+        values[namespace][param] = read(namespace, param);
+      });
+    });
+    return values;
+  }
+
+  // "keyframes" and legacy "pingPong" operations animate as timelines
+  getOperationTimeline(namespace, param, operation) {
+    if (typeof operation !== 'object' || !this.timeline) return null;
+    if (operation.keyframes) return ReactivityTimeline.fromKeyframes(namespace, param, operation);
+    if (operation.pingPong) return ReactivityTimeline.fromPingPong(namespace, param, operation);
+    return null;
+  }
+
+  playTimeline(spec, role, { element, system, route, eventType, defaults }) {
+    const visualizer = role === 'frame' ? this.findFrameVisualizer(route.scene) : this.findElementVisualizer(element);
+    if (!visualizer || !this.timeline) return null;
+    
+    const context = { element, route };
+    const owned = new Set();
+    // Steps resolve after the event has been handled; they still belong to its transaction
+    const group = this.history?.current;
+    
+    return this.timeline.play(spec, {
+      read: (namespace, param) => role === 'frame'
+        ? this.getCurrentFrameParameter(visualizer, param, namespace, system.base[namespace]?.[param] ?? 0)
+        : this.getCurrentParameterValue(element, namespace, param, system),
+      resolve: (from, operation, namespace, param) => {
+        const to = this.calculateParameterValue(from, operation, system, namespace, param, context);
+        this.history?.record(visualizer.id, { namespace, param, from, to, ms: operation.ms, ease: operation.ease, owner: eventType }, group);
+        return to;
+      },
+      // Intermediate frames go through the batched queue; the final value applies immediately
+      apply: (namespace, param, value, isFinal) => {
+        // The timeline owns its parameters: stop scheduler tweens on them once
+        const key = this.getTweenKey(visualizer.id, namespace, param);
+        if (!owned.has(key)) {
+          this.tweenScheduler?.cancel(key);
+          owned.add(key);
         }
+        this.queueParameterUpdate(visualizer.id, namespace, param, value, { immediate: isFinal });
       }
-      
-      setTimeout(animate, stepDuration);
-    };
+    }, {
+      key: { element, eventType },
+      defaults: { ms: defaults?.ms, ease: defaults?.ease }
+    });
+  }
+
+  // An event restarts its own timelines and cancels those started by the
+  // event it closes (card:leave → card:hover) or listed in "cancels"
+  cancelTimelines(element, eventType, reactions) {
+    if (!this.timeline) return;
     
-    animate();
+    // Without the event binder only explicit cancels apply
+    const parsed = typeof ReactivityEventBinder !== 'undefined' ? ReactivityEventBinder.parse(eventType) : null;
+    const explicit = new Set([eventType, ...(reactions.cancels || [])]);
+    const opening = parsed ? this.closingEvents[parsed.action] || [] : [];
+    
+    this.timeline.cancelWhere(key => {
+      if (key.element !== element) return false;
+      if (explicit.has(key.eventType)) return true;
+      if (!parsed) return false;
+      
+      const started = ReactivityEventBinder.parse(key.eventType);
+      return started && started.subject === parsed.subject && opening.includes(started.action);
+    });
   }
 
-  applyFrameReactions(frameReactions, system, route, eventType) {
+  applyFrameReactions(frameReactions, system, route, eventType, element) {
     // Find the hero/background visualizer for this scene
     const frameVisualizer = this.findFrameVisualizer(route.scene);
     
     if (frameVisualizer) {
+      const playback = { element, system, route, eventType, defaults: frameReactions };
+      
+      // Keyframe sequences
+      if (frameReactions.timeline) {
+        this.playTimeline(frameReactions.timeline, 'frame', playback);
+      }
+      
       // Apply visual changes to frame
       if (frameReactions.visual) {
         Object.entries(frameReactions.visual).forEach(([param, operation]) => {
-          const currentValue = this.getCurrentFrameParameter(frameVisualizer, param);
-          const newValue = this.calculateParameterValue(currentValue, operation, system, 'visual', param);
-          this.queueParameterUpdate(frameVisualizer.id, 'visual', param, newValue, { immediate: true });
+          const timeline = this.getOperationTimeline('visual', param, operation);
+          if (timeline) {
+            this.playTimeline(timeline, 'frame', playback);
+            return;
+          }
+          
+          const currentValue = this.getCurrentFrameParameter(frameVisualizer, param, 'visual');
+          const newValue = this.calculateParameterValue(currentValue, operation, system, 'visual', param, { element, route });
+          this.tweenParameter(frameVisualizer, 'visual', param, newValue, {
+            ...this.getTweenOptions(operation, frameReactions),
+            from: currentValue,
+            owner: eventType
+          });
         });
       }
       
       // Apply color changes to frame
       if (frameReactions.color) {
         Object.entries(frameReactions.color).forEach(([param, operation]) => {
-          const currentValue = this.getCurrentFrameParameter(frameVisualizer, param);
-          const newValue = this.calculateParameterValue(currentValue, operation, system, 'color', param);
-          this.queueParameterUpdate(frameVisualizer.id, 'color', param, newValue, { immediate: true });
+          const timeline = this.getOperationTimeline('color', param, operation);
+          if (timeline) {
+            this.playTimeline(timeline, 'frame', playback);
+            return;
+          }
+          
+          const currentValue = this.getCurrentFrameParameter(frameVisualizer, param, 'color');
+          const newValue = this.calculateParameterValue(currentValue, operation, system, 'color', param, { element, route });
+          this.tweenParameter(frameVisualizer, 'color', param, newValue, {
+            ...this.getTweenOptions(operation, frameReactions),
+            from: currentValue,
+            owner: eventType
+          });
         });
       }
     }
+    
+    return frameVisualizer;
   }
 
-  applySiblingReactions(triggerElement, siblingReactions, route, eventType) {
+  applySiblingReactions(triggerElement, siblingReactions, route, eventType, system) {
     // Find sibling elements in same scene
     const siblings = this.findSiblingElements(triggerElement, route.scene);
     
@@ -320,7 +793,8 @@ class UnifiedPolytopalSystem {
           if (param === 'intensity') {
             // Apply opacity/intensity changes to sibling elements
             const currentOpacity = parseFloat(getComputedStyle(sibling).opacity) || 1;
-            const newOpacity = this.calculateParameterValue(currentOpacity, operation, null, 'visual', param);
+            const newOpacity = this.calculateParameterValue(currentOpacity, operation, system, 'visual', param,
+              { element: triggerElement, route });
             sibling.style.opacity = newOpacity;
           }
         });
@@ -331,6 +805,8 @@ class UnifiedPolytopalSystem {
         this.resetSiblingElement(sibling, siblingReactions);
       }
     });
+    
+    return siblings;
   }
 
   findElementVisualizer(element) {
@@ -393,51 +869,16 @@ class UnifiedPolytopalSystem {
 
   // OLD METHODS REMOVED - Now using unified queueParameterUpdate system
 
-  createSmoothTransition(iframe, paramName, startValue, endValue, duration, easing = 'linear') {
-    const steps = Math.max(duration / 16, 10); // ~60fps, minimum 10 steps
-    const stepDuration = duration / steps;
-    let currentStep = 0;
-    
-    const animate = () => {
-      const progress = currentStep / steps;
-      const easedProgress = this.applyEasing(progress, easing);
-      const currentValue = startValue + (endValue - startValue) * easedProgress;
-      
-      try {
-        const url = new URL(iframe.src);
-        url.searchParams.set(paramName, currentValue.toFixed(3));
-        iframe.src = url.toString();
-      } catch (error) {
-        return; // Stop animation on error
-      }
-      
-      currentStep++;
-      if (currentStep <= steps) {
-        setTimeout(animate, stepDuration);
-      }
-    };
-    
-    animate();
-  }
-
-  applyEasing(t, easing) {
-    switch (easing) {
-      case 'expoOut':
-        return t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
-      case 'backOut':
-        const c1 = 1.70158;
-        const c3 = c1 + 1;
-        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
-      case 'expoIn':
-        return t === 0 ? 0 : Math.pow(2, 10 * (t - 1));
-      default:
-        return t; // linear
-    }
-  }
-
   getCurrentParameterValue(element, namespace, param, system) {
     // Try to get current value from visualizer
     const visualizer = this.findElementVisualizer(element);
+    
+    // A running tween knows the value before the batched queue applies it
+    const animated = visualizer && this.tweenScheduler?.getValue(this.getTweenKey(visualizer.id, namespace, param));
+    if (animated !== undefined && animated !== null) {
+      return animated;
+    }
+    
     if (visualizer && visualizer.type === 'iframe') {
       try {
         const url = new URL(visualizer.element.src);
@@ -451,12 +892,28 @@ class UnifiedPolytopalSystem {
       }
     }
     
+    // Last value applied to the visualizer
+    const applied = this.readAppliedParameter(visualizer, namespace, param);
+    if (applied !== null) {
+      return applied;
+    }
+    
     // Fall back to system base values
-    const basePath = system.base[namespace];
-    return basePath ? basePath[param] || 0 : 0;
+    return system.base[namespace]?.[param] ?? 0;
+  }
+
+  readAppliedParameter(visualizer, namespace, param) {
+    const mappedParam = this.parameterMappings[namespace]?.[param]?.vib34d;
+    return visualizer?.currentParams?.get(mappedParam) ?? null;
   }
 
-  getCurrentFrameParameter(visualizer, param) {
+  // fallback: value when neither a tween nor the visualizer knows the parameter
+  getCurrentFrameParameter(visualizer, param, namespace, fallback = 0) {
+    const animated = visualizer && namespace && this.tweenScheduler?.getValue(this.getTweenKey(visualizer.id, namespace, param));
+    if (animated !== undefined && animated !== null) {
+      return animated;
+    }
+    
     if (visualizer && visualizer.type === 'iframe') {
       try {
         const url = new URL(visualizer.element.src);
@@ -468,99 +925,156 @@ class UnifiedPolytopalSystem {
         // Fall through to default
       }
     }
-    return 0;
+    
+    const applied = this.readAppliedParameter(visualizer, namespace, param);
+    return applied !== null ? applied : fallback;
   }
 
   resetElementToDefaults(element, system, resetConfig) {
     const visualizer = this.findElementVisualizer(element);
     if (!visualizer) return;
     
-    const duration = resetConfig.ms || 500;
-    const easing = resetConfig.ease || 'expoOut';
-    
-    // Reset visual parameters
-    if (system.base.visual) {
-      Object.entries(system.base.visual).forEach(([param, defaultValue]) => {
-        const currentValue = this.getCurrentParameterValue(element, 'visual', param, system);
-        this.createSmoothTransition(visualizer.element, param, currentValue, defaultValue, duration, easing);
-      });
-    }
-    
-    // Reset color parameters
-    if (system.base.color) {
-      Object.entries(system.base.color).forEach(([param, defaultValue]) => {
-        const currentValue = this.getCurrentParameterValue(element, 'color', param, system);
-        this.createSmoothTransition(visualizer.element, `color_${param}`, currentValue, defaultValue, duration, easing);
-      });
-    }
+    const options = {
+      ms: resetConfig.ms || 500,
+      ease: resetConfig.ease || 'expoOut',
+      owner: 'reset'
+    };
     
-    // Reset rot4d parameters
-    if (system.base.rot4d) {
-      Object.entries(system.base.rot4d).forEach(([param, defaultValue]) => {
-        const currentValue = this.getCurrentParameterValue(element, 'rot4d', param, system);
-        this.createSmoothTransition(visualizer.element, `rot4d_${param}`, currentValue, defaultValue, duration, easing);
+    // Reset visual, color and rot4d parameters
+    ['visual', 'color', 'rot4d'].forEach(namespace => {
+      Object.entries(system.base[namespace] || {}).forEach(([param, defaultValue]) => {
+        const currentValue = this.getCurrentParameterValue(element, namespace, param, system);
+        this.tweenParameter(visualizer, namespace, param, defaultValue, { ...options, from: currentValue });
       });
-    }
+    });
   }
 
   resetSiblingElement(sibling, resetConfig) {
     const duration = resetConfig.ms || 300;
     
-    // Reset opacity
-    if (sibling.style.opacity !== '') {
-      const startOpacity = parseFloat(sibling.style.opacity);
-      this.animateProperty(sibling, 'opacity', startOpacity, 1, duration);
-    }
-    
-    // Reset transform
-    if (sibling.style.transform !== '') {
-      this.animateProperty(sibling, 'transform', sibling.style.transform, '', duration);
-    }
-  }
-
-  animateProperty(element, property, startValue, endValue, duration) {
-    const steps = duration / 16; // ~60fps
-    const stepDuration = duration / steps;
-    let currentStep = 0;
-    
-    const animate = () => {
-      const progress = currentStep / steps;
-      const easedProgress = this.easeInOutCubic(progress);
+    // Reset opacity (and any transform once it is back to full)
+    if (sibling.style.opacity !== '' || sibling.style.transform !== '') {
+      const startOpacity = sibling.style.opacity !== '' ? parseFloat(sibling.style.opacity) : 1;
+      const clear = () => {
+        sibling.style.opacity = '';
+        sibling.style.transform = '';
+      };
       
-      if (property === 'opacity') {
-        const value = startValue + (endValue - startValue) * easedProgress;
-        element.style.opacity = value;
-      } else if (property === 'transform') {
-        if (endValue === '') {
-          const scale = 1 - (1 - 1) * easedProgress; // Always animate to scale(1)
-          element.style.transform = startValue; // Keep transform until end
-          if (currentStep >= steps) {
-            element.style.transform = '';
-          }
-        }
+      if (!this.tweenScheduler) {
+        clear();
+        return;
       }
       
-      currentStep++;
-      if (currentStep <= steps) {
-        setTimeout(animate, stepDuration);
-      }
-    };
+      this.tweenScheduler.to({
+        key: this.tweenScheduler.keyFor(sibling, 'opacity'),
+        from: startOpacity,
+        to: 1,
+        duration,
+        easing: 'cubicInOut',
+        owner: 'polytopal sibling reset',
+        apply: (value) => { sibling.style.opacity = value; },
+        onComplete: clear
+      });
+    }
+  }
+
+  // Value of a parameter by visualizer id: running tween, else last applied
+  readVisualizerParameter(visualizerId, namespace, param) {
+    const animated = this.tweenScheduler?.getValue(this.getTweenKey(visualizerId, namespace, param));
+    if (animated !== undefined && animated !== null) {
+      return animated;
+    }
     
-    animate();
+    const mappedParam = this.parameterMappings[namespace]?.[param]?.vib34d;
+    return this.visualizers.get(visualizerId)?.currentParams.get(mappedParam) ?? null;
   }
 
-  easeInOutCubic(t) {
-    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  // ===== PARAMETER HISTORY =====
+
+  undoParameters(visualizerId) {
+    const transaction = this.history?.undo(visualizerId);
+    if (transaction) {
+      this.applyHistoryTransaction(transaction, 'from');
+      console.log(`↩️ Undo ${transaction.label} on ${visualizerId}`);
+    }
+    return transaction;
   }
 
-  captureOriginalParams(systemName) {
-    const system = this.systems.get(systemName);
-    return system ? JSON.parse(JSON.stringify(system.base)) : {};
+  redoParameters(visualizerId) {
+    const transaction = this.history?.redo(visualizerId);
+    if (transaction) {
+      this.applyHistoryTransaction(transaction, 'to');
+      console.log(`↪️ Redo ${transaction.label} on ${visualizerId}`);
+    }
+    return transaction;
   }
 
-  recordParameterChange(element, namespace, param, oldValue, newValue) {
-    const key = `${element.id || 'unnamed'}_${namespace}_${param}`;
-    this.parameterHistory.set(key, { oldValue, newValue, timestamp: Date.now() });
+  // Applies every change's "from" (undo) or "to" (redo) at once, stopping
+  // whatever still animates those parameters
+  applyHistoryTransaction(transaction, field) {
+    if (transaction.eventType) {
+      this.timeline?.cancelWhere(key =>
+        key.eventType === transaction.eventType && (key.element.id || 'unnamed') === transaction.element);
+    }
+    
+    transaction.changes.forEach(change => {
+      if (change[field] === null) return;
+      this.tweenScheduler?.cancel(this.getTweenKey(transaction.visualizerId, change.namespace, change.param));
+      this.queueParameterUpdate(transaction.visualizerId, change.namespace, change.param, change[field], { immediate: true });
+    });
+  }
+
+  /*
+   * Replays an exported session log with its original timing.
+   *   speed  playback rate (2 = twice as fast)
+   *   mode   'values' applies the recorded values (deterministic);
+   *          'events' re-triggers the recorded events so timelines and
+   *          expressions run again
+   * Returns { cancel() }.
+   */
+  replayParameterHistory(log, options = {}) {
+    const { speed = 1, mode = 'values' } = options;
+    const entries = ParameterHistory.parseLog(log);
+    const transactions = new Map();
+    entries.forEach(entry => {
+      if (entry.type === 'transaction') transactions.set(entry.transaction.id, entry.transaction);
+    });
+    
+    const timeOf = (entry) => entry.type === 'transaction' ? entry.transaction.time : entry.time;
+    const start = entries.length > 0 ? timeOf(entries[0]) : 0;
+    const triggeredGroups = new Set();
+    const timers = [];
+    
+    entries.forEach(entry => {
+      const transaction = entry.transaction || transactions.get(entry.transactionId);
+      if (!transaction) return; // Dropped from the bounded log
+      
+      timers.push(setTimeout(() => {
+        if (entry.type !== 'transaction') {
+          this.applyHistoryTransaction(transaction, entry.type === 'undo' ? 'from' : 'to');
+        } else if (mode === 'events' && transaction.eventType) {
+          // One trigger per event, even when it touched several visualizers
+          if (triggeredGroups.has(transaction.group)) return;
+          triggeredGroups.add(transaction.group);
+          this.triggerElementReaction(transaction.element, transaction.eventType);
+        } else {
+          transaction.changes.forEach(change => {
+            this.tweenParameter({ id: transaction.visualizerId }, change.namespace, change.param, change.to, {
+              ms: change.ms,
+              ease: change.ease,
+              from: change.from ?? undefined,
+              owner: 'replay',
+              record: false
+            });
+          });
+        }
+      }, (timeOf(entry) - start) / speed));
+    });
+    
+    console.log(`⏯️ Replaying ${entries.length} history entries (${mode}, ${speed}x)`);
+    return {
+      cancel: () => timers.forEach(timer => clearTimeout(timer))
+    };
   }
 
   // Public API for debugging and external control
@@ -569,11 +1083,12 @@ class UnifiedPolytopalSystem {
     const element = elements.find(el => el.id === elementId);
     
     if (element) {
-      const elementData = this.activeElements.get(element);
-      const reactions = elementData.system?.reactivity?.events?.[eventType];
+      // The first route binding that reacts to the event
+      const elementData = this.getElementBindings(this.activeElements.get(element))
+        .find(binding => binding.system?.reactivity?.events?.[eventType]);
       
-      if (reactions) {
-        this.executeReactions(reactions, elementData, eventType);
+      if (elementData) {
+        this.executeReactions(elementData.system.reactivity.events[eventType], elementData, eventType);
       }
     }
   }
@@ -583,9 +1098,14 @@ class UnifiedPolytopalSystem {
       initialized: this.isInitialized,
       systemCount: this.systems.size,
       routeCount: this.routes.length,
+      activeTimelines: this.timeline ? this.timeline.getActivePlaybacks().length : 0,
+      activeTweens: this.tweenScheduler ? this.tweenScheduler.getActiveTweens().length : 0,
+      configSources: this.configSources,
+      historyEntries: this.history ? this.history.log.length : 0,
       activeElementCount: this.activeElements.size,
       visualizerCount: this.visualizers.size,
-      queueSize: this.parameterQueue.size
+      queueSize: this.parameterQueue.size,
+      validationErrors: this.validationErrors.length
     };
   }
 
@@ -702,6 +1222,11 @@ class UnifiedPolytopalSystem {
     }
     
     visualizer.lastUpdate = performance.now();
+    
+    // Observed by the reactivity inspector
+    window.dispatchEvent(new CustomEvent('polytopal:parameters', {
+      detail: { visualizerId, params }
+    }));
   }
   
   updateVIB34DParameters(visualizer, params) {
@@ -816,8 +1341,16 @@ document.addEventListener('DOMContentLoaded', () => {
   // BACKWARDS COMPATIBILITY - redirect old calls to new system
   window.polytopalReactivity = window.unifiedPolytopal;
   window.visualizerAdapter = {
-    updateVisualizerParameter: (id, ns, param, val, opts) => 
-      window.unifiedPolytopal.queueParameterUpdate(id, ns, param, val, opts)
+    // { transition: { duration, easing, mode } } tweens through the shared scheduler
+    updateVisualizerParameter: (id, ns, param, val, opts = {}) => opts.transition
+      ? window.unifiedPolytopal.tweenParameter({ id }, ns, param, val, {
+        ms: opts.transition.duration,
+        ease: opts.transition.easing,
+        mode: opts.transition.mode,
+        owner: 'adapter'
+      })
+      : window.unifiedPolytopal.queueParameterUpdate(id, ns, param, val, opts),
+    getAllVisualizers: () => Array.from(window.unifiedPolytopal.visualizers.values())
   };
   
   // Global debugging interface
@@ -825,10 +1358,18 @@ document.addEventListener('DOMContentLoaded', () => {
     window.unifiedPolytopal.triggerElementReaction(elementId, eventType);
   };
   
+  window.refreshReactivityRoutes = () => window.unifiedPolytopal.refreshRoutes();
+  
   window.getReactivityStatus = () => {
     return window.unifiedPolytopal.getSystemStatus();
   };
   
+  // Parameter history: undo/redo per visualizer, export and replay the session log
+  window.undoParameters = (visualizerId) => window.unifiedPolytopal.undoParameters(visualizerId);
+  window.redoParameters = (visualizerId) => window.unifiedPolytopal.redoParameters(visualizerId);
+  window.exportParameterHistory = () => window.unifiedPolytopal.history?.export();
+  window.replayParameterHistory = (log, options) => window.unifiedPolytopal.replayParameterHistory(log, options);
+  
   // Performance monitoring
   window.getVisualizerPerformance = () => {
     const visualizers = Array.from(window.unifiedPolytopal.visualizers.values());
@@ -0,0 +1,146 @@
+/*
+ * PRESET CODEC v1.0
+ *
+ * Packs preset parameters into a short, typeable code such as
+ *
+ *   2WDJ-ZXK6-B3ZZ-3KZZ-K622-3211-V0
+ *
+ * Layout (most significant bit first):
+ *   4 bits  codec version
+ *   4 bits  geometry index (PresetCodec.GEOMETRIES)
+ *   10 bits per field in PresetCodec.FIELDS, quantized across its range
+ *   8 bits  checksum of everything before it
+ *
+ * written in Crockford base32 (no I, L, O, U; decoding accepts either case
+ * and reads I/L as 1 and O as 0). Values outside a field's range are clamped,
+ * so a decoded preset matches the original to within 1/1023 of each range.
+ */
+
+class PresetCodec {
+  static VERSION = 1;
+  static BITS = 10;
+  static ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+  // Order is part of the format - append only
+  static FIELDS = [
+    { namespace: 'visual', param: 'gridDensity', min: 5, max: 100 },
+    { namespace: 'visual', param: 'morphFactor', min: 0, max: 2 },
+    { namespace: 'visual', param: 'chaos', min: 0, max: 1 },
+    { namespace: 'visual', param: 'speed', min: 0.1, max: 3 },
+    { namespace: 'visual', param: 'intensity', min: 0, max: 1 },
+    { namespace: 'color', param: 'hue', min: 0, max: 360 },
+    { namespace: 'color', param: 'intensity', min: 0, max: 1 },
+    { namespace: 'color', param: 'saturation', min: 0, max: 1 },
+    { namespace: 'rot4d', param: 'xw', min: -6.2832, max: 6.2832 },
+    { namespace: 'rot4d', param: 'yw', min: -6.2832, max: 6.2832 },
+    { namespace: 'rot4d', param: 'zw', min: -6.2832, max: 6.2832 }
+  ];
+
+  // Visualizer adapter order first, then the remaining schema geometries - append only
+  static GEOMETRIES = [
+    'TETRAHEDRON', 'CUBE', 'OCTAHEDRON', 'DODECAHEDRON', 'ICOSAHEDRON', 'TORUS',
+    'WAVE', 'CRYSTAL', 'HYPERCUBE', 'TESSERACT', 'SPHERE', 'SPIRAL', 'FRACTAL'
+  ];
+
+  // parameters: { visual, color, rot4d, geometry } as stored on lab presets
+  static encode(parameters) {
+    const bits = [];
+    const write = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >> i) & 1);
+    };
+
+    const geometry = PresetCodec.GEOMETRIES.indexOf(parameters.geometry);
+    write(PresetCodec.VERSION, 4);
+    write(Math.max(geometry, 0), 4);
+
+    const steps = (1 << PresetCodec.BITS) - 1;
+    PresetCodec.FIELDS.forEach(({ namespace, param, min, max }) => {
+      const value = parameters[namespace]?.[param];
+      const normalized = typeof value === 'number' && isFinite(value) ? (value - min) / (max - min) : 0;
+      write(Math.round(Math.min(Math.max(normalized, 0), 1) * steps), PresetCodec.BITS);
+    });
+
+    write(PresetCodec.checksum(bits), 8);
+
+    // Pad to whole base32 characters
+    while (bits.length % 5 !== 0) bits.push(0);
+
+    let code = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      code += PresetCodec.ALPHABET[parseInt(bits.slice(i, i + 5).join(''), 2)];
+    }
+    return code.match(/.{1,4}/g).join('-');
+  }
+
+  // Returns { visual, color, rot4d, geometry }; throws on malformed codes
+  static decode(code) {
+    const normalized = String(code).toUpperCase().replace(/[\s-]/g, '')
+      .replace(/[IL]/g, '1').replace(/O/g, '0');
+
+    const bits = [];
+    for (const char of normalized) {
+      const value = PresetCodec.ALPHABET.indexOf(char);
+      if (value === -1) throw new Error(`Invalid character "${char}" in preset code`);
+      for (let i = 4; i >= 0; i--) bits.push((value >> i) & 1);
+    }
+
+    const payloadLength = 8 + PresetCodec.FIELDS.length * PresetCodec.BITS;
+    if (bits.length < payloadLength + 8) {
+      throw new Error('Preset code is too short');
+    }
+
+    let offset = 0;
+    const read = (length) => {
+      const value = parseInt(bits.slice(offset, offset + length).join(''), 2);
+      offset += length;
+      return value;
+    };
+
+    const version = read(4);
+    if (version !== PresetCodec.VERSION) {
+      throw new Error(`Unsupported preset code version ${version}`);
+    }
+    const geometry = PresetCodec.GEOMETRIES[read(4)];
+    if (!geometry) throw new Error('Preset code has an unknown geometry');
+
+    const parameters = { visual: {}, color: {}, rot4d: {}, geometry };
+    const steps = (1 << PresetCodec.BITS) - 1;
+    PresetCodec.FIELDS.forEach(({ namespace, param, min, max }) => {
+      const value = min + (read(PresetCodec.BITS) / steps) * (max - min);
+      parameters[namespace][param] = Math.round(value * 1000) / 1000;
+    });
+
+    if (read(8) !== PresetCodec.checksum(bits.slice(0, payloadLength))) {
+      throw new Error('Preset code checksum does not match - check for typos');
+    }
+
+    return parameters;
+  }
+
+  static isValid(code) {
+    try {
+      PresetCodec.decode(code);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // 8-bit checksum over the payload bits, taken a byte at a time
+  static checksum(bits) {
+    let sum = 0;
+    for (let i = 0; i < bits.length; i += 8) {
+      const byte = parseInt(bits.slice(i, i + 8).join('').padEnd(8, '0'), 2);
+      sum = (sum * 31 + byte + 7) & 0xff;
+    }
+    return sum;
+  }
+}
+
+// Browser global + Node export
+if (typeof window !== 'undefined') {
+  window.PresetCodec = PresetCodec;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PresetCodec;
+}
@@ -0,0 +1,300 @@
+/*
+ * PRESET GENERATOR v1.0
+ *
+ * Seeded, constrained preset generation for the lab.
+ *
+ *   const generator = new PresetGenerator();
+ *   generator.generate('a41f09c2');                       same seed, same parameters
+ *   generator.mutate(preset.parameters, 0.2, 'a41f09c2'); move each value up to 20%
+ *   generator.suggest('a41f09c2', { count: 6 });          best candidates for the gallery
+ *
+ * - Values are drawn from per-parameter ranges (RANGES, narrower than what
+ *   the shaders accept) and then run through RULES, which keep combinations
+ *   such as a dense grid with full chaos from happening.
+ * - Locked parameters ("visual.speed", or "rot4d.*" for a namespace) keep the
+ *   base preset's values and are never touched by rules.
+ * - Thumbs-up/down picks are kept (localStorage) and rank suggest()
+ *   candidates towards liked looks and away from disliked ones. Every
+ *   candidate carries its own seed, so generate(candidate.seed) reproduces it
+ *   without the feedback.
+ */
+
+class PresetGenerator {
+  static STORAGE_KEY = 'clear-seas-generator-feedback';
+  static FEEDBACK_LIMIT = 50;
+
+  // Hard limits (what the visualizers accept)
+  static LIMITS = {
+    'visual.gridDensity': [5, 100],
+    'visual.morphFactor': [0, 2],
+    'visual.chaos': [0, 1],
+    'visual.speed': [0.1, 3],
+    'visual.intensity': [0, 1],
+    'color.hue': [0, 360],
+    'color.intensity': [0, 1],
+    'color.saturation': [0, 1],
+    'rot4d.xw': [-6.2832, 6.2832],
+    'rot4d.yw': [-6.2832, 6.2832],
+    'rot4d.zw': [-6.2832, 6.2832]
+  };
+
+  // Default generation ranges
+  static RANGES = {
+    'visual.gridDensity': [8, 60],
+    'visual.morphFactor': [0.2, 1.6],
+    'visual.chaos': [0, 0.6],
+    'visual.speed': [0.2, 2],
+    'visual.intensity': [0.55, 1],
+    'color.hue': [0, 360],
+    'color.intensity': [0.6, 1],
+    'color.saturation': [0.5, 1],
+    'rot4d.xw': [-3.1416, 3.1416],
+    'rot4d.yw': [-3.1416, 3.1416],
+    'rot4d.zw': [-3.1416, 3.1416]
+  };
+
+  static GEOMETRIES = ['TETRAHEDRON', 'CUBE', 'OCTAHEDRON', 'CRYSTAL', 'TORUS', 'WAVE'];
+
+  // Cross-parameter rules, applied in order; target is the parameter a rule changes
+  static RULES = [
+    {
+      description: 'dense grids stay calm',
+      target: 'visual.chaos',
+      apply: (p) => {
+        if (p.visual.gridDensity > 40) {
+          p.visual.chaos = Math.min(p.visual.chaos, Math.max(0.6 - (p.visual.gridDensity - 40) / 100, 0.1));
+        }
+      }
+    },
+    {
+      description: 'fast motion keeps chaos readable',
+      target: 'visual.chaos',
+      apply: (p) => {
+        p.visual.chaos = Math.min(p.visual.chaos, 0.8 / Math.max(p.visual.speed, 0.1));
+      }
+    },
+    {
+      description: 'never fade to black',
+      target: 'color.intensity',
+      apply: (p) => {
+        if (p.visual.intensity * p.color.intensity < 0.4) {
+          p.color.intensity = Math.min(0.4 / Math.max(p.visual.intensity, 0.1), 1);
+        }
+      }
+    }
+  ];
+
+  constructor(options = {}) {
+    this.ranges = { ...PresetGenerator.RANGES, ...options.ranges };
+    this.rules = options.rules || PresetGenerator.RULES;
+    this.geometries = options.geometries || PresetGenerator.GEOMETRIES;
+    this.feedback = { liked: [], disliked: [] };
+
+    this.loadFeedback();
+  }
+
+  // ===== SEEDS =====
+
+  static randomSeed() {
+    const values = new Uint32Array(1);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      crypto.getRandomValues(values);
+    } else {
+      values[0] = Math.floor(Math.random() * 0x100000000);
+    }
+    return values[0].toString(16).padStart(8, '0');
+  }
+
+  // mulberry32 seeded from any string (FNV-1a hash)
+  static createRandom(seed) {
+    let state = 0x811c9dc5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      state = Math.imul(state ^ text.charCodeAt(i), 0x01000193) >>> 0;
+    }
+
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // ===== GENERATION =====
+
+  /*
+   * Fresh parameters for a seed. options:
+   *   base    parameters that locked keys are copied from
+   *   locked  ['visual.speed', 'rot4d.*', 'geometry', ...]
+   */
+  generate(seed, options = {}) {
+    const random = PresetGenerator.createRandom(seed);
+    const parameters = { visual: {}, color: {}, rot4d: {} };
+
+    // Every key draws a number even when locked, so locking one parameter
+    // does not change the others for the same seed
+    Object.entries(this.ranges).forEach(([key, [min, max]]) => {
+      const [namespace, param] = key.split('.');
+      parameters[namespace][param] = min + random() * (max - min);
+    });
+    parameters.geometry = this.geometries[Math.floor(random() * this.geometries.length)];
+
+    return this.constrain(this.applyLocks(parameters, options.base, options.locked), options.locked);
+  }
+
+  // Moves every unlocked value by up to amount (0-1) of its range
+  mutate(base, amount, seed, options = {}) {
+    const random = PresetGenerator.createRandom(seed);
+    const parameters = JSON.parse(JSON.stringify(base));
+
+    Object.entries(this.ranges).forEach(([key, [min, max]]) => {
+      const [namespace, param] = key.split('.');
+      const offset = (random() * 2 - 1) * amount * (max - min);
+      parameters[namespace] = parameters[namespace] || {};
+      parameters[namespace][param] = (parameters[namespace][param] ?? (min + max) / 2) + offset;
+    });
+
+    // Geometry switches rarely, more often for bigger mutations
+    if (random() < amount * 0.5) {
+      parameters.geometry = this.geometries[Math.floor(random() * this.geometries.length)];
+    }
+
+    return this.constrain(this.applyLocks(parameters, base, options.locked), options.locked);
+  }
+
+  // Clamps to the hard limits (hue wraps) and applies the rules
+  constrain(parameters, locked = []) {
+    const result = JSON.parse(JSON.stringify(parameters));
+
+    Object.entries(PresetGenerator.LIMITS).forEach(([key, [min, max]]) => {
+      const [namespace, param] = key.split('.');
+      const value = result[namespace]?.[param];
+      if (typeof value !== 'number') return;
+
+      result[namespace][param] = key === 'color.hue'
+        ? ((value % 360) + 360) % 360
+        : Math.min(Math.max(value, min), max);
+    });
+
+    const complete = ['visual', 'color'].every(namespace => result[namespace]) &&
+      ['gridDensity', 'chaos', 'speed', 'intensity'].every(param => typeof result.visual[param] === 'number') &&
+      typeof result.color.intensity === 'number';
+    if (complete) {
+      this.rules
+        .filter(rule => !this.isLocked(rule.target, locked))
+        .forEach(rule => rule.apply(result));
+    }
+
+    return result;
+  }
+
+  applyLocks(parameters, base, locked = []) {
+    if (!base || locked.length === 0) return parameters;
+
+    Object.keys(this.ranges).forEach(key => {
+      const [namespace, param] = key.split('.');
+      if (this.isLocked(key, locked) && base[namespace]?.[param] !== undefined) {
+        parameters[namespace][param] = base[namespace][param];
+      }
+    });
+    if (this.isLocked('geometry', locked) && base.geometry) parameters.geometry = base.geometry;
+    return parameters;
+  }
+
+  isLocked(key, locked = []) {
+    return locked.includes(key) || locked.includes(`${key.split('.')[0]}.*`);
+  }
+
+  /*
+   * Candidates for the gallery, best first. Generates count * oversample
+   * candidates (or mutations of options.base when options.amount is set)
+   * and ranks them by feedback; each has { seed, parameters, score }.
+   */
+  suggest(seed, options = {}) {
+    const count = options.count || 6;
+    const oversample = options.oversample || 3;
+    const candidates = [];
+
+    for (let i = 0; i < count * oversample; i++) {
+      const candidateSeed = `${seed}-${i}`;
+      const parameters = options.amount && options.base
+        ? this.mutate(options.base, options.amount, candidateSeed, options)
+        : this.generate(candidateSeed, options);
+      candidates.push({ seed: candidateSeed, parameters, score: this.score(parameters) });
+    }
+
+    // Stable for equal scores, so no feedback means the first seeds win
+    return candidates
+      .map((candidate, index) => ({ candidate, index }))
+      .sort((a, b) => b.candidate.score - a.candidate.score || a.index - b.index)
+      .slice(0, count)
+      .map(({ candidate }) => candidate);
+  }
+
+  // ===== FEEDBACK =====
+
+  rate(parameters, liked) {
+    const list = liked ? this.feedback.liked : this.feedback.disliked;
+    list.push(JSON.parse(JSON.stringify(parameters)));
+    if (list.length > PresetGenerator.FEEDBACK_LIMIT) list.shift();
+    this.saveFeedback();
+  }
+
+  // Positive near liked looks, negative near disliked ones, 0 without feedback
+  score(parameters) {
+    const similarity = (list) => list.length === 0 ? 0
+      : list.reduce((sum, other) => sum + Math.exp(-4 * this.distance(parameters, other) ** 2), 0) / list.length;
+    return similarity(this.feedback.liked) - similarity(this.feedback.disliked);
+  }
+
+  // Normalized distance: each parameter scaled by its limits, hue and angles circular
+  distance(a, b) {
+    let sum = 0;
+    let count = 0;
+
+    Object.entries(PresetGenerator.LIMITS).forEach(([key, [min, max]]) => {
+      const [namespace, param] = key.split('.');
+      const x = a[namespace]?.[param];
+      const y = b[namespace]?.[param];
+      if (typeof x !== 'number' || typeof y !== 'number') return;
+
+      let delta = Math.abs(x - y);
+      if (key === 'color.hue') delta = Math.min(delta % 360, 360 - (delta % 360)) * 2;
+      else if (namespace === 'rot4d') delta = Math.min(delta % (Math.PI * 2), Math.PI * 2 - (delta % (Math.PI * 2))) * 2;
+      sum += (delta / (max - min)) ** 2;
+      count++;
+    });
+
+    const geometry = a.geometry === b.geometry ? 0 : 0.5;
+    return Math.sqrt((sum + geometry ** 2) / (count + 1));
+  }
+
+  loadFeedback() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PresetGenerator.STORAGE_KEY));
+      if (stored && Array.isArray(stored.liked) && Array.isArray(stored.disliked)) {
+        this.feedback = stored;
+      }
+    } catch (error) {
+      // No storage (private mode) - feedback lasts for the session
+    }
+  }
+
+  saveFeedback() {
+    try {
+      localStorage.setItem(PresetGenerator.STORAGE_KEY, JSON.stringify(this.feedback));
+    } catch (error) {
+      console.warn('⚠️ Could not store generator feedback:', error.message);
+    }
+  }
+
+  clearFeedback() {
+    this.feedback = { liked: [], disliked: [] };
+    this.saveFeedback();
+  }
+}
+
+// Export for global use
+window.PresetGenerator = PresetGenerator;
@@ -13,33 +13,81 @@ class PresetLaboratory {
     this.parameterHistory = [];
     this.isRecording = false;
     this.tweakingSession = null;
-    this.exportFormats = ['json', 'css', 'shader', 'trading-card'];
+    this.exportFormats = ['json', 'css', 'shader', 'trading-card', 'reactivity', 'routes'];
+    this.configValidator = null;
+    
+    // Transition used when a preset is applied; easing is any EasingLibrary name
+    this.transition = { duration: 800, easing: 'expoOut' };
+    
+    // Presets made in the lab (custom, random, animated, imported) persist;
+    // system presets and their variations are rebuilt on every load
+    this.storage = window.PresetStorage ? new PresetStorage() : null;
+    this.persistentCategories = ['custom', 'random', 'animated', 'imported', 'blend', 'generated'];
+    this.importConflictMode = 'rename';
+    
+    // Playback of recorded (animated) presets
+    this.playback = null;
+    
+    // Seeded, constrained generation (random presets, mutations, gallery)
+    this.generator = window.PresetGenerator ? new PresetGenerator() : null;
+    
+    // A/B crossfade between two static presets
+    this.morpher = window.PresetMorpher ? new PresetMorpher({
+      apply: (namespace, param, value) => this.applyParameterToAll(namespace, param, value, { immediate: true })
+    }) : null;
+    
+    // Offscreen previews for the preset grid and trading cards
+    this.previewRenderer = window.PresetPreviewRenderer ? new PresetPreviewRenderer() : null;
+    
+    // Tags, favourites, search and filters for the preset browser
+    this.library = window.PresetLibraryIndex ? new PresetLibraryIndex({
+      getSystem: preset => this.previewRenderer ? this.previewRenderer.getSystem(preset) : preset.system || null,
+      getParameters: preset => this.previewRenderer ? this.previewRenderer.getParameters(preset) : preset.parameters
+    }) : null;
+    this.libraryFilters = { text: '', tags: [], favorites: false, system: '', geometry: '', ranges: {}, sort: 'usage' };
+    
+    // XY pad over two parameters (created with the lab interface)
+    this.parameterSpace = null;
+    this.parameterSpaceAxes = { x: 'visual.gridDensity', y: 'visual.speed' };
+    // Puck drags edit a copy of the current preset's parameters: { preset, parameters }
+    this.exploredParameters = null;
     
     this.initialize();
   }
 
   async initialize() {
     await this.loadPresetLibrary();
+    await this.loadStoredPresets();
+    this.library?.applyOverlay(this.getAllPresets());
     this.createLabInterface();
     this.setupParameterMonitoring();
+    this.setupShareLinks();
     
     console.log('🧪 Preset Laboratory - Initialized with', this.presets.size, 'presets');
   }
 
+  // Loader fallback: every system file the manifest lists, merged shallowly
+  async loadManifestSystems(manifestUrl) {
+    const fetchJson = async (file) => (await fetch(new URL(file, new URL(manifestUrl, window.location.href)))).json();
+    const manifest = await fetchJson(manifestUrl);
+    const systems = {};
+    for (const file of manifest.systems || []) {
+      Object.assign(systems, (await fetchJson(file)).systems);
+    }
+    return systems;
+  }
+
   async loadPresetLibrary() {
     try {
-      // Load base presets from existing systems
-      const systems = ['FACETED', 'QUANTUM', 'HOLOGRAPHIC'];
+      // Load base presets from the system files listed in the reactivity manifest
+      const systems = window.ReactivityConfigLoader
+        ? await new ReactivityConfigLoader().loadSystems('/assets/reactivity/manifest.json')
+        : await this.loadManifestSystems('/assets/reactivity/manifest.json');
       
-      for (const system of systems) {
-        const response = await fetch(`/assets/reactivity/faceted.json`);
-        const config = await response.json();
-        
-        if (config.systems[system]) {
-          const preset = this.createPresetFromSystem(system, config.systems[system]);
-          this.presets.set(system.toLowerCase(), preset);
-        }
-      }
+      Object.entries(systems).forEach(([system, systemConfig]) => {
+        const preset = this.createPresetFromSystem(system, systemConfig);
+        this.presets.set(system.toLowerCase(), preset);
+      });
       
       // Generate variations automatically
       this.generatePresetVariations();
@@ -50,6 +98,38 @@ class PresetLaboratory {
     }
   }
 
+  async loadStoredPresets() {
+    if (!this.storage) return;
+    
+    try {
+      const records = await this.storage.getAll();
+      records.forEach(record => {
+        if (this.presets.has(record.id)) {
+          console.warn('⚠️ Stored preset shadows a built-in preset, skipping:', record.id);
+          return;
+        }
+        this.presets.set(record.id, { ...record.preset, revision: record.revision });
+      });
+      
+      if (records.length > 0) {
+        console.log('💾 Restored', records.length, 'stored presets');
+      }
+    } catch (error) {
+      console.warn('Could not restore stored presets:', error);
+    }
+  }
+
+  async persistPreset(preset) {
+    if (!this.storage || !this.persistentCategories.includes(preset.category)) return;
+    
+    try {
+      const record = await this.storage.save(preset);
+      preset.revision = record.revision;
+    } catch (error) {
+      console.warn('Could not store preset:', preset.id, error);
+    }
+  }
+
   createPresetFromSystem(name, systemConfig) {
     return {
       id: name.toLowerCase(),
@@ -141,6 +221,11 @@ class PresetLaboratory {
       });
     });
     
+    // Keep the recipes inside the generator limits and rules
+    if (this.generator) {
+      variation.parameters = this.generator.constrain(variation.parameters);
+    }
+    
     return variation;
   }
 
@@ -198,20 +283,163 @@ class PresetLaboratory {
             <button onclick="recordParameters()" class="btn-record">Record</button>
             <button onclick="generateRandom()" class="btn-random">Random</button>
             <button onclick="exportPreset()" class="btn-export">Export</button>
+            <select id="preset-export-format" class="lab-input" title="Export format">
+              ${this.exportFormats.map(format => `<option value="${format}">${format}</option>`).join('')}
+            </select>
+            <button onclick="copyPresetLink()" class="btn-share">Copy Link</button>
+          </div>
+          <div class="lab-notice" id="preset-lab-notice" hidden></div>
+        </div>
+        
+        <div class="lab-section">
+          <h4>Transition</h4>
+          <div class="lab-transition">
+            <input id="preset-easing" class="lab-input" list="preset-easing-names" value="${this.transition.easing}"
+                   title="Penner name, CSS keyword, cubic-bezier(), steps() or spring()">
+            <datalist id="preset-easing-names">
+              ${(window.EasingLibrary ? EasingLibrary.names() : []).map(name => `<option value="${name}">`).join('')}
+              <option value="cubic-bezier(0.68, -0.55, 0.27, 1.55)">
+              <option value="steps(6)">
+              <option value="spring(180, 12)">
+            </datalist>
+            <input id="preset-duration" class="lab-input" type="number" min="0" step="50" value="${this.transition.duration}" title="Duration (ms)">
+          </div>
+        </div>
+        
+        <div class="lab-section" id="preset-morph-section">
+          <h4>Morph</h4>
+          <div class="lab-morph">
+            <select id="preset-morph-a" class="lab-input" title="Preset A (position 0)"></select>
+            <select id="preset-morph-b" class="lab-input" title="Preset B (position 1)"></select>
+          </div>
+          <input id="preset-morph-position" class="lab-scrub" type="range" min="0" max="1" step="0.001" value="0">
+          <div class="lab-morph-options">
+            <label title="Blend position where geometry switches">Switch at
+              <input id="preset-morph-threshold" class="lab-input" type="number" min="0" max="1" step="0.05" value="0.5">
+            </label>
+            <button id="preset-morph-save" class="lab-button btn-morph-save">Save Blend</button>
+          </div>
+          <div class="lab-playback-scroll">
+            <label><input id="preset-morph-scroll" type="checkbox"> Scroll-driven</label>
+            <input id="preset-morph-scroll-target" class="lab-input" placeholder="section selector (blank = page)">
+          </div>
+        </div>
+        
+        <div class="lab-section" id="preset-generator-section">
+          <h4>Generator</h4>
+          <div class="lab-generator">
+            <input id="preset-seed" class="lab-input" placeholder="seed (blank = new)" title="The same seed gives the same result">
+            <input id="preset-mutate-amount" class="lab-input" type="number" min="1" max="100" step="1" value="20" title="Mutation strength (%)">
           </div>
+          <div class="lab-locks" id="preset-locks" title="Locked parameters keep the current preset's values">
+            ${this.generator ? [...Object.keys(PresetGenerator.RANGES), 'geometry'].map(key => `
+              <label><input type="checkbox" value="${key}"> ${key.replace('visual.', '')}</label>`).join('') : ''}
+          </div>
+          <div class="lab-generator-actions">
+            <button id="preset-suggest" class="lab-button">Suggest</button>
+            <button id="preset-mutate" class="lab-button">Mutate Current</button>
+          </div>
+          <div class="generator-gallery" id="generator-gallery"></div>
+        </div>
+        
+        <div class="lab-section">
+          <h4>Import</h4>
+          <div class="lab-import">
+            <button onclick="importPresets()" class="lab-button btn-import">Import JSON…</button>
+            <select id="preset-import-conflict" class="lab-input" title="When an imported preset id already exists">
+              <option value="rename">Keep both</option>
+              <option value="replace">Replace</option>
+              <option value="skip">Skip</option>
+            </select>
+            <input id="preset-import-file" type="file" accept=".json,application/json" multiple hidden>
+          </div>
+          <div class="lab-drop-hint">or drop exported preset files on the lab</div>
         </div>
         
         <div class="lab-section">
           <h4>Preset Browser</h4>
+          <div class="lab-library-controls" id="preset-library-controls">
+            <div class="lab-library">
+              <input id="preset-search" class="lab-input" type="search" placeholder="search name or description">
+              <select id="preset-sort" class="lab-input" title="Sort by">
+                <option value="usage">Most used</option>
+                <option value="recent">Recent</option>
+                <option value="name">Name</option>
+              </select>
+            </div>
+            <div class="lab-library">
+              <select id="preset-filter-system" class="lab-input" title="System">
+                <option value="">Any system</option>
+                ${(window.PresetPreviewRenderer ? PresetPreviewRenderer.SYSTEMS : []).map(system => `<option value="${system}">${system}</option>`).join('')}
+              </select>
+              <select id="preset-filter-geometry" class="lab-input" title="Geometry">
+                <option value="">Any geometry</option>
+                ${(window.PresetCodec ? PresetCodec.GEOMETRIES : []).map(geometry => `<option value="${geometry}">${geometry.toLowerCase()}</option>`).join('')}
+              </select>
+            </div>
+            <div class="lab-library">
+              <input id="preset-filter-tags" class="lab-input" list="preset-tag-names" placeholder="tags (comma separated)">
+              <datalist id="preset-tag-names"></datalist>
+              <label><input id="preset-filter-favorites" type="checkbox"> ★ only</label>
+            </div>
+            <div class="lab-library-range">
+              <select id="preset-filter-range" class="lab-input" title="Parameter range">
+                <option value="">Any values</option>
+                ${(window.PresetCodec ? PresetCodec.FIELDS : []).map(({ namespace, param }) => `<option value="${namespace}.${param}">${namespace}.${param}</option>`).join('')}
+              </select>
+              <input id="preset-filter-min" class="lab-input" type="number" step="any" placeholder="min">
+              <input id="preset-filter-max" class="lab-input" type="number" step="any" placeholder="max">
+            </div>
+            <div class="lab-library-actions">
+              <span id="preset-count"></span>
+              <button id="preset-export-shown" class="lab-button" title="Download the presets shown as one JSON file">Export shown</button>
+              <button id="preset-delete-shown" class="lab-button" title="Delete the presets shown (built-in system presets are kept)">Delete shown</button>
+            </div>
+          </div>
           <div class="preset-grid" id="preset-grid">
             <!-- Presets will be populated here -->
           </div>
+          <input id="preset-tags" class="lab-input lab-preset-tags" placeholder="tags for the current preset">
         </div>
         
         <div class="lab-section">
           <h4>Parameter Space</h4>
+          <div class="lab-space-axes" id="param-space-axes">
+            ${['x', 'y'].map(axis => `
+            <select id="param-space-${axis}" class="lab-input" title="${axis.toUpperCase()} axis">
+              ${(window.PresetCodec ? PresetCodec.FIELDS : []).map(({ namespace, param }) => `
+              <option value="${namespace}.${param}"${this.parameterSpaceAxes[axis] === `${namespace}.${param}` ? ' selected' : ''}>${axis.toUpperCase()}: ${param}</option>`).join('')}
+            </select>`).join('')}
+            <button id="param-space-snapshot" class="lab-button" title="Save the puck position as a new preset">Snapshot</button>
+          </div>
           <div class="parameter-space" id="parameter-space">
-            <canvas id="param-space-canvas" width="200" height="150"></canvas>
+            <canvas id="param-space-canvas" width="288" height="200"></canvas>
+          </div>
+        </div>
+        
+        <div class="lab-section" id="preset-playback-section" style="display: none;">
+          <h4>Playback</h4>
+          <div class="lab-playback">
+            <button id="preset-play" class="lab-button btn-play">Play</button>
+            <button id="preset-stop" class="lab-button btn-stop">Stop</button>
+            <select id="preset-playback-mode" class="lab-input" title="Playback mode">
+              <option value="once">Once</option>
+              <option value="loop">Loop</option>
+              <option value="pingpong">Ping-pong</option>
+            </select>
+            <select id="preset-playback-rate" class="lab-input" title="Playback rate">
+              <option value="-1">-1×</option>
+              <option value="0.25">0.25×</option>
+              <option value="0.5">0.5×</option>
+              <option value="1" selected>1×</option>
+              <option value="2">2×</option>
+              <option value="4">4×</option>
+            </select>
+          </div>
+          <input id="preset-scrub" class="lab-scrub" type="range" min="0" max="1" step="0.001" value="0">
+          <div class="lab-playback-scroll">
+            <label><input id="preset-scroll-bind" type="checkbox"> Scroll-driven</label>
+            <input id="preset-scroll-target" class="lab-input" placeholder="section selector (blank = page)">
           </div>
         </div>
         
@@ -313,15 +541,190 @@ class PresetLaboratory {
         transform: translateY(-1px);
       }
       
+      .lab-input,
+      .lab-button {
+        min-width: 0;
+        padding: 6px 4px;
+        background: rgba(58, 212, 237, 0.1);
+        border: 1px solid rgba(58, 212, 237, 0.3);
+        border-radius: 6px;
+        color: #3ad4ed;
+        font-family: 'Orbitron', monospace;
+        font-size: 10px;
+      }
+      
+      .lab-button {
+        cursor: pointer;
+      }
+      
+      .lab-buttons .lab-input {
+        padding: 8px 12px;
+      }
+      
+      .lab-transition {
+        display: grid;
+        grid-template-columns: 2fr 1fr;
+        gap: 8px;
+      }
+      
+      .lab-import {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 8px;
+      }
+      
+      .lab-playback {
+        display: grid;
+        grid-template-columns: repeat(4, 1fr);
+        gap: 6px;
+      }
+      
+      .lab-morph {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 8px;
+      }
+      
+      .lab-morph-options {
+        display: grid;
+        grid-template-columns: 1fr auto;
+        gap: 8px;
+        align-items: center;
+        margin-bottom: 8px;
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 10px;
+      }
+      
+      .lab-morph-options input {
+        width: 48px;
+      }
+      
+      .lab-generator,
+      .lab-generator-actions {
+        display: grid;
+        grid-template-columns: 2fr 1fr;
+        gap: 8px;
+      }
+      
+      .lab-generator-actions {
+        grid-template-columns: 1fr 1fr;
+      }
+      
+      .lab-locks {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 2px 6px;
+        margin: 8px 0;
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 9px;
+      }
+      
+      .generator-gallery {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 6px;
+        margin-top: 8px;
+      }
+      
+      .generator-gallery .gallery-item {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 2px;
+      }
+      
+      .generator-gallery .gallery-item.liked {
+        outline: 1px solid #3ad4ed;
+        border-radius: 4px;
+      }
+      
+      .generator-gallery .preset-thumb {
+        grid-column: span 2;
+        margin: 0;
+        cursor: pointer;
+      }
+      
+      .generator-gallery button {
+        padding: 2px;
+      }
+      
+      .lab-scrub {
+        width: 100%;
+        margin: 8px 0;
+      }
+      
+      .lab-playback-scroll {
+        display: grid;
+        grid-template-columns: auto 1fr;
+        gap: 8px;
+        align-items: center;
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 10px;
+      }
+      
+      .lab-notice {
+        margin-top: 8px;
+        padding: 6px 8px;
+        border: 1px solid rgba(255, 80, 80, 0.6);
+        border-radius: 6px;
+        color: rgba(255, 160, 160, 0.9);
+        font-size: 10px;
+      }
+      
+      .lab-drop-hint {
+        margin-top: 6px;
+        color: rgba(255, 255, 255, 0.4);
+        font-size: 9px;
+      }
+      
+      .preset-lab-container.drag-over {
+        border-color: #3ad4ed;
+        box-shadow: 0 0 0 2px rgba(58, 212, 237, 0.5);
+      }
+      
+      .lab-transition input.invalid {
+        border-color: rgba(255, 80, 80, 0.8);
+      }
+      
       .preset-grid {
         display: grid;
         grid-template-columns: repeat(2, 1fr);
         gap: 8px;
-        max-height: 200px;
+        max-height: 280px;
         overflow-y: auto;
       }
       
+      .lab-library,
+      .lab-library-range,
+      .lab-library-actions {
+        display: grid;
+        grid-template-columns: 2fr 1fr;
+        gap: 6px;
+        align-items: center;
+        margin-bottom: 6px;
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 10px;
+      }
+      
+      .lab-library-range,
+      .lab-library-actions {
+        grid-template-columns: 2fr 1fr 1fr;
+      }
+      
+      .lab-preset-tags {
+        box-sizing: border-box;
+        width: 100%;
+        margin-top: 8px;
+      }
+      
+      .preset-empty {
+        grid-column: span 2;
+        color: rgba(255, 255, 255, 0.4);
+        font-size: 10px;
+        text-align: center;
+      }
+      
       .preset-item {
+        position: relative;
         padding: 8px;
         background: rgba(255, 255, 255, 0.05);
         border: 1px solid rgba(255, 255, 255, 0.1);
@@ -340,6 +743,24 @@ class PresetLaboratory {
         border-color: #3ad4ed;
       }
       
+      .preset-thumb {
+        display: block;
+        width: 100%;
+        aspect-ratio: 16 / 10;
+        margin-bottom: 4px;
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.05);
+        object-fit: cover;
+      }
+      
+      .preset-thumb:not([src]) {
+        visibility: hidden;
+      }
+      
+      .preset-thumb.placeholder {
+        visibility: visible;
+      }
+      
       .preset-name {
         font-weight: bold;
         color: #fff;
@@ -352,15 +773,48 @@ class PresetLaboratory {
         font-size: 9px;
       }
       
+      .preset-tags {
+        margin-top: 2px;
+        color: #3ad4ed;
+        font-size: 8px;
+      }
+      
+      .preset-favorite {
+        position: absolute;
+        top: 10px;
+        right: 10px;
+        padding: 0 3px;
+        background: rgba(13, 17, 23, 0.7);
+        border: none;
+        border-radius: 4px;
+        color: rgba(255, 255, 255, 0.5);
+        font-size: 12px;
+        cursor: pointer;
+      }
+      
+      .preset-favorite.on {
+        color: #ffd35a;
+      }
+      
+      .lab-space-axes {
+        display: grid;
+        grid-template-columns: 1fr 1fr auto;
+        gap: 6px;
+        margin-bottom: 8px;
+      }
+      
       .parameter-space {
         position: relative;
       }
       
       #param-space-canvas {
+        display: block;
         width: 100%;
-        height: 150px;
+        height: auto;
         border: 1px solid rgba(255, 255, 255, 0.1);
         border-radius: 6px;
+        cursor: crosshair;
+        touch-action: none;
       }
       
       .tweak-controls {
@@ -395,55 +849,691 @@ class PresetLaboratory {
       }
     `;
     
-    document.head.appendChild(labStyles);
-    document.body.appendChild(labContainer);
+    document.head.appendChild(labStyles);
+    document.body.appendChild(labContainer);
+    
+    // Populate preset grid
+    this.updatePresetGrid();
+    this.initializeParameterSpace();
+    
+    const easingInput = document.getElementById('preset-easing');
+    easingInput.addEventListener('change', () => {
+      easingInput.classList.toggle('invalid', !this.setTransition({ easing: easingInput.value.trim() }));
+    });
+    document.getElementById('preset-duration').addEventListener('change', (e) => {
+      this.setTransition({ duration: parseFloat(e.target.value) || 0 });
+    });
+    
+    this.setupImport(labContainer);
+    this.setupPlaybackControls();
+    this.setupMorphControls();
+    this.setupGeneratorControls();
+    this.setupLibraryControls();
+    this.setupParameterSpaceControls();
+    
+    // Make functions global for HTML onclick handlers
+    window.toggleLab = () => this.toggleLab();
+    window.startTweaking = () => this.startTweaking();
+    window.recordParameters = () => this.recordParameters();
+    window.generateRandom = () => this.generateRandom();
+    window.exportPreset = () => this.exportPreset(document.getElementById('preset-export-format').value);
+    window.copyPresetLink = () => this.copyShareLink();
+    window.setPresetMorph = (position) => this.setMorphPosition(position);
+    window.blendPresets = (entries, options) => this.blendPresets(entries, options);
+    window.importPresets = () => document.getElementById('preset-import-file').click();
+  }
+
+  setupPlaybackControls() {
+    const scrub = document.getElementById('preset-scrub');
+    const scrollBind = document.getElementById('preset-scroll-bind');
+    const scrollTarget = document.getElementById('preset-scroll-target');
+    
+    document.getElementById('preset-play').addEventListener('click', () => this.playback?.toggle());
+    document.getElementById('preset-stop').addEventListener('click', () => this.playback?.stop());
+    document.getElementById('preset-playback-mode').addEventListener('change', (e) => {
+      this.setPlaybackOption('mode', e.target.value);
+    });
+    document.getElementById('preset-playback-rate').addEventListener('change', (e) => {
+      this.setPlaybackOption('rate', parseFloat(e.target.value));
+    });
+    
+    // Scrubbing pauses playback
+    scrub.addEventListener('input', () => {
+      if (!this.playback) return;
+      this.playback.pause();
+      this.playback.scrub(parseFloat(scrub.value));
+    });
+    
+    scrollBind.addEventListener('change', () => {
+      if (scrollBind.checked) {
+        scrollBind.checked = this.bindPlaybackToScroll(scrollTarget.value.trim());
+      } else if (this.playback) {
+        this.playback.unbindScroll();
+        this.setPlaybackOption('scrollTarget', null);
+      }
+      this.updatePlaybackControls();
+    });
+  }
+
+  setupImport(labContainer) {
+    const fileInput = document.getElementById('preset-import-file');
+    const conflictSelect = document.getElementById('preset-import-conflict');
+    
+    conflictSelect.value = this.importConflictMode;
+    conflictSelect.addEventListener('change', () => {
+      this.importConflictMode = conflictSelect.value;
+    });
+    
+    fileInput.addEventListener('change', async () => {
+      await this.importPresetFiles(Array.from(fileInput.files));
+      fileInput.value = '';
+    });
+    
+    // Drag-and-drop anywhere on the lab
+    labContainer.addEventListener('dragover', (e) => {
+      if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+      e.preventDefault();
+      labContainer.classList.add('drag-over');
+    });
+    labContainer.addEventListener('dragleave', (e) => {
+      if (!labContainer.contains(e.relatedTarget)) labContainer.classList.remove('drag-over');
+    });
+    labContainer.addEventListener('drop', (e) => {
+      e.preventDefault();
+      labContainer.classList.remove('drag-over');
+      this.importPresetFiles(Array.from(e.dataTransfer.files));
+    });
+  }
+
+  updatePresetGrid() {
+    const grid = document.getElementById('preset-grid');
+    if (!grid) return;
+    
+    this.updateMorphOptions();
+    this.updateLibraryControls();
+    grid.innerHTML = '';
+    
+    const presets = this.getFilteredPresets();
+    const count = document.getElementById('preset-count');
+    if (count) count.textContent = `${presets.length} of ${this.presets.size}`;
+    if (presets.length === 0) {
+      grid.innerHTML = '<div class="preset-empty">No presets match the filters</div>';
+    }
+    
+    presets.forEach(preset => {
+      const item = document.createElement('div');
+      item.className = 'preset-item';
+      item.onclick = () => this.loadPreset(preset.id);
+      
+      if (this.currentPreset && this.currentPreset.id === preset.id) {
+        item.classList.add('active');
+      }
+      
+      item.innerHTML = `
+        <img class="preset-thumb" alt="">
+        <div class="preset-name"></div>
+        <div class="preset-desc"></div>
+      `;
+      // Names, descriptions and tags come from imported files and shared links
+      item.querySelector('.preset-name').textContent = preset.name;
+      item.querySelector('.preset-desc').textContent = preset.description || '';
+      if (preset.tags?.length) {
+        const tags = document.createElement('div');
+        tags.className = 'preset-tags';
+        tags.textContent = preset.tags.map(tag => `#${tag}`).join(' ');
+        item.appendChild(tags);
+      }
+      
+      if (this.library) {
+        const favorite = document.createElement('button');
+        favorite.className = `preset-favorite${preset.favorite ? ' on' : ''}`;
+        favorite.textContent = preset.favorite ? '★' : '☆';
+        favorite.title = preset.favorite ? 'Remove from favourites' : 'Add to favourites';
+        favorite.onclick = (e) => {
+          e.stopPropagation();
+          this.toggleFavorite(preset.id);
+        };
+        item.appendChild(favorite);
+      }
+      
+      grid.appendChild(item);
+      
+      if (this.previewRenderer) {
+        const thumb = item.querySelector('.preset-thumb');
+        this.previewRenderer.thumbnail(preset)
+          .then(url => { thumb.src = url; })
+          .catch(error => console.warn('Could not render preset thumbnail:', preset.id, error));
+      }
+    });
+  }
+
+  // ===== LIBRARY =====
+
+  setupLibraryControls() {
+    const controls = document.getElementById('preset-library-controls');
+    const tagsInput = document.getElementById('preset-tags');
+    if (!this.library) {
+      controls.style.display = 'none';
+      tagsInput.style.display = 'none';
+      return;
+    }
+    
+    const readRange = () => {
+      const key = document.getElementById('preset-filter-range').value;
+      const min = parseFloat(document.getElementById('preset-filter-min').value);
+      const max = parseFloat(document.getElementById('preset-filter-max').value);
+      return key ? { [key]: [isNaN(min) ? null : min, isNaN(max) ? null : max] } : {};
+    };
+    
+    document.getElementById('preset-search').addEventListener('input', (e) => this.setLibraryFilter({ text: e.target.value }));
+    document.getElementById('preset-sort').addEventListener('change', (e) => this.setLibraryFilter({ sort: e.target.value }));
+    document.getElementById('preset-filter-system').addEventListener('change', (e) => this.setLibraryFilter({ system: e.target.value }));
+    document.getElementById('preset-filter-geometry').addEventListener('change', (e) => this.setLibraryFilter({ geometry: e.target.value }));
+    document.getElementById('preset-filter-tags').addEventListener('change', (e) => this.setLibraryFilter({ tags: e.target.value }));
+    document.getElementById('preset-filter-favorites').addEventListener('change', (e) => this.setLibraryFilter({ favorites: e.target.checked }));
+    ['preset-filter-range', 'preset-filter-min', 'preset-filter-max'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.setLibraryFilter({ ranges: readRange() }));
+    });
+    
+    document.getElementById('preset-export-shown').addEventListener('click', () => this.exportPresets());
+    document.getElementById('preset-delete-shown').addEventListener('click', () => {
+      const ids = this.getFilteredPresets().map(preset => preset.id);
+      if (ids.length > 0 && confirm(`Delete ${ids.length} preset(s)? Built-in system presets are kept.`)) {
+        this.deletePresets(ids);
+      }
+    });
+    
+    tagsInput.addEventListener('change', () => {
+      if (this.currentPreset) this.setPresetTags(this.currentPreset.id, tagsInput.value);
+    });
+  }
+
+  // Keeps the tag suggestions and the current preset's tag field in sync
+  updateLibraryControls() {
+    const names = document.getElementById('preset-tag-names');
+    if (names && this.library) {
+      names.replaceChildren(...PresetLibraryIndex.collectTags(this.getAllPresets())
+        .map(tag => new Option('', tag)));
+    }
+    
+    const tagsInput = document.getElementById('preset-tags');
+    if (tagsInput && document.activeElement !== tagsInput) {
+      tagsInput.disabled = !this.currentPreset;
+      tagsInput.value = (this.currentPreset?.tags || []).join(', ');
+    }
+  }
+
+  setLibraryFilter(changes) {
+    Object.assign(this.libraryFilters, changes);
+    this.updatePresetGrid();
+  }
+
+  // Presets shown in the browser (all of them, most used first, without the index)
+  getFilteredPresets() {
+    if (!this.library) {
+      return this.getAllPresets().sort((a, b) => b.usage - a.usage);
+    }
+    return this.library.query(this.getAllPresets(), this.libraryFilters);
+  }
+
+  setPresetTags(id, tags) {
+    const preset = this.presets.get(id);
+    if (!preset || !this.library) return null;
+    
+    preset.tags = PresetLibraryIndex.normalizeTags(tags);
+    this.saveLibraryMetadata(preset);
+    this.updatePresetGrid();
+    return preset.tags;
+  }
+
+  toggleFavorite(id) {
+    const preset = this.presets.get(id);
+    if (!preset || !this.library) return false;
+    
+    preset.favorite = !preset.favorite;
+    this.saveLibraryMetadata(preset);
+    this.updatePresetGrid();
+    return preset.favorite;
+  }
+
+  // Lab presets store tags with the preset; built-in ones in the library overlay
+  saveLibraryMetadata(preset) {
+    if (this.persistentCategories.includes(preset.category)) {
+      this.persistPreset(preset);
+    } else {
+      this.library.remember(preset);
+    }
+  }
+
+  // One JSON file in the { presets: [...] } form importPresets() reads
+  exportPresets(presets = this.getFilteredPresets()) {
+    if (presets.length === 0) return;
+    
+    const data = JSON.stringify({ presets: presets.map(({ revision, ...preset }) => preset) }, null, 2);
+    this.downloadFile(data, `presets-${presets.length}.json`, 'application/json');
+    console.log('📦 Exported', presets.length, 'presets');
+  }
+
+  // ===== GENERATOR =====
+
+  setupGeneratorControls() {
+    if (!this.generator) {
+      document.getElementById('preset-generator-section').style.display = 'none';
+      return;
+    }
+    
+    document.getElementById('preset-suggest').addEventListener('click', () => this.suggestPresets());
+    document.getElementById('preset-mutate').addEventListener('click', () => this.mutateCurrentPreset());
+  }
+
+  // The seed field, or a new seed when it is blank
+  getGeneratorSeed() {
+    const input = document.getElementById('preset-seed');
+    return (input && input.value.trim()) || PresetGenerator.randomSeed();
+  }
+
+  getLockedParameters() {
+    return Array.from(document.querySelectorAll('#preset-locks input:checked'), input => input.value);
+  }
+
+  // Adds a generated preset; generator holds what reproduces it ({ mode, seed, ... })
+  addGeneratedPreset({ name, description, category, parameters, generator }) {
+    const preset = {
+      id: `${category}-${Date.now()}`,
+      name,
+      description,
+      category,
+      parameters,
+      generator,
+      timestamp: Date.now(),
+      usage: 0
+    };
+    if (this.presets.has(preset.id)) preset.id = this.getAvailablePresetId(preset.id);
+    
+    this.presets.set(preset.id, preset);
+    this.persistPreset(preset);
+    return preset;
+  }
+
+  // Moves the current preset by amount (0-1, default from the lab) of each range
+  mutateCurrentPreset(amount, seed = this.getGeneratorSeed()) {
+    if (!this.generator || !this.currentPreset?.parameters) return null;
+    
+    const strength = amount ?? (parseFloat(document.getElementById('preset-mutate-amount')?.value) || 20) / 100;
+    const locked = this.getLockedParameters();
+    const base = this.currentPreset;
+    
+    const preset = this.addGeneratedPreset({
+      name: `${base.name} (mutated)`,
+      description: `${Math.round(strength * 100)}% mutation of ${base.name}, seed ${seed}`,
+      category: 'generated',
+      parameters: this.generator.mutate(base.parameters, strength, seed, { locked }),
+      generator: { mode: 'mutate', seed, amount: strength, base: base.id, locked }
+    });
+    this.loadPreset(preset.id);
+    
+    console.log('🧬 Mutated preset:', base.name, 'seed', seed);
+    return preset;
+  }
+
+  // Fills the gallery with candidates ranked by earlier thumbs-up/down picks
+  suggestPresets(seed = this.getGeneratorSeed(), count = 6) {
+    if (!this.generator) return [];
+    
+    const locked = this.getLockedParameters();
+    const candidates = this.generator.suggest(seed, { count, locked, base: this.currentPreset?.parameters });
+    this.renderGallery(candidates, locked);
+    return candidates;
+  }
+
+  renderGallery(candidates, locked) {
+    const gallery = document.getElementById('generator-gallery');
+    if (!gallery) return;
+    
+    gallery.innerHTML = '';
+    candidates.forEach(candidate => {
+      const preview = { id: `seed-${candidate.seed}`, name: `Seed ${candidate.seed}`, parameters: candidate.parameters };
+      const item = document.createElement('div');
+      item.className = 'gallery-item';
+      
+      const thumb = document.createElement('img');
+      thumb.className = 'preset-thumb';
+      thumb.alt = '';
+      thumb.setAttribute('title', `${preview.name} - click to preview`);
+      
+      const like = document.createElement('button');
+      like.className = 'lab-button btn-like';
+      like.setAttribute('title', 'More like this');
+      like.textContent = '👍';
+      
+      const dislike = document.createElement('button');
+      dislike.className = 'lab-button btn-dislike';
+      dislike.setAttribute('title', 'Less like this');
+      dislike.textContent = '👎';
+      
+      item.append(thumb, like, dislike);
+      
+      // A failed render keeps an empty (still clickable) placeholder
+      if (this.previewRenderer) {
+        this.previewRenderer.thumbnail(preview)
+          .then(url => { thumb.src = url; })
+          .catch(error => {
+            console.warn('Could not render candidate thumbnail:', preview.id, error);
+            thumb.classList.add('placeholder');
+          });
+      } else {
+        thumb.classList.add('placeholder');
+      }
+      thumb.addEventListener('click', () => this.applyPresetToAll(preview));
+      
+      // Thumbs-up keeps the look as a preset; thumbs-down drops it
+      like.addEventListener('click', () => {
+        this.generator.rate(candidate.parameters, true);
+        this.addGeneratedPreset({
+          name: `Pick ${candidate.seed}`,
+          description: `Generator pick, seed ${candidate.seed}`,
+          category: 'generated',
+          parameters: candidate.parameters,
+          generator: { mode: 'random', seed: candidate.seed, base: this.currentPreset?.id, locked }
+        });
+        item.classList.add('liked');
+        item.querySelectorAll('button').forEach(button => { button.disabled = true; });
+        this.updatePresetGrid();
+      });
+      dislike.addEventListener('click', () => {
+        this.generator.rate(candidate.parameters, false);
+        item.remove();
+      });
+      
+      gallery.appendChild(item);
+    });
+  }
+
+  // ===== MORPHING =====
+
+  setupMorphControls() {
+    if (!this.morpher) {
+      document.getElementById('preset-morph-section').style.display = 'none';
+      return;
+    }
+    
+    const selectA = document.getElementById('preset-morph-a');
+    const selectB = document.getElementById('preset-morph-b');
+    const position = document.getElementById('preset-morph-position');
+    const scrollBind = document.getElementById('preset-morph-scroll');
+    const scrollTarget = document.getElementById('preset-morph-scroll-target');
+    
+    this.updateMorphOptions();
+    
+    const onPresetChange = () => this.setMorphPresets(selectA.value, selectB.value);
+    selectA.addEventListener('change', onPresetChange);
+    selectB.addEventListener('change', onPresetChange);
+    
+    // Dragging the slider takes over from scroll
+    position.addEventListener('input', () => {
+      if (scrollBind.checked) {
+        scrollBind.checked = false;
+        this.morpher.unbindScroll();
+      }
+      this.setMorphPosition(parseFloat(position.value));
+    });
+    
+    document.getElementById('preset-morph-threshold').addEventListener('change', (e) => {
+      this.morpher.setThreshold(parseFloat(e.target.value) || 0);
+    });
+    document.getElementById('preset-morph-save').addEventListener('click', () => this.saveMorphBlend());
+    
+    scrollBind.addEventListener('change', () => {
+      if (scrollBind.checked) {
+        scrollBind.checked = this.bindMorphToScroll(scrollTarget.value.trim());
+      } else {
+        this.morpher.unbindScroll();
+      }
+    });
+  }
+
+  // Morph selects list the static presets, keeping the current choice
+  updateMorphOptions() {
+    const selects = ['preset-morph-a', 'preset-morph-b'].map(id => document.getElementById(id));
+    if (!this.morpher || selects.some(select => !select)) return;
+    
+    const presets = Array.from(this.presets.values()).filter(preset => preset.parameters);
+    
+    selects.forEach((select, index) => {
+      const current = select.value || (index === 0 ? this.morpher.a?.id : this.morpher.b?.id);
+      select.replaceChildren(...presets.map(preset => new Option(preset.name, preset.id)));
+      if (current && this.presets.has(current)) select.value = current;
+      else if (index === 1 && select.options.length > 1) select.selectedIndex = 1;
+    });
+  }
+
+  setMorphPresets(idA, idB) {
+    if (!this.morpher) return false;
+    
+    try {
+      this.morpher.setPresets(this.presets.get(idA), this.presets.get(idB));
+    } catch (error) {
+      console.warn('⚠️ Could not morph presets:', error.message);
+      return false;
+    }
+    this.setMorphPosition(this.morpher.position);
+    return true;
+  }
+
+  // Blend position from code: 0 = preset A, 1 = preset B
+  setMorphPosition(position) {
+    if (!this.morpher) return;
+    if (!this.morpher.a) {
+      const selectA = document.getElementById('preset-morph-a');
+      const selectB = document.getElementById('preset-morph-b');
+      if (!selectA || !this.setMorphPresets(selectA.value, selectB.value)) return;
+    }
+    
+    this.stopPlayback();
+    this.updatePlaybackControls();
+    this.morpher.setPosition(position);
+    
+    const slider = document.getElementById('preset-morph-position');
+    if (slider) slider.value = this.morpher.position;
+  }
+
+  // Binds the blend position to a section's scroll progress ('' = whole page)
+  bindMorphToScroll(selector = '') {
+    if (!this.morpher) return false;
+    
+    const element = selector ? document.querySelector(selector) : null;
+    if (selector && !element) {
+      console.warn('⚠️ Scroll target not found:', selector);
+      return false;
+    }
+    
+    this.setMorphPosition(this.morpher.position);
+    if (!this.morpher.a) return false;
+    this.morpher.bindToScroll(element);
+    return true;
+  }
+
+  unbindMorphScroll() {
+    if (!this.morpher) return;
+    this.morpher.unbindScroll();
+    
+    const scrollBind = document.getElementById('preset-morph-scroll');
+    if (scrollBind) scrollBind.checked = false;
+  }
+
+  // Saves the current A/B blend as a new preset
+  saveMorphBlend() {
+    if (!this.morpher?.a) return null;
+    
+    const { a, b, position } = this.morpher;
+    const percent = Math.round(position * 100);
+    return this.addBlendPreset(this.morpher.getParameters(), {
+      name: `${a.name} × ${b.name}`,
+      description: `${100 - percent}% ${a.name}, ${percent}% ${b.name}`
+    });
+  }
+
+  /*
+   * Creates a preset from N presets with weights:
+   *   blendPresets([{ id: 'faceted', weight: 2 }, { id: 'quantum-calm', weight: 1 }])
+   * Entries may also pass { preset } instead of an id.
+   */
+  blendPresets(entries, options = {}) {
+    if (!window.PresetMorpher) return null;
     
-    // Populate preset grid
-    this.updatePresetGrid();
-    this.initializeParameterSpace();
+    const resolved = entries.map(entry => ({
+      preset: entry.preset || this.presets.get(entry.id),
+      weight: entry.weight ?? 1
+    }));
+    const missing = entries.find((entry, index) => !resolved[index].preset);
+    if (missing) throw new Error(`Unknown preset "${missing.id}"`);
     
-    // Make functions global for HTML onclick handlers
-    window.toggleLab = () => this.toggleLab();
-    window.startTweaking = () => this.startTweaking();
-    window.recordParameters = () => this.recordParameters();
-    window.generateRandom = () => this.generateRandom();
-    window.exportPreset = () => this.exportPreset();
+    const total = resolved.reduce((sum, entry) => sum + Math.max(entry.weight, 0), 0);
+    return this.addBlendPreset(PresetMorpher.blend(resolved), {
+      name: options.name || `Blend of ${resolved.length}`,
+      description: options.description || resolved
+        .filter(entry => entry.weight > 0)
+        .map(entry => `${Math.round((entry.weight / total) * 100)}% ${entry.preset.name}`)
+        .join(', ')
+    });
   }
 
-  updatePresetGrid() {
-    const grid = document.getElementById('preset-grid');
-    if (!grid) return;
+  addBlendPreset(parameters, { name, description }) {
+    const preset = {
+      id: `blend-${Date.now()}`,
+      name,
+      description,
+      category: 'blend',
+      parameters,
+      timestamp: Date.now(),
+      usage: 0
+    };
+    if (this.presets.has(preset.id)) preset.id = this.getAvailablePresetId(preset.id);
     
-    grid.innerHTML = '';
+    this.presets.set(preset.id, preset);
+    this.persistPreset(preset);
+    this.updatePresetGrid();
+    this.initializeParameterSpace();
     
-    Array.from(this.presets.values())
-      .sort((a, b) => b.usage - a.usage)
-      .forEach(preset => {
-        const item = document.createElement('div');
-        item.className = 'preset-item';
-        item.onclick = () => this.loadPreset(preset.id);
-        
-        if (this.currentPreset && this.currentPreset.id === preset.id) {
-          item.classList.add('active');
-        }
-        
-        item.innerHTML = `
-          <div class="preset-name">${preset.name}</div>
-          <div class="preset-desc">${preset.description}</div>
-        `;
-        
-        grid.appendChild(item);
-      });
+    console.log('🧬 Created blended preset:', preset.name);
+    return preset;
   }
 
   initializeParameterSpace() {
     const canvas = document.getElementById('param-space-canvas');
     if (!canvas) return;
     
-    const ctx = canvas.getContext('2d');
+    if (!this.parameterSpace && window.ParameterSpaceExplorer && window.PresetCodec) {
+      this.parameterSpace = new ParameterSpaceExplorer(canvas, {
+        fields: PresetCodec.FIELDS,
+        x: this.parameterSpaceAxes.x,
+        y: this.parameterSpaceAxes.y,
+        onChange: (values) => this.applyParameterSpaceValues(values),
+        onPick: (id) => this.loadPreset(id)
+      });
+    }
+    
+    if (this.parameterSpace) {
+      // Recorded animations have no static parameters to plot
+      this.parameterSpace
+        .setPoints(this.getAllPresets()
+          .filter(preset => preset.parameters)
+          .map(preset => ({ id: preset.id, parameters: preset.parameters, active: preset === this.currentPreset })))
+        .setPuck(this.getExploredParameters());
+      return;
+    }
+    
+    // Static picture without the explorer
+    this.drawParameterSpace(canvas.getContext('2d'));
+  }
+
+  setupParameterSpaceControls() {
+    const axes = document.getElementById('param-space-axes');
+    if (!this.parameterSpace) {
+      axes.style.display = 'none';
+      return;
+    }
+    
+    const readAxes = () => this.setParameterSpaceAxes(
+      document.getElementById('param-space-x').value,
+      document.getElementById('param-space-y').value
+    );
+    document.getElementById('param-space-x').addEventListener('change', readAxes);
+    document.getElementById('param-space-y').addEventListener('change', readAxes);
+    document.getElementById('param-space-snapshot').addEventListener('click', () => this.snapshotParameterSpace());
+  }
+
+  // Axes as "namespace.param" keys from PresetCodec.FIELDS
+  setParameterSpaceAxes(x, y) {
+    if (!this.parameterSpace) return false;
+    
+    this.parameterSpace.setAxes(x, y);
+    this.parameterSpaceAxes = { x, y };
+    this.initializeParameterSpace();
+    return true;
+  }
+
+  // Current preset's parameters with the puck's changes, if it was dragged
+  getExploredParameters() {
+    if (this.exploredParameters && this.exploredParameters.preset === this.currentPreset) {
+      return this.exploredParameters.parameters;
+    }
+    return this.currentPreset?.parameters || null;
+  }
+
+  // Puck drag: live update of every visualizer (recorded while recording).
+  // The preset itself - system presets included - stays as loaded; the
+  // explorer has already moved the puck, so nothing is re-plotted.
+  applyParameterSpaceValues(values) {
+    if (!this.currentPreset?.parameters) {
+      console.warn('⚠️ Load a static preset to explore its parameter space');
+      return;
+    }
+    
+    if (this.exploredParameters?.preset !== this.currentPreset) {
+      this.exploredParameters = {
+        preset: this.currentPreset,
+        parameters: JSON.parse(JSON.stringify(this.currentPreset.parameters))
+      };
+    }
+    
+    Object.entries(values).forEach(([key, value]) => {
+      const [namespace, param] = key.split('.');
+      this.exploredParameters.parameters[namespace][param] = value;
+      this.applyParameterToAll(namespace, param, value, { immediate: true });
+      if (this.isRecording) {
+        this.recordParameterChange(namespace, param, value);
+      }
+    });
+  }
+
+  // Saves the current parameters (puck position included) as a custom preset
+  snapshotParameterSpace() {
+    const base = this.currentPreset;
+    if (!base?.parameters || !this.parameterSpace) return null;
+    
+    const parameters = this.getExploredParameters();
+    const { x, y } = this.parameterSpace;
+    const values = [x, y].map(({ namespace, param }) => `${param} ${(parameters[namespace]?.[param] ?? 0).toFixed(2)}`);
+    const preset = {
+      id: `custom-${Date.now()}`,
+      name: `${base.name} @ ${values.join(' / ')}`,
+      description: `Parameter space snapshot of ${base.name}`,
+      category: 'custom',
+      parameters: JSON.parse(JSON.stringify(parameters)),
+      basePreset: base.basePreset || base.id,
+      timestamp: Date.now(),
+      usage: 0
+    };
+    
+    this.presets.set(preset.id, preset);
+    this.currentPreset = preset;
+    this.persistPreset(preset);
+    this.updatePresetGrid();
+    this.initializeParameterSpace();
     
-    // Draw parameter space visualization
-    this.drawParameterSpace(ctx);
+    console.log('📍 Saved parameter space snapshot:', preset.name);
+    return preset;
   }
 
   drawParameterSpace(ctx) {
@@ -454,8 +1544,8 @@ class PresetLaboratory {
     ctx.fillStyle = 'rgba(13, 17, 23, 1)';
     ctx.fillRect(0, 0, width, height);
     
-    // Draw parameter dots
-    Array.from(this.presets.values()).forEach((preset, index) => {
+    // Draw parameter dots (recorded animations have no static parameters)
+    Array.from(this.presets.values()).filter(preset => preset.parameters).forEach((preset, index) => {
       const x = (preset.parameters.visual.gridDensity / 100) * width;
       const y = (1 - preset.parameters.visual.speed / 3) * height;
       
@@ -489,10 +1579,20 @@ class PresetLaboratory {
     if (!preset) return;
     
     this.currentPreset = preset;
+    this.exploredParameters = null;
     preset.usage++;
+    preset.lastUsed = Date.now();
     
-    // Apply preset to all active visualizers
-    this.applyPresetToAll(preset);
+    this.stopPlayback();
+    this.unbindMorphScroll();
+    if (preset.keyframes) {
+      // Recorded animation
+      this.playAnimatedPreset(preset);
+    } else {
+      // Apply preset to all active visualizers
+      this.applyPresetToAll(preset);
+    }
+    this.updatePlaybackControls();
     
     // Update UI
     this.updatePresetGrid();
@@ -501,30 +1601,49 @@ class PresetLaboratory {
     console.log('🎯 Loaded preset:', preset.name);
   }
 
-  applyPresetToAll(preset) {
+  applyParameterToAll(namespace, param, value, options = {}) {
     if (!window.visualizerAdapter) return;
     
+    window.visualizerAdapter.getAllVisualizers().forEach(visualizer => {
+      window.visualizerAdapter.updateVisualizerParameter(visualizer.id, namespace, param, value, options);
+    });
+  }
+
+  applyPresetToAll(preset) {
+    if (!window.visualizerAdapter || !preset.parameters) return;
+    
     const visualizers = window.visualizerAdapter.getAllVisualizers();
     
+    // One preset load is one undo step on each visualizer
+    const history = window.unifiedPolytopal?.history;
+    const group = history?.begin('preset', { preset: preset.id || preset.name });
+    try {
+      this.applyPresetParameters(visualizers, preset);
+    } finally {
+      history?.end(group);
+    }
+  }
+
+  applyPresetParameters(visualizers, preset) {
     visualizers.forEach(visualizer => {
       // Apply visual parameters
       Object.entries(preset.parameters.visual).forEach(([param, value]) => {
         window.visualizerAdapter.updateVisualizerParameter(
-          visualizer.id, 'visual', param, value, { transition: { duration: 800, easing: 'expoOut' } }
+          visualizer.id, 'visual', param, value, { transition: { ...this.transition } }
         );
       });
       
       // Apply color parameters
       Object.entries(preset.parameters.color).forEach(([param, value]) => {
         window.visualizerAdapter.updateVisualizerParameter(
-          visualizer.id, 'color', param, value, { transition: { duration: 800, easing: 'expoOut' } }
+          visualizer.id, 'color', param, value, { transition: { ...this.transition } }
         );
       });
       
       // Apply rot4d parameters
       Object.entries(preset.parameters.rot4d).forEach(([param, value]) => {
         window.visualizerAdapter.updateVisualizerParameter(
-          visualizer.id, 'rot4d', param, value, { transition: { duration: 800, easing: 'expoOut' } }
+          visualizer.id, 'rot4d', param, value, { transition: { ...this.transition } }
         );
       });
       
@@ -537,6 +1656,111 @@ class PresetLaboratory {
     });
   }
 
+  // ===== ANIMATED PRESET PLAYBACK =====
+
+  // Visualizers on this page: from the adapter, or from the polytopal system
+  // where the adapter is its updateVisualizerParameter-only shim
+  getPageVisualizerIds() {
+    const visualizers = typeof window.visualizerAdapter?.getAllVisualizers === 'function'
+      ? window.visualizerAdapter.getAllVisualizers()
+      : Array.from(window.unifiedPolytopal?.visualizers?.values() || []);
+    return visualizers.map(visualizer => visualizer.id);
+  }
+
+  playAnimatedPreset(preset) {
+    if (!window.PresetPlayback || !window.visualizerAdapter) return null;
+    
+    const settings = { mode: 'once', rate: 1, ...preset.playback };
+    
+    // Recordings from another page (shared links) play on this page's visualizers
+    const pageVisualizers = this.getPageVisualizerIds();
+    const recorded = new Set((preset.keyframes || []).map(keyframe => keyframe.visualizerId));
+    const retarget = pageVisualizers.length > 0 && !pageVisualizers.some(id => recorded.has(id));
+    
+    try {
+      this.playback = new PresetPlayback(preset, {
+        mode: settings.mode,
+        rate: settings.rate,
+        visualizerIds: retarget ? pageVisualizers : undefined,
+        apply: (visualizerId, namespace, param, value) => {
+          window.visualizerAdapter.updateVisualizerParameter(visualizerId, namespace, param, value, { immediate: true });
+        },
+        onUpdate: () => this.updatePlaybackControls(),
+        onEnd: () => this.updatePlaybackControls()
+      });
+    } catch (error) {
+      console.warn('Could not play animated preset:', error.message);
+      return null;
+    }
+    
+    if (settings.scrollTarget !== undefined) {
+      this.bindPlaybackToScroll(settings.scrollTarget);
+    } else {
+      this.playback.play();
+    }
+    
+    console.log('▶️ Playing animated preset:', preset.name);
+    return this.playback;
+  }
+
+  stopPlayback() {
+    if (this.playback) {
+      this.playback.destroy();
+      this.playback = null;
+    }
+  }
+
+  // Binds playback to a section's scroll progress ('' = whole page).
+  // The choice is saved with the preset.
+  bindPlaybackToScroll(selector = '') {
+    if (!this.playback) return false;
+    
+    const element = selector ? document.querySelector(selector) : null;
+    if (selector && !element) {
+      console.warn('⚠️ Scroll target not found:', selector);
+      return false;
+    }
+    
+    this.playback.bindToScroll(element);
+    this.setPlaybackOption('scrollTarget', selector);
+    return true;
+  }
+
+  // mode / rate / scrollTarget, stored on the animated preset
+  setPlaybackOption(option, value) {
+    if (!this.playback) return;
+    
+    const preset = this.playback.preset;
+    preset.playback = { ...preset.playback, [option]: value };
+    if (option === 'scrollTarget' && !this.playback.scrollBinding) delete preset.playback.scrollTarget;
+    
+    if (option === 'mode') this.playback.setMode(value);
+    if (option === 'rate') this.playback.setRate(value);
+    
+    this.persistPreset(preset);
+  }
+
+  updatePlaybackControls() {
+    const section = document.getElementById('preset-playback-section');
+    if (!section) return;
+    
+    section.style.display = this.playback ? 'block' : 'none';
+    if (!this.playback) return;
+    
+    const settings = this.playback.preset.playback || {};
+    const scrollBound = !!this.playback.scrollBinding;
+    
+    document.getElementById('preset-play').textContent = this.playback.playing ? 'Pause' : 'Play';
+    document.getElementById('preset-play').disabled = scrollBound;
+    document.getElementById('preset-playback-mode').value = this.playback.mode;
+    document.getElementById('preset-playback-rate').value = String(this.playback.rate);
+    document.getElementById('preset-scrub').value = this.playback.progress;
+    document.getElementById('preset-scroll-bind').checked = scrollBound;
+    if (settings.scrollTarget !== undefined) {
+      document.getElementById('preset-scroll-target').value = settings.scrollTarget;
+    }
+  }
+
   startTweaking() {
     if (!this.currentPreset) {
       this.generateRandom();
@@ -668,6 +1892,7 @@ class PresetLaboratory {
     
     this.presets.set(newId, newPreset);
     this.currentPreset = newPreset;
+    this.persistPreset(newPreset);
     
     this.updatePresetGrid();
     this.stopTweaking();
@@ -687,9 +1912,30 @@ class PresetLaboratory {
     console.log('🛑 Stopped tweaking session');
   }
 
-  generateRandom() {
-    const randomPreset = {
-      id: `random-${Date.now()}`,
+  generateRandom(seed) {
+    if (!this.generator) {
+      return this.generateUnseededRandom();
+    }
+    
+    seed = seed ?? this.getGeneratorSeed();
+    // Locked parameters keep the current preset's values
+    const locked = this.getLockedParameters();
+    const randomPreset = this.addGeneratedPreset({
+      name: 'Random Discovery',
+      description: `Generated from seed ${seed}`,
+      category: 'random',
+      parameters: this.generator.generate(seed, { base: this.currentPreset?.parameters, locked }),
+      generator: { mode: 'random', seed, base: this.currentPreset?.id, locked }
+    });
+    this.loadPreset(randomPreset.id);
+    
+    console.log('🎲 Generated random preset from seed', seed);
+    return randomPreset;
+  }
+
+  // Without preset-generator.js: unconstrained values, no seed to reproduce them
+  generateUnseededRandom() {
+    const randomPreset = this.addGeneratedPreset({
       name: 'Random Discovery',
       description: 'Randomly generated parameters',
       category: 'random',
@@ -712,15 +1958,12 @@ class PresetLaboratory {
           zw: (Math.random() - 0.5) * 6.28
         },
         geometry: ['TETRAHEDRON', 'CUBE', 'OCTAHEDRON', 'CRYSTAL', 'TORUS', 'WAVE'][Math.floor(Math.random() * 6)]
-      },
-      timestamp: Date.now(),
-      usage: 0
-    };
-    
-    this.presets.set(randomPreset.id, randomPreset);
+      }
+    });
     this.loadPreset(randomPreset.id);
     
     console.log('🎲 Generated random preset');
+    return randomPreset;
   }
 
   recordParameters() {
@@ -751,12 +1994,13 @@ class PresetLaboratory {
     };
     
     this.presets.set(animatedPreset.id, animatedPreset);
+    this.persistPreset(animatedPreset);
     this.updatePresetGrid();
     
     console.log('🎬 Created animated preset from recording');
   }
 
-  exportPreset(format = 'json') {
+  async exportPreset(format = 'json') {
     if (!this.currentPreset) return;
     
     let exportData;
@@ -776,32 +2020,158 @@ class PresetLaboratory {
         mimeType = 'text/css';
         break;
         
-      case 'shader':
-        exportData = this.generateShaderCode(this.currentPreset);
-        filename = `${this.currentPreset.id}.glsl`;
-        mimeType = 'text/plain';
+      case 'shader': {
+        // One page that embeds both stages in script tags and runs them
+        const build = this.generateShaderCode(this.currentPreset);
+        if (!build) return;
+        exportData = PresetShaderExport.toHarness(this.currentPreset, build);
+        filename = `${this.currentPreset.id}.html`;
+        mimeType = 'text/html';
         break;
+      }
         
       case 'trading-card':
-        this.exportTradingCard();
+        try {
+          await this.exportTradingCard();
+        } catch (error) {
+          console.error('❌ Trading card export failed:', error);
+          this.showNotice(`Trading card export failed: ${error.message}`);
+        }
         return;
         
+      case 'reactivity':
+      case 'routes': {
+        if (!this.currentPreset.parameters) {
+          console.warn('⚠️ Recorded animations cannot be exported as reactivity config');
+          return;
+        }
+        const config = format === 'reactivity'
+          ? this.generateReactivityConfig(this.currentPreset)
+          : this.generateRouteTemplate(this.currentPreset);
+        exportData = JSON.stringify(config, null, 2);
+        filename = `${this.currentPreset.id}.${format}.json`;
+        mimeType = 'application/json';
+        this.validateReactivityExport(config, filename);
+        break;
+      }
+        
       default:
         exportData = JSON.stringify(this.currentPreset, null, 2);
         filename = `${this.currentPreset.id}.json`;
         mimeType = 'application/json';
     }
     
-    // Create download
-    const blob = new Blob([exportData], { type: mimeType });
+    this.downloadFile(exportData, filename, mimeType);
+    console.log('📦 Exported preset as', format);
+  }
+
+  downloadFile(data, filename, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
     link.download = filename;
     link.click();
-    URL.revokeObjectURL(url);
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ===== REACTIVITY CONFIG EXPORT =====
+
+  // Schema system name for a preset: "faceted-calm" -> "FACETED_CALM"
+  getSystemName(preset) {
+    const name = String(preset.id).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return /^[A-Z]/.test(name) ? name : `PRESET_${name}`;
+  }
+
+  /*
+   * A systems file in the faceted.json layout, ready to list in the
+   * reactivity manifest: the preset's values become base, and its reactivity
+   * (or the reactivity of the preset it was derived from) is kept as is.
+   */
+  generateReactivityConfig(preset, options = {}) {
+    const system = { base: this.toReactivityBase(preset.parameters) };
+    const reactivity = this.getPresetReactivity(preset);
+    if (reactivity) {
+      system.reactivity = JSON.parse(JSON.stringify(reactivity));
+    }
     
-    console.log('📦 Exported preset as', format);
+    return {
+      $schema: 'https://clearseas/reactivity.schema.json',
+      version: '1.0',
+      systems: { [options.systemName || this.getSystemName(preset)]: system }
+    };
+  }
+
+  /*
+   * A page config routing elements to the exported system. options:
+   *   selector (default [data-preset="<id>"]), scene, role, id, systemName
+   */
+  generateRouteTemplate(preset, options = {}) {
+    const reactivity = this.getPresetReactivity(preset);
+    
+    return {
+      $schema: 'https://clearseas/reactivity.schema.json',
+      version: '1.0',
+      routes: [{
+        id: options.id || preset.id,
+        selector: options.selector || `[data-preset="${preset.id}"]`,
+        scene: options.scene || reactivity?.roles?.defaultScene || 'default',
+        system: options.systemName || this.getSystemName(preset),
+        role: options.role || 'target'
+      }]
+    };
+  }
+
+  // Only the keys the schema allows in base, rounded for readable diffs
+  toReactivityBase(parameters) {
+    const pick = (values = {}, keys) => Object.fromEntries(keys
+      .filter(key => typeof values[key] === 'number')
+      .map(key => [key, Math.round(values[key] * 1000) / 1000]));
+    
+    const base = {};
+    if (parameters.geometry) base.geometry = parameters.geometry;
+    base.rot4d = pick(parameters.rot4d, ['xw', 'yw', 'zw']);
+    base.visual = pick(parameters.visual, ['gridDensity', 'morphFactor', 'chaos', 'speed', 'intensity']);
+    base.color = pick(parameters.color, ['hue', 'intensity', 'saturation']);
+    return base;
+  }
+
+  // Reactivity of the preset or, for variations and generated presets, of its base
+  getPresetReactivity(preset, seen = new Set()) {
+    if (preset.reactivity) return preset.reactivity;
+    
+    seen.add(preset.id);
+    const baseId = preset.basePreset || preset.generator?.base;
+    const base = baseId && !seen.has(baseId) ? this.presets.get(baseId) : null;
+    return base ? this.getPresetReactivity(base, seen) : null;
+  }
+
+  // Checks an export against the reactivity schema; problems are logged, not fatal
+  async validateReactivityExport(config, label) {
+    if (!window.ReactivityConfigValidator) return true;
+    
+    try {
+      if (!this.configValidator) {
+        this.configValidator = await ReactivityConfigValidator.load();
+        if (window.ReactivityExpression) {
+          this.configValidator.registerFormat('reactivity-expression', ReactivityExpression.check);
+        }
+        if (window.EasingLibrary) {
+          this.configValidator.registerFormat('easing', EasingLibrary.check);
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load reactivity schema - export not validated:', error);
+      return true;
+    }
+    
+    const result = this.configValidator.validate(config);
+    if (!result.valid) {
+      console.warn(`⚠️ Exported ${label} does not pass the reactivity schema:\n` +
+        ReactivityConfigValidator.formatErrors(result.errors));
+    }
+    return result.valid;
   }
 
   generateCSS(preset) {
@@ -837,96 +2207,250 @@ class PresetLaboratory {
     `;
   }
 
+  // Self-contained WebGL2 program for a preset, built from its system's
+  // VIB34DRenderer shader: { system, vertex, fragment, uniforms, speed, rotation }
   generateShaderCode(preset) {
-    const params = preset.parameters;
-    return `
-// Clear Seas Preset: ${preset.name}
-// Generated shader uniforms
-
-uniform float u_gridDensity; // ${params.visual.gridDensity}
-uniform float u_morphFactor; // ${params.visual.morphFactor}
-uniform float u_chaos; // ${params.visual.chaos}
-uniform float u_speed; // ${params.visual.speed}
-uniform float u_hue; // ${params.color.hue}
-uniform float u_intensity; // ${params.color.intensity}
-uniform float u_saturation; // ${params.color.saturation}
-uniform float u_rot4d_xw; // ${params.rot4d.xw}
-uniform float u_rot4d_yw; // ${params.rot4d.yw}
-uniform float u_rot4d_zw; // ${params.rot4d.zw}
-
-vec3 applyPresetTransform(vec3 position) {
-    // Apply 4D rotation
-    vec4 pos4d = vec4(position, 1.0);
-    
-    // XW rotation
-    float c_xw = cos(u_rot4d_xw);
-    float s_xw = sin(u_rot4d_xw);
-    vec4 temp = pos4d;
-    pos4d.x = c_xw * temp.x - s_xw * temp.w;
-    pos4d.w = s_xw * temp.x + c_xw * temp.w;
-    
-    // Apply morphing and chaos
-    pos4d.xyz *= (1.0 + u_morphFactor * sin(pos4d.w * u_gridDensity + u_time * u_speed));
-    pos4d.xyz += u_chaos * noise(pos4d.xyz * 10.0) * 0.1;
-    
-    return pos4d.xyz;
-}
-
-vec3 applyPresetColor(vec3 baseColor) {
-    vec3 hsv = rgb2hsv(baseColor);
-    hsv.x = mod(hsv.x + u_hue / 360.0, 1.0);
-    hsv.y *= u_saturation;
-    hsv.z *= u_intensity;
-    return hsv2rgb(hsv);
-}
-    `;
+    if (!preset.parameters || !window.PresetShaderExport || !window.VIB34DRenderer || !this.previewRenderer) {
+      console.warn('⚠️ Shader export needs a static preset, core-engine.js and the preset preview renderer');
+      return null;
+    }
+    
+    return PresetShaderExport.build(preset, {
+      system: this.previewRenderer.getSystem(preset),
+      values: this.previewRenderer.toRendererParameters(preset.parameters),
+      geometries: PresetCodec.GEOMETRIES
+    });
   }
 
-  exportTradingCard() {
+  async exportTradingCard() {
     if (!this.currentPreset) return;
+    if (!this.previewRenderer) {
+      console.warn('⚠️ Trading cards need preset-preview-renderer.js');
+      return;
+    }
+    
+    const preset = this.currentPreset;
+    console.log('🃏 Exporting trading card for preset:', preset.name);
+    
+    const canvas = await this.previewRenderer.renderCard(preset);
+    // toBlob gives null when the canvas cannot be encoded (zero size, too large)
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('the card image could not be encoded');
+    this.downloadFile(blob, `${preset.id}-card.png`, 'image/png');
+  }
+
+  // Short-lived message under the quick actions, for failures worth more than a console line
+  showNotice(message) {
+    const notice = document.getElementById('preset-lab-notice');
+    if (!notice) return;
+    notice.textContent = message;
+    notice.hidden = false;
+    clearTimeout(this.noticeTimer);
+    this.noticeTimer = setTimeout(() => { notice.hidden = true; }, 5000);
+  }
+
+  // Offscreen render of a preset (a 2D canvas), or null without the preview renderer
+  async generatePreviewImage(preset = this.currentPreset, options = {}) {
+    if (!preset || !this.previewRenderer) return null;
+    return this.previewRenderer.renderPreview(preset, options);
+  }
+
+  // ===== SHARE LINKS =====
+
+  setupShareLinks() {
+    if (!window.PresetLink) return;
+    
+    window.addEventListener('hashchange', () => this.loadPresetFromLocation());
+    this.loadPresetFromLocation();
+  }
+
+  // Copies a link that reproduces the preset (static or recorded) on this page
+  async copyShareLink(preset = this.currentPreset) {
+    if (!preset || !window.PresetLink) return null;
     
-    // This would integrate with your existing trading card system
-    console.log('🃏 Exporting trading card for preset:', this.currentPreset.name);
+    const url = await PresetLink.createUrl(preset);
+    if (url.length > 8000) {
+      console.warn(`⚠️ Preset link is ${url.length} characters - some chat apps truncate links this long`);
+    }
+    
+    try {
+      await navigator.clipboard.writeText(url);
+      console.log('🔗 Copied link for preset:', preset.name);
+    } catch (error) {
+      // Clipboard needs a secure context and permission
+      window.prompt('Copy this preset link', url);
+    }
+    return url;
+  }
+
+  // Loads and applies the preset in the page's #preset= fragment, if any
+  async loadPresetFromLocation() {
+    const token = PresetLink.fromHash(window.location.hash);
+    if (!token) return null;
     
-    // Create a preview image
-    this.generatePreviewImage().then(imageData => {
-      const canvas = document.createElement('canvas');
-      canvas.width = 400;
-      canvas.height = 600;
-      const ctx = canvas.getContext('2d');
+    try {
+      const shared = await PresetLink.decode(token);
+      const problem = this.checkImportedPreset(shared);
+      if (problem) throw new Error(problem);
       
-      // Draw card background
-      ctx.fillStyle = 'linear-gradient(135deg, #0d1117, #161b22)';
-      ctx.fillRect(0, 0, 400, 600);
+      // Visualizers register while the page loads
+      if (document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+      }
       
-      // Add preset visualization (imageData would be applied here)
+      const preset = this.addSharedPreset(shared);
+      this.loadPreset(preset.id);
+      console.log('🔗 Applied shared preset:', preset.name);
+      return preset;
+    } catch (error) {
+      console.warn('⚠️ Could not load shared preset link:', error.message);
+      return null;
+    }
+  }
+
+  // Shared presets live for the session only; a link to a preset already in
+  // the lab (same parameters or recording) reuses it
+  addSharedPreset(shared) {
+    const fingerprint = (preset) => {
+      const { p, t, k } = PresetLink.compact(preset);
+      return JSON.stringify({ p, t, k });
+    };
+    
+    const sharedFingerprint = fingerprint(shared);
+    const existing = Array.from(this.presets.values()).find(preset => fingerprint(preset) === sharedFingerprint);
+    if (existing) return existing;
+    
+    const preset = {
+      ...shared,
+      id: this.presets.has(shared.id) ? this.getAvailablePresetId(shared.id) : shared.id,
+      category: 'shared',
+      timestamp: Date.now(),
+      usage: 0
+    };
+    this.presets.set(preset.id, preset);
+    return preset;
+  }
+
+  // ===== IMPORT =====
+
+  async importPresetFiles(files) {
+    const summary = { imported: [], renamed: [], replaced: [], skipped: [], errors: [] };
+    
+    for (const file of files) {
+      try {
+        const data = JSON.parse(await file.text());
+        this.importPresets(data, { mode: this.importConflictMode, summary });
+      } catch (error) {
+        summary.errors.push(`${file.name}: ${error.message}`);
+      }
+    }
+    
+    summary.errors.forEach(error => console.warn('⚠️ Preset import:', error));
+    console.log(`📥 Imported ${summary.imported.length} preset(s)` +
+      ` (${summary.renamed.length} renamed, ${summary.replaced.length} replaced, ${summary.skipped.length} skipped)`);
+    return summary;
+  }
+
+  /*
+   * Imports the lab's own JSON exports: one preset, an array of presets or
+   * { presets: [...] }. When an id already exists:
+   *   identical parameters  skipped as a duplicate
+   *   mode 'rename'         imported under a new id (default)
+   *   mode 'replace'        overwrites the existing preset (never a system one)
+   *   mode 'skip'           keeps the existing preset
+   */
+  importPresets(data, options = {}) {
+    const mode = options.mode || 'rename';
+    const summary = options.summary || { imported: [], renamed: [], replaced: [], skipped: [], errors: [] };
+    const presets = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+    
+    presets.forEach(candidate => {
+      const problem = this.checkImportedPreset(candidate);
+      if (problem) {
+        summary.errors.push(problem);
+        return;
+      }
       
-      // Add text
-      ctx.fillStyle = '#3ad4ed';
-      ctx.font = 'bold 24px Orbitron';
-      ctx.fillText(this.currentPreset.name, 20, 550);
+      const preset = {
+        ...JSON.parse(JSON.stringify(candidate)),
+        category: this.persistentCategories.includes(candidate.category) ? candidate.category : 'imported',
+        usage: 0
+      };
+      delete preset.revision;
+      if (this.library && preset.tags) preset.tags = PresetLibraryIndex.normalizeTags(preset.tags);
       
-      ctx.fillStyle = '#ffffff';
-      ctx.font = '14px Orbitron';
-      ctx.fillText(this.currentPreset.description, 20, 580);
+      const existing = this.presets.get(preset.id);
+      if (existing) {
+        if (JSON.stringify(existing.parameters || existing.keyframes) === JSON.stringify(preset.parameters || preset.keyframes)) {
+          summary.skipped.push(preset.id);
+          return;
+        }
+        
+        const builtIn = !this.persistentCategories.includes(existing.category);
+        if (mode === 'skip') {
+          summary.skipped.push(preset.id);
+          return;
+        }
+        if (mode === 'replace' && !builtIn) {
+          summary.replaced.push(preset.id);
+        } else {
+          const originalId = preset.id;
+          preset.id = this.getAvailablePresetId(originalId);
+          preset.name = `${preset.name} (imported)`;
+          summary.renamed.push(`${originalId} → ${preset.id}`);
+        }
+      }
       
-      // Convert to download
-      canvas.toBlob(blob => {
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `${this.currentPreset.id}-card.png`;
-        link.click();
-        URL.revokeObjectURL(url);
-      }, 'image/png');
+      this.presets.set(preset.id, preset);
+      this.persistPreset(preset);
+      summary.imported.push(preset.id);
     });
+    
+    this.updatePresetGrid();
+    this.initializeParameterSpace();
+    return summary;
   }
 
-  async generatePreviewImage() {
-    // This would capture the current visualizer state
-    return new Promise(resolve => {
-      setTimeout(() => resolve(null), 100); // Placeholder
-    });
+  checkImportedPreset(preset) {
+    if (!preset || typeof preset !== 'object') return 'not a preset object';
+    if (typeof preset.id !== 'string' || preset.id === '') return 'preset is missing an id';
+    if (typeof preset.name !== 'string') return `preset "${preset.id}" is missing a name`;
+    if (preset.description !== undefined && typeof preset.description !== 'string') {
+      return `preset "${preset.id}" description must be a string`;
+    }
+    if (preset.tags !== undefined && (!Array.isArray(preset.tags) || preset.tags.some(tag => typeof tag !== 'string'))) {
+      return `preset "${preset.id}" tags must be a list of strings`;
+    }
+    
+    if (Array.isArray(preset.keyframes)) {
+      const invalid = preset.keyframes.findIndex(keyframe => !keyframe || typeof keyframe !== 'object' ||
+        !Number.isFinite(keyframe.timestamp) ||
+        ['visualizerId', 'namespace', 'param'].some(field => typeof keyframe[field] !== 'string') ||
+        !(Number.isFinite(keyframe.value) || typeof keyframe.value === 'string'));
+      return invalid === -1 ? null
+        : `preset "${preset.id}" keyframe ${invalid} needs a numeric timestamp, visualizerId, namespace, param and a number or string value`;
+    }
+    
+    const params = preset.parameters;
+    const namespaces = ['visual', 'color', 'rot4d'];
+    if (!params || typeof params !== 'object' ||
+        namespaces.some(namespace => !params[namespace] || typeof params[namespace] !== 'object' || Array.isArray(params[namespace]))) {
+      return `preset "${preset.id}" needs parameters.visual, .color and .rot4d (or keyframes)`;
+    }
+    for (const namespace of namespaces) {
+      const param = Object.keys(params[namespace]).find(key => !Number.isFinite(params[namespace][key]));
+      if (param) return `preset "${preset.id}" parameter ${namespace}.${param} is not a finite number`;
+    }
+    if (params.geometry !== undefined && typeof params.geometry !== 'string') {
+      return `preset "${preset.id}" geometry must be a name`;
+    }
+    return null;
+  }
+
+  getAvailablePresetId(id) {
+    let suffix = 2;
+    while (this.presets.has(`${id}-${suffix}`)) suffix++;
+    return `${id}-${suffix}`;
   }
 
   toggleLab() {
@@ -967,6 +2491,21 @@ vec3 applyPresetColor(vec3 baseColor) {
   }
 
   // Public API
+  setTransition({ duration, easing } = {}) {
+    if (easing !== undefined) {
+      const problem = window.EasingLibrary ? EasingLibrary.check(easing) : null;
+      if (problem) {
+        console.warn('⚠️ Preset transition:', problem);
+        return false;
+      }
+      this.transition.easing = easing;
+    }
+    if (duration !== undefined) {
+      this.transition.duration = Math.max(duration, 0);
+    }
+    return true;
+  }
+
   getPreset(id) {
     return this.presets.get(id);
   }
@@ -976,12 +2515,26 @@ vec3 applyPresetColor(vec3 baseColor) {
   }
 
   deletePreset(id) {
-    if (this.presets.has(id) && this.presets.get(id).category !== 'system') {
+    return this.deletePresets([id]).length > 0;
+  }
+
+  // Deletes every non-system preset in ids; returns the ids deleted
+  deletePresets(ids) {
+    const deleted = ids.filter(id => this.presets.has(id) && this.presets.get(id).category !== 'system');
+    
+    deleted.forEach(id => {
       this.presets.delete(id);
+      this.storage?.delete(id).catch(error => console.warn('Could not delete stored preset:', id, error));
+      this.library?.forget(id);
+      if (this.currentPreset?.id === id) this.currentPreset = null;
+    });
+    
+    if (deleted.length > 0) {
       this.updatePresetGrid();
-      return true;
+      this.initializeParameterSpace();
+      console.log('🗑️ Deleted', deleted.length, 'presets');
     }
-    return false;
+    return deleted;
   }
 }
 
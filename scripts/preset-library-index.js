@@ -0,0 +1,170 @@
+/*
+ * PRESET LIBRARY INDEX v1.0
+ *
+ * Tags, favourites, search, filters and sorting for the lab's preset library.
+ *
+ *   const index = new PresetLibraryIndex({ getSystem, getParameters });
+ *   index.query(presets, {
+ *     text: 'neon calm',                      every word in name or description
+ *     tags: ['hero'],                         all of these tags
+ *     favorites: true,
+ *     system: 'quantum',
+ *     geometry: 'TORUS',
+ *     ranges: { 'color.hue': [180, 240] },    inclusive; hue ranges may wrap (330-30)
+ *     sort: 'usage'                           'usage', 'recent' or 'name'
+ *   });
+ *
+ * Tags and favourites live on the preset objects (preset.tags,
+ * preset.favorite), so lab presets store and export them. Built-in presets
+ * are rebuilt on every load, so their tags and favourites are kept in an
+ * overlay (localStorage) and put back by applyOverlay().
+ */
+
+class PresetLibraryIndex {
+  static STORAGE_KEY = 'clear-seas-preset-library';
+  static SORTS = ['usage', 'recent', 'name'];
+
+  /*
+   * options:
+   *   getSystem(preset)      shader system of a preset (default preset.system)
+   *   getParameters(preset)  static parameters, also for recorded presets
+   */
+  constructor(options = {}) {
+    this.getSystem = options.getSystem || (preset => preset.system || null);
+    this.getParameters = options.getParameters || (preset => preset.parameters || null);
+    this.overlay = {};
+
+    this.loadOverlay();
+  }
+
+  // ===== TAGS AND FAVOURITES =====
+
+  // "Hero, dark  hero" -> ['hero', 'dark']
+  static normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return Array.from(new Set(list
+      .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-'))
+      .filter(Boolean)));
+  }
+
+  // Every tag in use, most used first
+  static collectTags(presets) {
+    const counts = new Map();
+    presets.forEach(preset => (preset.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([tag]) => tag);
+  }
+
+  // Copies overlay tags and favourites onto the (rebuilt) built-in presets
+  applyOverlay(presets) {
+    presets.forEach(preset => {
+      const entry = this.overlay[preset.id];
+      if (!entry) return;
+      if (entry.tags) preset.tags = entry.tags;
+      if (entry.favorite) preset.favorite = true;
+    });
+  }
+
+  // Records a built-in preset's tags and favourite flag in the overlay
+  remember(preset) {
+    const tags = preset.tags || [];
+    if (tags.length === 0 && !preset.favorite) {
+      delete this.overlay[preset.id];
+    } else {
+      this.overlay[preset.id] = { tags, favorite: Boolean(preset.favorite) };
+    }
+    this.saveOverlay();
+  }
+
+  forget(id) {
+    if (!this.overlay[id]) return;
+    delete this.overlay[id];
+    this.saveOverlay();
+  }
+
+  loadOverlay() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PresetLibraryIndex.STORAGE_KEY));
+      if (stored && typeof stored === 'object') this.overlay = stored;
+    } catch (error) {
+      // No storage (private mode) - built-in tags last for the session
+    }
+  }
+
+  saveOverlay() {
+    try {
+      localStorage.setItem(PresetLibraryIndex.STORAGE_KEY, JSON.stringify(this.overlay));
+    } catch (error) {
+      console.warn('⚠️ Could not store preset tags:', error.message);
+    }
+  }
+
+  // ===== QUERIES =====
+
+  // Presets matching every given filter, sorted
+  query(presets, filters = {}) {
+    const words = String(filters.text || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const tags = PresetLibraryIndex.normalizeTags(filters.tags);
+    const ranges = Object.entries(filters.ranges || {})
+      .filter(([, range]) => Array.isArray(range) && range.some(bound => typeof bound === 'number'));
+
+    const matches = presets.filter(preset => {
+      if (filters.favorites && !preset.favorite) return false;
+      if (filters.category && preset.category !== filters.category) return false;
+      if (tags.some(tag => !(preset.tags || []).includes(tag))) return false;
+
+      if (words.length > 0) {
+        const text = `${preset.name || ''} ${preset.description || ''}`.toLowerCase();
+        if (words.some(word => !text.includes(word))) return false;
+      }
+
+      if (filters.system && this.getSystem(preset) !== filters.system) return false;
+      if (!filters.geometry && ranges.length === 0) return true;
+
+      const parameters = this.getParameters(preset);
+      if (!parameters) return false;
+      if (filters.geometry && parameters.geometry !== filters.geometry) return false;
+
+      return ranges.every(([key, [min, max]]) => {
+        const [namespace, param] = key.split('.');
+        return PresetLibraryIndex.inRange(parameters[namespace]?.[param], min, max, key === 'color.hue' ? 360 : null);
+      });
+    });
+
+    return this.sort(matches, filters.sort);
+  }
+
+  // Inclusive; a missing bound is open. With a period, min > max wraps round
+  static inRange(value, min, max, period = null) {
+    if (typeof value !== 'number') return false;
+    const hasMin = typeof min === 'number';
+    const hasMax = typeof max === 'number';
+
+    if (period) {
+      value = ((value % period) + period) % period;
+      if (hasMin && hasMax && min > max) return value >= min || value <= max;
+    }
+    return (!hasMin || value >= min) && (!hasMax || value <= max);
+  }
+
+  sort(presets, by = 'usage') {
+    const byName = (a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id));
+    const compare = {
+      usage: (a, b) => (b.usage || 0) - (a.usage || 0) || byName(a, b),
+      recent: (a, b) => PresetLibraryIndex.lastTouched(b) - PresetLibraryIndex.lastTouched(a) || byName(a, b),
+      name: byName
+    }[by];
+
+    if (!compare) throw new Error(`Unknown preset sort "${by}" (use ${PresetLibraryIndex.SORTS.join(', ')})`);
+    return presets.slice().sort(compare);
+  }
+
+  // Last load, or creation for presets never loaded
+  static lastTouched(preset) {
+    return preset.lastUsed || preset.timestamp || 0;
+  }
+}
+
+// Export for global use
+window.PresetLibraryIndex = PresetLibraryIndex;
@@ -0,0 +1,163 @@
+/*
+ * PRESET LINK v1.0
+ *
+ * Serializes lab presets (static or recorded) into a URL fragment:
+ *
+ *   https://site/page.html#preset=1z.<base64url data>
+ *
+ * The token is "<version><flags>.<data>". Version 1 data is a compact JSON
+ * form of the preset; flag "z" means it is deflate-compressed (browsers
+ * without CompressionStream write uncompressed links). Compact form:
+ *
+ *   i id, n name, d description, c category, u duration, b playback
+ *   p parameters (numbers rounded to 4 decimals)
+ *   t tracks      [[visualizerId, namespace, param], ...]
+ *   k keyframes   [[ms since previous keyframe, track index, value], ...]
+ *
+ * Reactivity blocks are not included - a link shares the look, the page
+ * keeps its own reactions.
+ */
+
+class PresetLink {
+  static VERSION = 1;
+  static PARAM = 'preset';
+
+  // Returns the fragment token for a preset
+  static async encode(preset) {
+    const json = JSON.stringify(PresetLink.compact(preset));
+    let bytes = new TextEncoder().encode(json);
+    let flags = '';
+
+    if (typeof CompressionStream !== 'undefined') {
+      bytes = await PresetLink.transform(bytes, new CompressionStream('deflate-raw'));
+      flags = 'z';
+    }
+
+    return `${PresetLink.VERSION}${flags}.${PresetLink.toBase64Url(bytes)}`;
+  }
+
+  // Returns the preset in a fragment token; throws on malformed links
+  static async decode(token) {
+    const match = /^(\d+)([a-z]*)\.([A-Za-z0-9_-]+)$/.exec(String(token).trim());
+    if (!match) throw new Error('Not a preset link');
+
+    const [, version, flags, data] = match;
+    if (Number(version) !== PresetLink.VERSION) {
+      throw new Error(`Unsupported preset link version ${version}`);
+    }
+
+    let bytes = PresetLink.fromBase64Url(data);
+    if (flags.includes('z')) {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed preset links');
+      }
+      bytes = await PresetLink.transform(bytes, new DecompressionStream('deflate-raw'));
+    }
+
+    return PresetLink.expand(JSON.parse(new TextDecoder().decode(bytes)));
+  }
+
+  // Full URL for a preset, based on the current page by default
+  static async createUrl(preset, base = window.location.href) {
+    const url = new URL(base);
+    url.hash = `${PresetLink.PARAM}=${await PresetLink.encode(preset)}`;
+    return url.toString();
+  }
+
+  // The token in a location hash ("#preset=..." or "#...&preset=..."), or null
+  static fromHash(hash) {
+    return new URLSearchParams(String(hash).replace(/^#/, '')).get(PresetLink.PARAM);
+  }
+
+  // ===== COMPACT FORM =====
+
+  static compact(preset) {
+    const data = { i: preset.id, n: preset.name };
+    if (preset.description) data.d = preset.description;
+    if (preset.category) data.c = preset.category;
+    if (preset.parameters) data.p = PresetLink.round(preset.parameters);
+    if (preset.playback) data.b = preset.playback;
+
+    if (Array.isArray(preset.keyframes) && preset.keyframes.length > 0) {
+      const tracks = new Map();
+      let previous = preset.keyframes[0].timestamp;
+
+      data.t = [];
+      data.k = preset.keyframes.map(keyframe => {
+        const key = `${keyframe.visualizerId}|${keyframe.namespace}|${keyframe.param}`;
+        if (!tracks.has(key)) {
+          tracks.set(key, data.t.length);
+          data.t.push([keyframe.visualizerId, keyframe.namespace, keyframe.param]);
+        }
+
+        const delta = Math.round(keyframe.timestamp - previous);
+        previous = keyframe.timestamp;
+        return [delta, tracks.get(key), PresetLink.round(keyframe.value)];
+      });
+      data.u = Math.round(preset.duration || 0);
+    }
+
+    return data;
+  }
+
+  static expand(data) {
+    if (!data || typeof data.i !== 'string') throw new Error('Preset link has no preset id');
+
+    const preset = { id: data.i, name: data.n || data.i, description: data.d || '' };
+    if (data.c) preset.category = data.c;
+    if (data.p) preset.parameters = data.p;
+    if (data.b) preset.playback = data.b;
+
+    if (Array.isArray(data.k)) {
+      // Relative times restart at the moment the link is opened
+      let timestamp = Date.now();
+      preset.keyframes = data.k.map(([delta, track, value]) => {
+        const [visualizerId, namespace, param] = data.t[track] || [];
+        if (!param) throw new Error(`Preset link keyframe refers to missing track ${track}`);
+        timestamp += delta;
+        return { timestamp, visualizerId, namespace, param, value };
+      });
+      preset.duration = data.u || 0;
+    }
+
+    return preset;
+  }
+
+  static round(value) {
+    if (typeof value === 'number') return Math.round(value * 10000) / 10000;
+    if (Array.isArray(value)) return value.map(PresetLink.round);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, PresetLink.round(inner)]));
+    }
+    return value;
+  }
+
+  // ===== BYTES =====
+
+  static async transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+  }
+
+  static toBase64Url(bytes) {
+    let binary = '';
+    // Chunked so long recordings stay under the argument limit
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+}
+
+// Browser global + Node export
+if (typeof window !== 'undefined') {
+  window.PresetLink = PresetLink;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PresetLink;
+}
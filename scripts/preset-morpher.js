@@ -0,0 +1,248 @@
+/*
+ * PRESET MORPHER v1.0
+ *
+ * Interpolates between lab presets.
+ *
+ *   PresetMorpher.interpolate(a, b, 0.3)          parameters 30% of the way to b
+ *   PresetMorpher.blend([{ preset, weight }, ...]) weighted mix of N presets
+ *
+ *   const morpher = new PresetMorpher({ apply, threshold: 0.5 });
+ *   morpher.setPresets(calm, psychedelic).setPosition(0.25);
+ *   morpher.bindToScroll(document.querySelector('#research'));
+ *
+ * Numbers blend linearly, except angles: hue takes the shortest way round
+ * the colour wheel and rot4d angles wrap at 2π. Anything else (geometry)
+ * is discrete - A/B switches at the threshold, N-way blends take the value
+ * with the most weight.
+ */
+
+class PresetMorpher {
+  static NAMESPACES = ['visual', 'color', 'rot4d'];
+
+  // Period of angular parameters, null for linear ones
+  static getPeriod(namespace, param) {
+    if (namespace === 'color' && param === 'hue') return 360;
+    if (namespace === 'rot4d') return Math.PI * 2;
+    return null;
+  }
+
+  // Parameters between a (t = 0) and b (t = 1)
+  static interpolate(a, b, t, options = {}) {
+    const threshold = options.threshold ?? 0.5;
+    const from = a.parameters;
+    const to = b.parameters;
+    const result = {};
+
+    PresetMorpher.NAMESPACES.forEach(namespace => {
+      result[namespace] = {};
+      const params = new Set([...Object.keys(from[namespace] || {}), ...Object.keys(to[namespace] || {})]);
+
+      params.forEach(param => {
+        const start = from[namespace]?.[param];
+        const end = to[namespace]?.[param];
+
+        if (start === undefined || end === undefined) {
+          result[namespace][param] = start === undefined ? end : start;
+        } else if (typeof start !== 'number' || typeof end !== 'number') {
+          result[namespace][param] = t < threshold ? start : end;
+        } else if (t <= 0 || t >= 1) {
+          result[namespace][param] = t <= 0 ? start : end;
+        } else {
+          result[namespace][param] = PresetMorpher.mix(start, end, t, PresetMorpher.getPeriod(namespace, param));
+        }
+      });
+    });
+
+    result.geometry = t < threshold ? from.geometry : to.geometry;
+    return result;
+  }
+
+  // entries: [{ preset, weight }]; weights need not sum to 1
+  static blend(entries) {
+    const weighted = entries.filter(entry => entry.weight > 0 && entry.preset.parameters);
+    if (weighted.length === 0) throw new Error('Blending needs at least one preset with a positive weight');
+
+    const result = {};
+    PresetMorpher.NAMESPACES.forEach(namespace => {
+      result[namespace] = {};
+      const params = new Set(weighted.flatMap(entry => Object.keys(entry.preset.parameters[namespace] || {})));
+
+      params.forEach(param => {
+        const values = weighted
+          .map(entry => ({ value: entry.preset.parameters[namespace]?.[param], weight: entry.weight }))
+          .filter(entry => entry.value !== undefined);
+
+        result[namespace][param] = values.every(entry => typeof entry.value === 'number')
+          ? PresetMorpher.weightedMean(values, PresetMorpher.getPeriod(namespace, param))
+          : PresetMorpher.weightedVote(values);
+      });
+    });
+
+    result.geometry = PresetMorpher.weightedVote(weighted
+      .filter(entry => entry.preset.parameters.geometry)
+      .map(entry => ({ value: entry.preset.parameters.geometry, weight: entry.weight })));
+    return result;
+  }
+
+  static mix(start, end, t, period) {
+    if (!period) return start + (end - start) * t;
+
+    // Shortest signed distance round the circle
+    let delta = ((end - start) % period + period * 1.5) % period - period / 2;
+    if (Math.abs(delta) === period / 2) delta = Math.abs(delta);
+    const value = start + delta * t;
+
+    // Keep hue in [0, 360) and angles within one turn either side of zero
+    return period === 360 ? ((value % 360) + 360) % 360 : PresetMorpher.wrapAngle(value, period);
+  }
+
+  static weightedMean(values, period) {
+    const total = values.reduce((sum, entry) => sum + entry.weight, 0);
+
+    if (period) {
+      // Circular mean; opposite angles with equal weight fall back to linear
+      const scale = (Math.PI * 2) / period;
+      const x = values.reduce((sum, entry) => sum + Math.cos(entry.value * scale) * entry.weight, 0);
+      const y = values.reduce((sum, entry) => sum + Math.sin(entry.value * scale) * entry.weight, 0);
+      if (Math.hypot(x, y) > 1e-6 * total) {
+        const angle = Math.atan2(y, x) / scale;
+        return period === 360 ? (angle + 360) % 360 : angle;
+      }
+    }
+
+    return values.reduce((sum, entry) => sum + entry.value * entry.weight, 0) / total;
+  }
+
+  static weightedVote(values) {
+    const totals = new Map();
+    values.forEach(({ value, weight }) => totals.set(value, (totals.get(value) || 0) + weight));
+
+    let best;
+    let bestWeight = -Infinity;
+    totals.forEach((weight, value) => {
+      if (weight > bestWeight) {
+        best = value;
+        bestWeight = weight;
+      }
+    });
+    return best;
+  }
+
+  static wrapAngle(value, period) {
+    if (value > period) return value - period;
+    if (value < -period) return value + period;
+    return value;
+  }
+
+  /*
+   * options:
+   *   apply(namespace, param, value)  required, called for changed values only
+   *   threshold  A/B position where discrete parameters switch (default 0.5)
+   */
+  constructor(options = {}) {
+    this.apply = options.apply;
+    this.threshold = options.threshold ?? 0.5;
+
+    this.a = null;
+    this.b = null;
+    this.position = 0;
+    this.lastApplied = new Map();
+    this.scrollBinding = null;
+  }
+
+  setPresets(a, b) {
+    if (!a?.parameters || !b?.parameters) {
+      throw new Error('Morphing needs two presets with parameters (recorded animations cannot be morphed)');
+    }
+
+    this.a = a;
+    this.b = b;
+    this.lastApplied.clear();
+    return this;
+  }
+
+  setThreshold(threshold) {
+    this.threshold = Math.min(Math.max(threshold, 0), 1);
+    return this.setPosition(this.position);
+  }
+
+  // 0 = preset A, 1 = preset B
+  setPosition(position) {
+    this.position = Math.min(Math.max(position, 0), 1);
+    if (!this.a || !this.b) return this;
+
+    const parameters = this.getParameters();
+    PresetMorpher.NAMESPACES.forEach(namespace => {
+      Object.entries(parameters[namespace]).forEach(([param, value]) => this.applyValue(namespace, param, value));
+    });
+    if (parameters.geometry) this.applyValue('geometry', 'type', parameters.geometry);
+    return this;
+  }
+
+  getParameters(position = this.position) {
+    return PresetMorpher.interpolate(this.a, this.b, position, { threshold: this.threshold });
+  }
+
+  applyValue(namespace, param, value) {
+    const key = `${namespace}.${param}`;
+    if (this.lastApplied.get(key) === value) return;
+    this.lastApplied.set(key, value);
+    this.apply(namespace, param, value);
+  }
+
+  /*
+   * Drives the blend position from scroll: with an element, 0 when its top
+   * reaches the bottom of the viewport and 1 when its bottom leaves the top;
+   * without one, page scroll progress. Returns a function that unbinds.
+   */
+  bindToScroll(element = null) {
+    this.unbindScroll();
+
+    let frame = null;
+    const update = () => {
+      frame = null;
+      this.setPosition(this.getScrollProgress(element));
+    };
+    const onScroll = () => {
+      if (!frame) frame = requestAnimationFrame(update);
+    };
+
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', onScroll, { passive: true });
+    update();
+
+    this.scrollBinding = () => {
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', onScroll);
+      if (frame) cancelAnimationFrame(frame);
+    };
+    return () => this.unbindScroll();
+  }
+
+  unbindScroll() {
+    if (this.scrollBinding) {
+      this.scrollBinding();
+      this.scrollBinding = null;
+    }
+  }
+
+  getScrollProgress(element) {
+    if (!element) {
+      const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+      return maxScroll > 0 ? Math.min(Math.max(window.scrollY / maxScroll, 0), 1) : 0;
+    }
+
+    const rect = element.getBoundingClientRect();
+    const travel = rect.height + window.innerHeight;
+    return Math.min(Math.max((window.innerHeight - rect.top) / travel, 0), 1);
+  }
+
+  destroy() {
+    this.unbindScroll();
+    this.a = null;
+    this.b = null;
+  }
+}
+
+// Export for global use
+window.PresetMorpher = PresetMorpher;
@@ -0,0 +1,313 @@
+/*
+ * PRESET PLAYBACK v1.0
+ *
+ * Plays the animated presets recorded by PresetLaboratory. A recording is a
+ * list of keyframes { timestamp, visualizerId, namespace, param, value };
+ * playback groups them into one track per visualizer parameter and
+ * interpolates between neighbouring keyframes (numbers blend through the
+ * easing, anything else - geometry names - steps).
+ *
+ *   const playback = new PresetPlayback(preset, { apply, mode: 'pingpong' });
+ *   playback.play();
+ *   playback.setRate(0.5);
+ *   playback.scrub(0.25);
+ *   const unbind = playback.bindToScroll(document.querySelector('#research'));
+ *
+ * Modes: 'once' stops at the end, 'loop' wraps, 'pingpong' reverses at each
+ * end. Frames come from the shared tween scheduler when it is loaded.
+ */
+
+class PresetPlayback {
+  static MODES = ['once', 'loop', 'pingpong'];
+
+  /*
+   * options:
+   *   apply(visualizerId, namespace, param, value)  required
+   *   mode, rate (default 'once', 1; negative rates play backwards)
+   *   easing         EasingLibrary name used between keyframes (default linear)
+   *   visualizerIds  play every track on these visualizers instead of the
+   *                  recorded ones (recordings from another page)
+   *   onUpdate(playback), onEnd(playback)
+   */
+  constructor(preset, options = {}) {
+    if (!Array.isArray(preset.keyframes) || preset.keyframes.length === 0) {
+      throw new Error(`Preset "${preset.id}" has no recorded keyframes`);
+    }
+
+    this.preset = preset;
+    this.apply = options.apply;
+    this.mode = PresetPlayback.MODES.includes(options.mode) ? options.mode : 'once';
+    this.rate = options.rate ?? 1;
+    this.easing = window.EasingLibrary ? EasingLibrary.get(options.easing || 'linear') : (t) => t;
+    this.onUpdate = options.onUpdate || null;
+    this.onEnd = options.onEnd || null;
+
+    this.tracks = this.buildTracks(preset.keyframes, options.visualizerIds);
+    this.duration = Math.max(preset.duration || 0, ...Array.from(this.tracks.values(), track => track.keyframes[track.keyframes.length - 1].time));
+
+    this.position = 0;
+    this.direction = 1;
+    this.playing = false;
+    this.lastTime = null;
+    this.lastApplied = new Map();
+    this.frame = null;
+    this.removeTicker = null;
+    this.scrollBinding = null;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  // One track per visualizer parameter, keyframe times relative to the first
+  buildTracks(keyframes, visualizerIds) {
+    const start = Math.min(...keyframes.map(keyframe => keyframe.timestamp));
+    const tracks = new Map();
+
+    keyframes.forEach(keyframe => {
+      const targets = visualizerIds || [keyframe.visualizerId];
+      targets.forEach(visualizerId => {
+        const key = `${visualizerId}|${keyframe.namespace}.${keyframe.param}`;
+        if (!tracks.has(key)) {
+          tracks.set(key, {
+            visualizerId,
+            namespace: keyframe.namespace,
+            param: keyframe.param,
+            source: keyframe.visualizerId,
+            keyframes: []
+          });
+        }
+
+        // Retargeted tracks follow the first recorded visualizer for each parameter
+        const track = tracks.get(key);
+        if (track.source === keyframe.visualizerId) {
+          track.keyframes.push({ time: keyframe.timestamp - start, value: keyframe.value });
+        }
+      });
+    });
+
+    tracks.forEach(track => track.keyframes.sort((a, b) => a.time - b.time));
+    return tracks;
+  }
+
+  // ===== CONTROLS =====
+
+  play() {
+    if (this.scrollBinding) {
+      console.warn('⚠️ Preset playback is bound to scroll - unbind it before playing');
+      return this;
+    }
+
+    // Restart a finished one-shot playback
+    if (this.mode === 'once' && this.isAtEnd()) {
+      this.position = this.rate >= 0 ? 0 : this.duration;
+    }
+
+    this.playing = true;
+    this.lastTime = null;
+    this.schedule();
+    return this;
+  }
+
+  pause() {
+    this.playing = false;
+    this.unschedule();
+    return this;
+  }
+
+  stop() {
+    this.pause();
+    this.seek(0);
+    return this;
+  }
+
+  toggle() {
+    return this.playing ? this.pause() : this.play();
+  }
+
+  // Jump to a time (ms) and apply the values there
+  seek(time) {
+    this.position = Math.min(Math.max(time, 0), this.duration);
+    this.render();
+    return this;
+  }
+
+  // Jump to a progress (0-1)
+  scrub(progress) {
+    return this.seek(progress * this.duration);
+  }
+
+  setRate(rate) {
+    this.rate = rate;
+    return this;
+  }
+
+  setMode(mode) {
+    if (!PresetPlayback.MODES.includes(mode)) {
+      throw new Error(`Unknown playback mode "${mode}" (expected ${PresetPlayback.MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.direction = 1;
+    return this;
+  }
+
+  get progress() {
+    return this.duration > 0 ? this.position / this.duration : 0;
+  }
+
+  isAtEnd() {
+    return this.rate >= 0 ? this.position >= this.duration : this.position <= 0;
+  }
+
+  /*
+   * Drives the playback position from scroll instead of the clock.
+   * With an element, progress runs from 0 when its top reaches the bottom of
+   * the viewport to 1 when its bottom leaves the top; without one it is the
+   * page scroll progress. Returns a function that removes the binding.
+   */
+  bindToScroll(element = null) {
+    this.unbindScroll();
+    this.pause();
+
+    let frame = null;
+    const update = () => {
+      frame = null;
+      this.scrub(this.getScrollProgress(element));
+    };
+    const onScroll = () => {
+      if (!frame) frame = requestAnimationFrame(update);
+    };
+
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', onScroll, { passive: true });
+    update();
+
+    this.scrollBinding = () => {
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', onScroll);
+      if (frame) cancelAnimationFrame(frame);
+    };
+    return () => this.unbindScroll();
+  }
+
+  unbindScroll() {
+    if (this.scrollBinding) {
+      this.scrollBinding();
+      this.scrollBinding = null;
+    }
+  }
+
+  getScrollProgress(element) {
+    if (!element) {
+      const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+      return maxScroll > 0 ? Math.min(Math.max(window.scrollY / maxScroll, 0), 1) : 0;
+    }
+
+    const rect = element.getBoundingClientRect();
+    const travel = rect.height + window.innerHeight;
+    return Math.min(Math.max((window.innerHeight - rect.top) / travel, 0), 1);
+  }
+
+  destroy() {
+    this.pause();
+    this.unbindScroll();
+  }
+
+  // ===== PLAYBACK =====
+
+  now() {
+    return window.tweenScheduler ? window.tweenScheduler.now() : performance.now();
+  }
+
+  schedule() {
+    if (window.tweenScheduler) {
+      // Dropped after an error: the next schedule() registers again
+      this.removeTicker = this.removeTicker || window.tweenScheduler.addTicker(this.tick, () => { this.removeTicker = null; });
+    } else if (!this.frame) {
+      this.frame = requestAnimationFrame(() => this.tick());
+    }
+  }
+
+  unschedule() {
+    if (this.removeTicker) this.removeTicker();
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.removeTicker = null;
+    this.frame = null;
+  }
+
+  tick(now = this.now()) {
+    this.frame = null;
+    if (!this.playing) return;
+
+    const elapsed = this.lastTime === null ? 0 : now - this.lastTime;
+    this.lastTime = now;
+    this.advance(elapsed * this.rate * this.direction);
+    this.render();
+
+    if (this.playing && !this.removeTicker) this.schedule();
+  }
+
+  advance(delta) {
+    if (this.duration <= 0) {
+      this.finish();
+      return;
+    }
+
+    let position = this.position + delta;
+
+    if (this.mode === 'loop') {
+      position = ((position % this.duration) + this.duration) % this.duration;
+    } else if (this.mode === 'pingpong') {
+      // Reflect off either end (several times for large deltas)
+      while (position > this.duration || position < 0) {
+        position = position > this.duration ? 2 * this.duration - position : -position;
+        this.direction *= -1;
+      }
+    } else if ((delta > 0 && position >= this.duration) || (delta < 0 && position <= 0)) {
+      this.position = Math.min(Math.max(position, 0), this.duration);
+      this.finish();
+      return;
+    }
+
+    this.position = position;
+  }
+
+  finish() {
+    this.pause();
+    this.render();
+    if (this.onEnd) this.onEnd(this);
+  }
+
+  render() {
+    this.tracks.forEach((track, key) => {
+      const value = this.sample(track, this.position);
+      if (this.lastApplied.get(key) === value) return;
+      this.lastApplied.set(key, value);
+      this.apply(track.visualizerId, track.namespace, track.param, value);
+    });
+
+    if (this.onUpdate) this.onUpdate(this);
+  }
+
+  sample(track, time) {
+    const { keyframes } = track;
+    if (time <= keyframes[0].time) return keyframes[0].value;
+
+    const last = keyframes[keyframes.length - 1];
+    if (time >= last.time) return last.value;
+
+    let index = 1;
+    while (keyframes[index].time < time) index++;
+    const previous = keyframes[index - 1];
+    const next = keyframes[index];
+
+    if (typeof previous.value !== 'number' || typeof next.value !== 'number') {
+      return previous.value;
+    }
+
+    const span = next.time - previous.time;
+    const t = span > 0 ? this.easing((time - previous.time) / span) : 1;
+    return previous.value + (next.value - previous.value) * t;
+  }
+}
+
+// Export for global use
+window.PresetPlayback = PresetPlayback;
@@ -0,0 +1,421 @@
+/*
+ * PRESET PREVIEW RENDERER v1.0
+ *
+ * Offscreen previews, grid thumbnails and trading cards for lab presets.
+ *
+ * - Previews render through VIB34DRenderer with the preset's system shader
+ *   (one shared offscreen renderer per system, so a full preset grid costs at
+ *   most four WebGL contexts). Rotation is the preset's own rot4d, not the
+ *   renderer's clock-driven spin.
+ * - Without core-engine.js (or any renderer backend) a Canvas2D approximation is drawn
+ *   instead: hue gradient, grid at the preset density and a tesseract
+ *   projected through the preset rotation. It is seeded from the preset code,
+ *   so the same preset always produces the same image.
+ * - Cards are 400x600: preview, name, geometry, one bar per encoded
+ *   parameter and the PresetCodec short code.
+ */
+
+class PresetPreviewRenderer {
+  // Parameters for presets that only have keyframes (recorded animations)
+  static DEFAULT_PARAMETERS = {
+    visual: { gridDensity: 20, morphFactor: 0.5, chaos: 0.1, speed: 1, intensity: 0.8 },
+    color: { hue: 200, intensity: 0.8, saturation: 0.9 },
+    rot4d: { xw: 0, yw: 0, zw: 0 },
+    geometry: 'TETRAHEDRON'
+  };
+
+  static SYSTEMS = ['faceted', 'quantum', 'holographic', 'polychora'];
+
+  constructor(options = {}) {
+    this.thumbnailWidth = options.thumbnailWidth || 160;
+    this.thumbnailHeight = options.thumbnailHeight || 100;
+    this.maxThumbnails = options.maxThumbnails || 200;
+
+    this.renderers = new Map();
+    this.thumbnails = new Map();
+    this.webglAvailable = Boolean(window.VIB34DRenderer);
+  }
+
+  // ===== PRESET DATA =====
+
+  // Shader system for a preset: its own, its base preset's, or its id prefix
+  getSystem(preset) {
+    const candidates = [preset.system, preset.basePreset, preset.id]
+      .filter(Boolean)
+      .map(value => String(value).toLowerCase());
+
+    for (const candidate of candidates) {
+      const system = PresetPreviewRenderer.SYSTEMS.find(name => candidate === name || candidate.startsWith(`${name}-`));
+      if (system) return system;
+    }
+    return 'polychora';
+  }
+
+  // Static parameters; recorded presets use the first value of each track
+  getParameters(preset) {
+    if (preset.parameters) return preset.parameters;
+
+    const parameters = JSON.parse(JSON.stringify(PresetPreviewRenderer.DEFAULT_PARAMETERS));
+    const seen = new Set();
+    (preset.keyframes || []).forEach(({ namespace, param, value }) => {
+      const key = `${namespace}.${param}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      if (namespace === 'geometry' || param === 'geometry') {
+        parameters.geometry = value;
+      } else if (parameters[namespace]) {
+        parameters[namespace][param] = value;
+      }
+    });
+    return parameters;
+  }
+
+  getCode(preset) {
+    return window.PresetCodec ? PresetCodec.encode(this.getParameters(preset)) : null;
+  }
+
+  // ===== PREVIEW =====
+
+  // Renders a preset into a new 2D canvas
+  async renderPreview(preset, options = {}) {
+    const width = options.width || 320;
+    const height = options.height || 200;
+    const time = options.time || 0;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const parameters = this.getParameters(preset);
+    const renderer = await this.getRenderer(this.getSystem(preset));
+
+    this.drawBackground(ctx, parameters, width, height);
+
+    if (renderer) {
+      renderer.resize(width, height);
+      renderer.setParameters(this.toRendererParameters(parameters));
+      renderer.render(time);
+      // The drawing buffer is not preserved - copy it before yielding
+      ctx.drawImage(renderer.canvas, 0, 0, width, height);
+    } else {
+      this.drawFallback(ctx, preset, parameters, width, height);
+    }
+
+    return canvas;
+  }
+
+  // Cached PNG data URL sized for the preset grid
+  async thumbnail(preset) {
+    const parameters = this.getParameters(preset);
+    const key = `${this.getSystem(preset)}|${JSON.stringify(parameters)}`;
+    if (this.thumbnails.has(key)) return this.thumbnails.get(key);
+
+    const canvas = await this.renderPreview(preset, { width: this.thumbnailWidth, height: this.thumbnailHeight });
+    const url = canvas.toDataURL('image/png');
+
+    this.thumbnails.set(key, url);
+    if (this.thumbnails.size > this.maxThumbnails) {
+      this.thumbnails.delete(this.thumbnails.keys().next().value);
+    }
+    return url;
+  }
+
+  async getRenderer(system) {
+    if (!this.webglAvailable) return null;
+
+    if (!this.renderers.has(system)) {
+      const canvas = document.createElement('canvas');
+      const renderer = new VIB34DRenderer(canvas, {
+        system,
+        autoRotate: false,
+        autoResize: false,
+        enableAntialiasing: true
+      });
+
+      this.renderers.set(system, renderer.ready.then(() => renderer).catch(error => {
+        // No renderer backend here - every later preview uses the Canvas2D fallback
+        console.warn('⚠️ Preset previews fall back to Canvas2D:', error.message);
+        this.webglAvailable = false;
+        return null;
+      }));
+    }
+
+    return this.renderers.get(system);
+  }
+
+  toRendererParameters(parameters) {
+    const { visual = {}, color = {}, rot4d = {} } = parameters;
+    const geometry = window.PresetCodec ? PresetCodec.GEOMETRIES.indexOf(parameters.geometry) : 0;
+
+    return {
+      geometry: Math.max(geometry, 0),
+      rot4dXW: rot4d.xw || 0,
+      rot4dYW: rot4d.yw || 0,
+      rot4dZW: rot4d.zw || 0,
+      gridDensity: visual.gridDensity ?? 20,
+      morphFactor: visual.morphFactor ?? 0.5,
+      chaos: visual.chaos ?? 0.1,
+      speed: visual.speed ?? 1,
+      hue: color.hue ?? 200,
+      intensity: (visual.intensity ?? 1) * (color.intensity ?? 0.8),
+      saturation: color.saturation ?? 0.9
+    };
+  }
+
+  drawBackground(ctx, parameters, width, height) {
+    const { hue = 200, saturation = 0.9 } = parameters.color || {};
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, `hsl(${hue}, ${saturation * 40}%, 8%)`);
+    gradient.addColorStop(1, '#0d1117');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  // Canvas2D stand-in for the shader: grid plus a rotated, projected tesseract
+  drawFallback(ctx, preset, parameters, width, height) {
+    const { visual = {}, color = {}, rot4d = {} } = parameters;
+    const hue = color.hue ?? 200;
+    const saturation = (color.saturation ?? 0.9) * 100;
+    const intensity = (visual.intensity ?? 1) * (color.intensity ?? 0.8);
+    const random = this.createRandom(this.getCode(preset) || preset.id || '');
+
+    // Grid at the preset density
+    const spacing = Math.max(width / Math.max(visual.gridDensity || 20, 1), 3);
+    ctx.strokeStyle = `hsla(${hue}, ${saturation}%, 60%, ${0.08 + intensity * 0.12})`;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = (width % spacing) / 2; x < width; x += spacing) {
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+    }
+    for (let y = (height % spacing) / 2; y < height; y += spacing) {
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+
+    // Tesseract vertices (every sign combination), rotated in the XW/YW/ZW planes
+    const chaos = visual.chaos ?? 0.1;
+    const morph = visual.morphFactor ?? 0.5;
+    const scale = Math.min(width, height) * 0.32;
+    const points = [];
+
+    for (let i = 0; i < 16; i++) {
+      let p = [i & 1 ? 1 : -1, i & 2 ? 1 : -1, i & 4 ? 1 : -1, i & 8 ? 1 : -1];
+      p = this.rotate(p, 0, 3, rot4d.xw || 0);
+      p = this.rotate(p, 1, 3, rot4d.yw || 0);
+      p = this.rotate(p, 2, 3, rot4d.zw || 0);
+
+      // 4D -> 3D -> 2D perspective, morph deepens the w projection
+      const w = 1 / (2.2 - p[3] * (0.25 + morph * 0.2));
+      const z = 1 / (3 - p[2] * w);
+      const jitter = () => (random() - 0.5) * chaos * 0.3;
+      points.push({
+        x: width / 2 + (p[0] * w + jitter()) * z * scale * 2,
+        y: height / 2 + (p[1] * w + jitter()) * z * scale * 2,
+        depth: p[3]
+      });
+    }
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.lineWidth = 1.5;
+
+    // Edges join vertices that differ in exactly one coordinate
+    for (let i = 0; i < 16; i++) {
+      for (let bit = 1; bit < 16; bit <<= 1) {
+        const j = i | bit;
+        if (j === i) continue;
+        const depth = (points[i].depth + points[j].depth) / 2;
+        ctx.strokeStyle = `hsla(${hue + depth * 30}, ${saturation}%, ${50 + depth * 15}%, ${0.35 + intensity * 0.5})`;
+        ctx.beginPath();
+        ctx.moveTo(points[i].x, points[i].y);
+        ctx.lineTo(points[j].x, points[j].y);
+        ctx.stroke();
+      }
+    }
+
+    points.forEach(point => {
+      ctx.fillStyle = `hsla(${hue}, ${saturation}%, 75%, ${intensity})`;
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 2 + point.depth, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+
+  rotate(point, a, b, angle) {
+    const result = point.slice();
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    result[a] = point[a] * cos - point[b] * sin;
+    result[b] = point[a] * sin + point[b] * cos;
+    return result;
+  }
+
+  // Deterministic PRNG (mulberry32) seeded from a string hash
+  createRandom(seed) {
+    let state = 0;
+    for (let i = 0; i < seed.length; i++) {
+      state = Math.imul(state ^ seed.charCodeAt(i), 2654435761) >>> 0;
+    }
+
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // ===== TRADING CARD =====
+
+  async renderCard(preset) {
+    const width = 400;
+    const height = 600;
+    const parameters = this.getParameters(preset);
+    const hue = parameters.color?.hue ?? 200;
+    const accent = `hsl(${hue}, 80%, 62%)`;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    // Background and border
+    const background = ctx.createLinearGradient(0, 0, width, height);
+    background.addColorStop(0, '#0d1117');
+    background.addColorStop(1, '#161b22');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+
+    this.roundRect(ctx, 8, 8, width - 16, height - 16, 16);
+    ctx.strokeStyle = accent;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // Header: category and geometry badge
+    ctx.font = '10px Orbitron, monospace';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillText(`${(preset.category || 'preset').toUpperCase()} · ${this.getSystem(preset).toUpperCase()}`, 24, 34);
+
+    const geometry = String(parameters.geometry || 'UNKNOWN');
+    const badgeWidth = ctx.measureText(geometry).width + 20;
+    this.roundRect(ctx, width - 24 - badgeWidth, 24, badgeWidth, 20, 10);
+    ctx.fillStyle = `hsla(${hue}, 80%, 50%, 0.2)`;
+    ctx.fill();
+    ctx.strokeStyle = accent;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.fillStyle = accent;
+    ctx.fillText(geometry, width - 14 - badgeWidth, 34);
+
+    // Preview
+    const preview = await this.renderPreview(preset, { width: 360, height: 240 });
+    ctx.save();
+    this.roundRect(ctx, 20, 56, 360, 240, 12);
+    ctx.clip();
+    ctx.drawImage(preview, 20, 56);
+    ctx.restore();
+
+    // Name and description
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#3ad4ed';
+    ctx.font = 'bold 22px Orbitron, monospace';
+    ctx.fillText(this.fitText(ctx, preset.name || preset.id, width - 48), 24, 330);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.font = '12px Orbitron, monospace';
+    this.wrapText(ctx, preset.description || '', width - 48, 2).forEach((line, index) => {
+      ctx.fillText(line, 24, 352 + index * 16);
+    });
+
+    // One bar per encoded parameter, scaled to the codec range
+    const fields = window.PresetCodec ? PresetCodec.FIELDS : [];
+    ctx.font = '10px Orbitron, monospace';
+    fields.forEach(({ namespace, param, min, max }, index) => {
+      const y = 392 + index * 14;
+      const value = parameters[namespace]?.[param] ?? min;
+      const fill = Math.min(Math.max((value - min) / (max - min), 0), 1);
+
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.fillText(`${namespace === 'rot4d' ? 'rot ' : ''}${param}`, 24, y + 8);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      ctx.fillRect(140, y, 180, 8);
+      ctx.fillStyle = accent;
+      ctx.fillRect(140, y, 180 * fill, 8);
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(Number(value).toFixed(param === 'hue' || param === 'gridDensity' ? 0 : 2), 330, y + 8);
+    });
+
+    // Footer: short code (static presets) or recording summary
+    ctx.font = 'bold 13px monospace';
+    ctx.fillStyle = '#ffffff';
+    const footer = preset.keyframes && !preset.parameters
+      ? `ANIMATED · ${preset.keyframes.length} KEYFRAMES · ${((preset.duration || 0) / 1000).toFixed(1)}s`
+      : this.getCode(preset);
+    if (footer) ctx.fillText(footer, 24, 570);
+
+    ctx.font = '9px Orbitron, monospace';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.textAlign = 'right';
+    ctx.fillText('CLEAR SEAS', width - 24, 570);
+    ctx.textAlign = 'left';
+
+    return canvas;
+  }
+
+  roundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+  }
+
+  fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+  }
+
+  wrapText(ctx, text, maxWidth, maxLines) {
+    const lines = [];
+    let line = '';
+
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width > maxWidth && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+      lines.length = maxLines;
+      lines[maxLines - 1] = this.fitText(ctx, `${lines[maxLines - 1]} …`, maxWidth);
+    }
+    return lines;
+  }
+
+  destroy() {
+    this.renderers.forEach(promise => promise.then(renderer => renderer && renderer.destroy()));
+    this.renderers.clear();
+    this.thumbnails.clear();
+  }
+}
+
+// Export for global use
+window.PresetPreviewRenderer = PresetPreviewRenderer;
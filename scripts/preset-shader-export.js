@@ -0,0 +1,283 @@
+/*
+ * PRESET SHADER EXPORT v1.0
+ *
+ * Turns a lab preset into a WebGL2 program that compiles on its own, built
+ * from the live VIB34DRenderer shader of the preset's system:
+ *
+ * - the system's main() becomes systemMain(); a new main() first moves the
+ *   fragment position through the preset transform (screen plane lifted
+ *   into 4D by the preset geometry, chaos jitter, XW/YW/ZW rotation, then
+ *   projected back) and afterwards grades the colour (hue, saturation)
+ * - rotation and hue are only added for systems whose shader does not
+ *   already use them, so nothing is applied twice
+ * - every preset uniform is declared; values come with the export
+ *
+ * build() returns { system, vertex, fragment, uniforms, speed, rotation };
+ * toHarness() wraps a build into a standalone HTML page that runs it and
+ * advances the rot4d uniforms by rotation (radians per second at speed 1),
+ * like VIB34DRenderer's additive rotation mode.
+ */
+
+class PresetShaderExport {
+  // 4D lift per geometry: z and w as GLSL expressions of p (position),
+  // r (length) and a (angle); scaled by u_morphFactor
+  static GEOMETRY_LIFTS = {
+    TETRAHEDRON: ['p.x * p.y', '(abs(p.x) + abs(p.y)) * 0.5'],
+    CUBE: ['0.0', 'max(abs(p.x), abs(p.y))'],
+    OCTAHEDRON: ['0.0', 'abs(p.x) + abs(p.y)'],
+    DODECAHEDRON: ['r * 0.3', 'cos(a * 5.0) * r * 0.5'],
+    ICOSAHEDRON: ['r * 0.2', 'cos(a * 3.0) * r * 0.6'],
+    TORUS: ['r - 0.6', 'sin(a * 2.0) * 0.5'],
+    WAVE: ['sin(p.x * 4.0) * 0.3', 'cos(p.y * 4.0) * 0.3'],
+    CRYSTAL: ['0.0', 'abs(fract(p.x * 2.0) - 0.5) + abs(fract(p.y * 2.0) - 0.5)'],
+    HYPERCUBE: ['p.x * 0.5', 'p.y * 0.5'],
+    TESSERACT: ['p.y * 0.5', 'p.x * 0.5'],
+    SPHERE: ['sqrt(max(1.0 - r * r, 0.0))', '0.0'],
+    SPIRAL: ['0.0', 'fract(a / 6.2832 + r)'],
+    FRACTAL: ['0.0', 'abs(fract(r * 3.0) - 0.5) * fract(a * 1.5915)']
+  };
+
+  static UNIFORMS = [
+    'u_geometry', 'u_rot4dXW', 'u_rot4dYW', 'u_rot4dZW', 'u_gridDensity',
+    'u_morphFactor', 'u_chaos', 'u_intensity', 'u_hue', 'u_saturation'
+  ];
+
+  /*
+   * preset   lab preset (name and id are used in comments)
+   * options:
+   *   system      VIB34DRenderer system (polychora, quantum, holographic, faceted)
+   *   values      renderer parameters { geometry, rot4dXW, ..., saturation }
+   *   geometries  geometry names in index order (the values.geometry index)
+   */
+  static build(preset, options) {
+    const { system, values, geometries } = options;
+    const sources = VIB34DRenderer.getShaderSources(system);
+    const source = sources.fragment;
+
+    const rotate = !source.includes('u_rot4dXW');
+    const shiftHue = !source.includes('u_hue');
+    const declared = new Set(Array.from(source.matchAll(/uniform\s+float\s+(\w+)\s*;/g), match => match[1]));
+    const declarations = PresetShaderExport.UNIFORMS
+      .filter(name => !declared.has(name))
+      .map(name => `      uniform float ${name};`)
+      .join('\n');
+
+    const fragment = source
+      .replace('precision highp float;', `precision highp float;\n      \n      // Preset uniforms\n${declarations}`)
+      .replace('in vec2 v_position;', 'in vec2 v_presetPosition;\n      vec2 v_position;')
+      .replace('void main()', 'void systemMain()')
+      .trimEnd() + '\n' + PresetShaderExport.presetBlock({ rotate, shiftHue, geometries });
+
+    const vertex = sources.vertex.replace(/\bv_position\b/g, 'v_presetPosition').trimEnd() + '\n';
+
+    const uniforms = {};
+    Object.entries(values).forEach(([param, value]) => {
+      const name = `u_${param}`;
+      if (PresetShaderExport.UNIFORMS.includes(name)) uniforms[name] = value;
+    });
+
+    // The sources end up inside <script> blocks of the harness: a "</script>"
+    // in the name must not close them, and GLSL sources are ASCII only
+    const comment = (text) => String(text).replace(/\s+/g, ' ').replace(/[^\x20-\x7e]|</g, '');
+    const header = `// Clear Seas preset: ${comment(preset.name)} (${comment(preset.id)})\n// System: ${system}\n`;
+    return {
+      system,
+      vertex: vertex.replace('\n', `\n${header}`),
+      fragment: fragment.replace('\n', `\n${header}`),
+      uniforms,
+      speed: values.speed ?? 1,
+      rotation: { ...VIB34DRenderer.ROTATION_VELOCITY }
+    };
+  }
+
+  static presetBlock({ rotate, shiftHue, geometries }) {
+    const lifts = geometries
+      .map((name, index) => {
+        const [z, w] = PresetShaderExport.GEOMETRY_LIFTS[name] || ['0.0', '0.0'];
+        return `${index === 0 ? 'if' : '} else if'} (geometry == ${index}) { // ${name}\n          z = ${z};\n          w = ${w};`;
+      })
+      .join('\n        ');
+
+    return `
+      // ===== Preset transform =====
+
+      mat4 presetRotation(float xw, float yw, float zw) {
+        float cx = cos(xw);
+        float sx = sin(xw);
+        float cy = cos(yw);
+        float sy = sin(yw);
+        float cz = cos(zw);
+        float sz = sin(zw);
+        mat4 rxw = mat4(cx, 0.0, 0.0, -sx, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, sx, 0.0, 0.0, cx);
+        mat4 ryw = mat4(1.0, 0.0, 0.0, 0.0, 0.0, cy, 0.0, -sy, 0.0, 0.0, 1.0, 0.0, 0.0, sy, 0.0, cy);
+        mat4 rzw = mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, cz, -sz, 0.0, 0.0, sz, cz);
+        return rzw * ryw * rxw;
+      }
+
+      float presetHash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+      }
+
+      // Lifts the screen plane into 4D; the shape of the lift is the geometry
+      vec4 presetEmbed(vec2 p) {
+        int geometry = int(u_geometry + 0.5);
+        float r = length(p);
+        float a = atan(p.y, p.x);
+        float z = 0.0;
+        float w = 0.0;
+        ${lifts}
+        }
+        return vec4(p, z * u_morphFactor, w * u_morphFactor);
+      }
+
+      vec2 presetProject(vec2 p) {
+        p += (vec2(presetHash(p), presetHash(p + 17.0)) - 0.5) * u_chaos * 0.02;
+        vec4 p4 = presetEmbed(p);
+        ${rotate ? 'p4 = presetRotation(u_rot4dXW, u_rot4dYW, u_rot4dZW) * p4;' : '// The system shader applies u_rot4d* itself'}
+        return p4.xy * 4.0 / (max(2.0 - p4.w, 0.1) * max(2.0 - p4.z, 0.1));
+      }
+
+      vec3 presetRgb2hsv(vec3 c) {
+        vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
+        vec4 p = mix(vec4(c.bg, K.wz), vec4(c.gb, K.xy), step(c.b, c.g));
+        vec4 q = mix(vec4(p.xyw, c.r), vec4(c.r, p.yzx), step(p.x, c.r));
+        float d = q.x - min(q.w, q.y);
+        float e = 1.0e-10;
+        return vec3(abs(q.z + (q.w - q.y) / (6.0 * d + e)), d / (q.x + e), q.x);
+      }
+
+      vec3 presetHsv2rgb(vec3 c) {
+        vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+        vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+        return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+      }
+
+      vec3 presetColor(vec3 rgb) {
+        vec3 hsv = presetRgb2hsv(rgb);
+        ${shiftHue ? 'hsv.x = fract(hsv.x + u_hue / 360.0);' : '// The system shader applies u_hue itself'}
+        hsv.y *= u_saturation;
+        return presetHsv2rgb(hsv);
+      }
+
+      void main() {
+        v_position = presetProject(v_presetPosition);
+        systemMain();
+        fragColor.rgb = presetColor(fragColor.rgb);
+      }
+`;
+  }
+
+  // Standalone page running a build full-screen (WebGL2, no dependencies)
+  static toHarness(preset, build) {
+    const settings = JSON.stringify({ uniforms: build.uniforms, speed: build.speed, rotation: build.rotation }, null, 2);
+    const title = String(preset.name).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title} - Clear Seas preset</title>
+  <style>
+    html, body { margin: 0; height: 100%; background: #0d1117; overflow: hidden; }
+    canvas { display: block; width: 100%; height: 100%; }
+    #error { position: fixed; inset: 20px; margin: 0; color: #ff8080; font: 12px monospace; white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <canvas id="preset"></canvas>
+  <script id="vertex-shader" type="x-shader/x-vertex">
+${build.vertex}</script>
+  <script id="fragment-shader" type="x-shader/x-fragment">
+${build.fragment}</script>
+  <script>
+    // ${build.system} system, exported from the Clear Seas preset laboratory
+    const PRESET = ${settings.replace(/\n/g, '\n    ')};
+
+    function showError(message) {
+      const error = document.createElement('pre');
+      error.id = 'error';
+      error.textContent = message;
+      document.body.appendChild(error);
+    }
+
+    function compile(gl, type, id) {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, document.getElementById(id).textContent.trim());
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(id + ': ' + gl.getShaderInfoLog(shader));
+      }
+      return shader;
+    }
+
+    function start() {
+      const canvas = document.getElementById('preset');
+      const gl = canvas.getContext('webgl2', { alpha: true, premultipliedAlpha: false });
+      if (!gl) throw new Error('WebGL2 is not available in this browser');
+
+      const program = gl.createProgram();
+      gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, 'vertex-shader'));
+      gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, 'fragment-shader'));
+      gl.linkProgram(program);
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(gl.getProgramInfoLog(program));
+      }
+      gl.useProgram(program);
+
+      // Full-screen quad
+      gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+      const position = gl.getAttribLocation(program, 'a_position');
+      gl.enableVertexAttribArray(position);
+      gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+      Object.entries(PRESET.uniforms).forEach(([name, value]) => {
+        gl.uniform1f(gl.getUniformLocation(program, name), value);
+      });
+      const time = gl.getUniformLocation(program, 'u_time');
+      const resolution = gl.getUniformLocation(program, 'u_resolution');
+      const rotation = Object.entries(PRESET.rotation).map(([plane, velocity]) => {
+        const name = 'u_rot4d' + plane.toUpperCase();
+        return { location: gl.getUniformLocation(program, name), angle: PRESET.uniforms[name] || 0, velocity };
+      });
+
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+      gl.clearColor(0, 0, 0, 0);
+
+      function resize() {
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        canvas.width = Math.round(canvas.clientWidth * ratio);
+        canvas.height = Math.round(canvas.clientHeight * ratio);
+        gl.viewport(0, 0, canvas.width, canvas.height);
+      }
+      window.addEventListener('resize', resize);
+      resize();
+
+      function frame(now) {
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        const t = now * 0.001 * PRESET.speed;
+        gl.uniform1f(time, t);
+        rotation.forEach(({ location, angle, velocity }) => gl.uniform1f(location, angle + t * velocity));
+        gl.uniform2f(resolution, canvas.width, canvas.height);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        requestAnimationFrame(frame);
+      }
+      requestAnimationFrame(frame);
+    }
+
+    try {
+      start();
+    } catch (error) {
+      showError(error.message);
+    }
+  </script>
+</body>
+</html>
+`;
+  }
+}
+
+// Export for global use
+window.PresetShaderExport = PresetShaderExport;
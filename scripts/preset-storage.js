@@ -0,0 +1,145 @@
+/*
+ * PRESET STORAGE v1.0
+ *
+ * IndexedDB persistence for PresetLaboratory presets. Each preset is kept as
+ * a versioned record:
+ *
+ *   { id, format, revision, createdAt, updatedAt, preset }
+ *
+ * - format is the record layout version (PresetStorage.FORMAT); older
+ *   records are upgraded by migrate() when read
+ * - revision counts saves of the same preset id
+ *
+ * When IndexedDB is unavailable (private mode, file://) presets are kept in
+ * memory for the session and a warning is logged.
+ */
+
+class PresetStorage {
+  static FORMAT = 1;
+
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'clear-seas-presets';
+    this.storeName = 'presets';
+    this.db = null;
+    this.memory = null;
+  }
+
+  async open() {
+    if (this.db || this.memory) return this;
+
+    if (typeof indexedDB === 'undefined') {
+      console.warn('⚠️ IndexedDB unavailable - presets will not survive a reload');
+      this.memory = new Map();
+      return this;
+    }
+
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, PresetStorage.FORMAT);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('preset database is open in another tab with an older version'));
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not open preset database - presets will not survive a reload:', error);
+      this.memory = new Map();
+    }
+
+    return this;
+  }
+
+  // Stored presets, oldest first
+  async getAll() {
+    await this.open();
+    const records = this.memory
+      ? Array.from(this.memory.values())
+      : await this.request(store => store.getAll());
+
+    return records
+      .map(record => {
+        try {
+          return PresetStorage.migrate(record);
+        } catch (error) {
+          console.warn('⚠️ Skipping stored preset:', error.message);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async get(id) {
+    await this.open();
+    const record = this.memory ? this.memory.get(id) : await this.request(store => store.get(id));
+    return record ? PresetStorage.migrate(record) : null;
+  }
+
+  // Saves a preset, bumping the record revision. Returns the stored record.
+  async save(preset) {
+    const existing = await this.get(preset.id);
+    const now = Date.now();
+    const record = {
+      id: preset.id,
+      format: PresetStorage.FORMAT,
+      revision: existing ? existing.revision + 1 : 1,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      preset: JSON.parse(JSON.stringify(preset))
+    };
+
+    if (this.memory) {
+      this.memory.set(record.id, record);
+    } else {
+      await this.request(store => store.put(record), 'readwrite');
+    }
+    return record;
+  }
+
+  async delete(id) {
+    await this.open();
+    if (this.memory) {
+      this.memory.delete(id);
+    } else {
+      await this.request(store => store.delete(id), 'readwrite');
+    }
+  }
+
+  // Upgrades a stored record to the current format. Plain preset objects
+  // (stored before records were versioned) become revision 1.
+  static migrate(record) {
+    if (record.format === PresetStorage.FORMAT) return record;
+
+    if (record.format === undefined) {
+      const preset = record.preset || record;
+      return {
+        id: preset.id,
+        format: PresetStorage.FORMAT,
+        revision: 1,
+        createdAt: preset.timestamp || Date.now(),
+        updatedAt: preset.timestamp || Date.now(),
+        preset
+      };
+    }
+
+    throw new Error(`Preset record "${record.id}" has unknown format ${record.format}`);
+  }
+
+  request(operation, mode = 'readonly') {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('preset transaction aborted'));
+    });
+  }
+}
+
+// Export for global use
+window.PresetStorage = PresetStorage;
@@ -0,0 +1,188 @@
+/*
+ * REACTIVITY CONFIG LOADER v1.0
+ *
+ * Composes the reactivity configuration from several files instead of one
+ * monolithic faceted.json:
+ *
+ * - manifest.json lists the system files shared by every page and maps page
+ *   keys to page-level configs ("default" is used when a page has no entry).
+ * - Any config may "extends" one or more configs (paths are relative to the
+ *   extending file). Parents are merged first, the extending file wins.
+ * - Systems merge by name; routes concatenate, and a route with the same
+ *   "id" as an inherited route replaces it.
+ * - Merging is deep for objects; arrays and scalars are replaced, and so is
+ *   each parameter operation ({ "to": 8, "ms": 450 }) so that switching an
+ *   operation type never leaves the inherited one behind.
+ *
+ * Runs in the browser (window.ReactivityConfigLoader) and in Node (require),
+ * where the CLI check passes a file-system backed readJson.
+ */
+
+class ReactivityConfigLoader {
+  // events → "card:hover" → target → visual → (operation replaced)
+  static EVENTS_MERGE_DEPTH = 3;
+  // systems → FACETED → reactivity → events → ...
+  static SYSTEM_MERGE_DEPTH = 3 + this.EVENTS_MERGE_DEPTH;
+
+  constructor(options = {}) {
+    this.readJson = options.readJson || ReactivityConfigLoader.fetchJson;
+    this.cache = new Map();
+  }
+
+  static async fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load reactivity config (${response.status}): ${url}`);
+    }
+    return response.json();
+  }
+
+  async read(url) {
+    if (!this.cache.has(url)) {
+      this.cache.set(url, this.readJson(url));
+    }
+    return this.cache.get(url);
+  }
+
+  // Full configuration for one page: manifest systems + page config chain
+  async loadForPage(manifestUrl, pageKey = 'default') {
+    const manifest = await this.read(manifestUrl);
+    const sources = [];
+    let config = { systems: {}, routes: [] };
+
+    for (const file of manifest.systems || []) {
+      const url = ReactivityConfigLoader.resolveUrl(file, manifestUrl);
+      config = ReactivityConfigLoader.mergeConfigs(config, await this.loadConfig(url, [], sources));
+    }
+
+    const pages = manifest.pages || {};
+    const pageFile = pages[pageKey] || pages.default;
+    if (pageFile) {
+      const url = ReactivityConfigLoader.resolveUrl(pageFile, manifestUrl);
+      config = ReactivityConfigLoader.mergeConfigs(config, await this.loadConfig(url, [], sources));
+    }
+
+    return { manifest, config, sources };
+  }
+
+  // Systems only (no routes) - used by tools like the preset laboratory
+  async loadSystems(manifestUrl) {
+    const manifest = await this.read(manifestUrl);
+    let config = { systems: {}, routes: [] };
+
+    for (const file of manifest.systems || []) {
+      const url = ReactivityConfigLoader.resolveUrl(file, manifestUrl);
+      config = ReactivityConfigLoader.mergeConfigs(config, await this.loadConfig(url));
+    }
+
+    return config.systems;
+  }
+
+  // One config file with its extends chain resolved
+  async loadConfig(url, chain = [], sources = []) {
+    if (chain.includes(url)) {
+      throw new Error(`Circular reactivity config extends: ${chain.concat(url).join(' → ')}`);
+    }
+
+    const raw = await this.read(url);
+    const parents = [].concat(raw.extends || []);
+    let config = { systems: {}, routes: [] };
+
+    for (const parent of parents) {
+      const parentUrl = ReactivityConfigLoader.resolveUrl(parent, url);
+      config = ReactivityConfigLoader.mergeConfigs(config, await this.loadConfig(parentUrl, chain.concat(url), sources));
+    }
+
+    if (!sources.some(source => source.url === url)) {
+      sources.push({ url, config: raw });
+    }
+
+    return ReactivityConfigLoader.mergeConfigs(config, raw);
+  }
+
+  static mergeConfigs(parent, child) {
+    const merged = {
+      systems: ReactivityConfigLoader.deepMerge(parent.systems || {}, child.systems || {},
+        ReactivityConfigLoader.SYSTEM_MERGE_DEPTH),
+      routes: (parent.routes || []).slice()
+    };
+
+    (child.routes || []).forEach(route => {
+      const existing = route.id ? merged.routes.findIndex(r => r.id === route.id) : -1;
+      if (existing >= 0) {
+        merged.routes[existing] = route;
+      } else {
+        merged.routes.push(route);
+      }
+    });
+
+    if (child.version || parent.version) {
+      merged.version = child.version || parent.version;
+    }
+
+    return merged;
+  }
+
+  // Route-level "overrides" deep-merge onto the system's base and events
+  static resolveRouteSystem(system, overrides) {
+    if (!system || !overrides) return system;
+
+    const resolved = JSON.parse(JSON.stringify(system));
+
+    if (overrides.base) {
+      resolved.base = ReactivityConfigLoader.deepMerge(resolved.base || {}, overrides.base);
+    }
+
+    if (overrides.events) {
+      resolved.reactivity = resolved.reactivity || {};
+      resolved.reactivity.events = ReactivityConfigLoader.deepMerge(resolved.reactivity.events || {}, overrides.events,
+        ReactivityConfigLoader.EVENTS_MERGE_DEPTH);
+    }
+
+    return resolved;
+  }
+
+  // maxDepth limits how many object levels merge before values are replaced
+  static deepMerge(target, source, maxDepth = Infinity) {
+    const result = ReactivityConfigLoader.isPlainObject(target) ? { ...target } : {};
+
+    Object.entries(source || {}).forEach(([key, value]) => {
+      if (maxDepth > 0 && ReactivityConfigLoader.isPlainObject(value) && ReactivityConfigLoader.isPlainObject(result[key])) {
+        result[key] = ReactivityConfigLoader.deepMerge(result[key], value, maxDepth - 1);
+      } else {
+        result[key] = ReactivityConfigLoader.clone(value);
+      }
+    });
+
+    return result;
+  }
+
+  static clone(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Resolve "file.json" / "../file.json" against the referencing file's URL
+  static resolveUrl(reference, from) {
+    if (/^([a-z]+:)?\/\//i.test(reference) || reference.startsWith('/')) return reference;
+
+    const parts = from.split('/').slice(0, -1);
+    reference.split('/').forEach(segment => {
+      if (segment === '..') parts.pop();
+      else if (segment !== '.') parts.push(segment);
+    });
+
+    return parts.join('/');
+  }
+}
+
+// Browser global + Node export (used by scripts/validate-reactivity-config.js)
+if (typeof window !== 'undefined') {
+  window.ReactivityConfigLoader = ReactivityConfigLoader;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReactivityConfigLoader;
+}
@@ -0,0 +1,355 @@
+/*
+ * REACTIVITY CONFIG VALIDATOR v1.0
+ *
+ * Validates reactivity configuration files against reactivity.schema.json
+ * before UnifiedPolytopalSystem trusts them. Implements the JSON Schema
+ * (draft-07) subset the schema uses, plus semantic checks the schema cannot
+ * express (routes pointing at unknown systems).
+ *
+ * Runs in the browser (window.ReactivityConfigValidator) and in Node
+ * (require) so the same rules gate both page load and pre-deploy checks.
+ */
+
+class ReactivityConfigValidator {
+  constructor(schema, options = {}) {
+    this.schema = schema;
+    this.formats = new Map();
+    this.maxErrors = options.maxErrors || 100;
+  }
+
+  static async load(url = '/assets/reactivity/reactivity.schema.json') {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load reactivity schema (${response.status}): ${url}`);
+    }
+    return new ReactivityConfigValidator(await response.json());
+  }
+
+  // Custom "format" keywords, e.g. expression syntax checks
+  registerFormat(name, check) {
+    this.formats.set(name, check);
+    return this;
+  }
+
+  // options.definition validates against a named definition (e.g. "manifest");
+  // options.references: false skips cross-file checks for partial configs
+  validate(config, options = {}) {
+    const errors = [];
+    const schema = options.definition ? this.resolveRef(`#/definitions/${options.definition}`) : this.schema;
+    this.validateNode(config, schema, [], errors);
+
+    if (!options.definition && options.references !== false) {
+      this.checkReferences(config, errors);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors.slice(0, this.maxErrors).map(({ path, message }) => ({ path, message }))
+    };
+  }
+
+  // ===== SCHEMA KEYWORDS =====
+
+  validateNode(value, schema, path, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+      this.addError(errors, path, 'is not allowed here');
+      return;
+    }
+
+    if (schema.$ref) {
+      this.validateNode(value, this.resolveRef(schema.$ref), path, errors);
+      return;
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      this.addError(errors, path, `must be ${this.describeType(schema.type)}, got ${this.typeOf(value)}`);
+      return;
+    }
+
+    if (schema.const !== undefined && !this.deepEqual(value, schema.const)) {
+      this.addError(errors, path, `must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.some(option => this.deepEqual(value, option))) {
+      const suggestion = typeof value === 'string' ? this.suggest(value, schema.enum) : null;
+      this.addError(errors, path,
+        `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` +
+        (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+    }
+
+    if (typeof value === 'number') this.validateNumber(value, schema, path, errors);
+    if (typeof value === 'string') this.validateString(value, schema, path, errors);
+    if (Array.isArray(value)) this.validateArray(value, schema, path, errors);
+    if (this.typeOf(value) === 'object') this.validateObject(value, schema, path, errors);
+
+    if (schema.allOf) {
+      schema.allOf.forEach(subschema => this.validateNode(value, subschema, path, errors));
+    }
+
+    if (schema.anyOf) this.validateAlternatives(value, schema.anyOf, path, errors, 'any');
+    if (schema.oneOf) this.validateAlternatives(value, schema.oneOf, path, errors, 'one');
+  }
+
+  validateNumber(value, schema, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      this.addError(errors, path, `must be >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      this.addError(errors, path, `must be <= ${schema.maximum}, got ${value}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      this.addError(errors, path, `must be > ${schema.exclusiveMinimum}, got ${value}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      this.addError(errors, path, `must be < ${schema.exclusiveMaximum}, got ${value}`);
+    }
+  }
+
+  validateString(value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      this.addError(errors, path, `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      this.addError(errors, path, `"${value}" does not match pattern ${schema.pattern}`);
+    }
+    if (schema.format && this.formats.has(schema.format)) {
+      const problem = this.formats.get(schema.format)(value);
+      if (problem) {
+        this.addError(errors, path, `invalid ${schema.format}: ${problem}`);
+      }
+    }
+  }
+
+  validateArray(value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      this.addError(errors, path, `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      this.addError(errors, path, `must have at most ${schema.maxItems} items`);
+    }
+
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, index) => {
+        if (index < value.length) {
+          this.validateNode(value[index], itemSchema, path.concat(index), errors);
+        }
+      });
+    } else if (schema.items) {
+      value.forEach((item, index) => {
+        this.validateNode(item, schema.items, path.concat(index), errors);
+      });
+    }
+  }
+
+  validateObject(value, schema, path, errors) {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      this.addError(errors, path, `must have at least ${schema.minProperties} properties`);
+    }
+
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        this.addError(errors, path, `is missing required property "${key}"`);
+      }
+    });
+
+    keys.forEach(key => {
+      const childPath = path.concat(key);
+
+      if (schema.propertyNames) {
+        const nameErrors = [];
+        this.validateNode(key, schema.propertyNames, childPath, nameErrors);
+        if (nameErrors.length > 0) {
+          this.addError(errors, childPath, `is not a valid name: ${nameErrors[0].message}`);
+          return;
+        }
+      }
+
+      if (key in properties) {
+        this.validateNode(value[key], properties[key], childPath, errors);
+        return;
+      }
+
+      const patternSchema = Object.entries(schema.patternProperties || {})
+        .find(([pattern]) => new RegExp(pattern).test(key));
+      if (patternSchema) {
+        this.validateNode(value[key], patternSchema[1], childPath, errors);
+        return;
+      }
+
+      if (schema.additionalProperties === false) {
+        const suggestion = this.suggest(key, Object.keys(properties));
+        this.addError(errors, childPath,
+          'is not a recognised property' + (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+      } else if (typeof schema.additionalProperties === 'object') {
+        this.validateNode(value[key], schema.additionalProperties, childPath, errors);
+      }
+    });
+  }
+
+  validateAlternatives(value, alternatives, path, errors, mode) {
+    const results = alternatives.map(subschema => {
+      const branchErrors = [];
+      this.validateNode(value, subschema, path, branchErrors);
+      return branchErrors;
+    });
+
+    const passing = results.filter(result => result.length === 0).length;
+
+    if (mode === 'one' && passing > 1) {
+      this.addError(errors, path, 'matches more than one allowed shape');
+      return;
+    }
+    if (passing > 0) return;
+
+    // Report the branch that got furthest: the one whose type matched
+    // with the fewest problems, so users see "to must be a number"
+    // instead of a generic union failure.
+    const typed = results
+      .filter(result => !result.some(error => error.typeMismatch && error.path === this.formatPath(path)))
+      .sort((a, b) => a.length - b.length);
+
+    if (typed.length > 0 && !this.isRequiredOnly(alternatives)) {
+      typed[0].forEach(error => errors.push(error));
+      return;
+    }
+
+    if (this.isRequiredOnly(alternatives)) {
+      const required = alternatives.map(subschema => subschema.required.join('+'));
+      this.addError(errors, path, `must define one of: ${required.join(', ')}`);
+      return;
+    }
+
+    const types = alternatives
+      .map(subschema => (subschema.$ref ? this.resolveRef(subschema.$ref) : subschema).type)
+      .filter(Boolean);
+    this.addError(errors, path, types.length === alternatives.length
+      ? `must be ${this.describeType(types.flat())}, got ${this.typeOf(value)}`
+      : 'does not match any allowed shape');
+  }
+
+  isRequiredOnly(alternatives) {
+    return alternatives.every(subschema => subschema.required && Object.keys(subschema).length === 1);
+  }
+
+  // ===== SEMANTIC CHECKS =====
+
+  checkReferences(config, errors) {
+    if (this.typeOf(config) !== 'object' || !Array.isArray(config.routes)) return;
+    const systems = this.typeOf(config.systems) === 'object' ? config.systems : {};
+
+    config.routes.forEach((route, index) => {
+      if (route && typeof route.system === 'string' && !(route.system in systems)) {
+        const suggestion = this.suggest(route.system, Object.keys(systems));
+        this.addError(errors, ['routes', index, 'system'],
+          `references unknown system "${route.system}"` +
+          (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+      }
+    });
+  }
+
+  // ===== HELPERS =====
+
+  resolveRef(ref) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local schema references are supported: ${ref}`);
+    }
+
+    return ref.slice(2).split('/').reduce((node, part) => {
+      if (!node || !(part in node)) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+      }
+      return node[part];
+    }, this.schema);
+  }
+
+  matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    const actual = this.typeOf(value);
+    return types.some(expected =>
+      expected === actual ||
+      (expected === 'number' && actual === 'integer') ||
+      (expected === 'integer' && actual === 'integer'));
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  describeType(type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.map(t => (/^[aeiou]/.test(t) ? 'an ' : 'a ') + t).join(' or ');
+  }
+
+  deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  addError(errors, path, message) {
+    const typeMismatch = message.startsWith('must be a') && message.includes(', got ');
+    errors.push({ path: this.formatPath(path), message, typeMismatch });
+  }
+
+  // $.systems.FACETED.reactivity.events["card:hover"].target
+  formatPath(path) {
+    return path.reduce((result, part) => {
+      if (typeof part === 'number') return `${result}[${part}]`;
+      if (/^[A-Za-z_$][\w$]*$/.test(part)) return `${result}.${part}`;
+      return `${result}[${JSON.stringify(part)}]`;
+    }, '$');
+  }
+
+  suggest(input, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    candidates.forEach(candidate => {
+      if (typeof candidate !== 'string') return;
+      const distance = this.editDistance(input.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    return bestDistance <= Math.max(2, Math.floor(input.length / 4)) && best !== input ? best : null;
+  }
+
+  editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        previous = current;
+      }
+    }
+
+    return row[b.length];
+  }
+
+  static formatErrors(errors) {
+    return errors.map(error => `  ${error.path} ${error.message}`).join('\n');
+  }
+}
+
+// Browser global + Node export (used by scripts/validate-reactivity-config.js)
+if (typeof window !== 'undefined') {
+  window.ReactivityConfigValidator = ReactivityConfigValidator;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReactivityConfigValidator;
+}
@@ -0,0 +1,290 @@
+/*
+ * REACTIVITY EVENT BINDINGS v1.0
+ *
+ * Maps reactivity config event names to DOM triggers. Event names have the
+ * form "subject:action" or "subject:action@argument". The subject is free
+ * text describing the surface (card, button, section, input, link, scroll)
+ * - the route selector decides which elements are bound - and the action
+ * picks the trigger:
+ *
+ *   hover, leave             pointer enters / leaves the element
+ *   click                    click (mouse, touch or keyboard activation)
+ *   press, release           pointer down / up (or cancelled)
+ *   longpress[@ms]           pointer held without moving (default 500ms)
+ *   doubletap[@ms]           two taps/clicks within ms (default 300ms)
+ *   focus, blur              focus enters / leaves the element or its children
+ *   key[@Key]                keydown while focused, optionally one key (key@Enter)
+ *   input, change            form control value events
+ *   enter, exit              element scrolls into / out of the viewport
+ *   visible[@ratio]          at least ratio (default 0.5) of the element is visible
+ *   progress[@p]             page scroll: every frame, or when crossing p (0-1)
+ *
+ * bind() returns a disposer that removes every listener/observer it added.
+ */
+
+class ReactivityEventBinder {
+  static ACTIONS = [
+    'hover', 'leave', 'click', 'press', 'release', 'longpress', 'doubletap',
+    'focus', 'blur', 'key', 'input', 'change', 'enter', 'exit', 'visible', 'progress'
+  ];
+
+  // Key names that are awkward to write in a config key
+  static KEY_ALIASES = {
+    Space: ' ',
+    Esc: 'Escape'
+  };
+
+  constructor(options = {}) {
+    this.longPressMs = options.longPressMs || 500;
+    this.doubleTapMs = options.doubleTapMs || 300;
+    this.moveTolerance = options.moveTolerance || 10;
+
+    // Shared IntersectionObservers, one per threshold
+    this.observers = new Map();
+
+    // Page scroll subscribers, driven by one passive listener
+    this.scrollHandlers = new Set();
+    this.scrollFrame = null;
+    this.onScroll = this.onScroll.bind(this);
+  }
+
+  // "section:visible@0.25" → { subject: 'section', action: 'visible', argument: '0.25' }
+  static parse(eventType) {
+    const match = /^([a-z][a-z0-9-]*):([a-z]+)(?:@(.+))?$/.exec(eventType);
+    if (!match || !ReactivityEventBinder.ACTIONS.includes(match[2])) return null;
+    return { subject: match[1], action: match[2], argument: match[3] };
+  }
+
+  bind(element, eventType, handler) {
+    const parsed = ReactivityEventBinder.parse(eventType);
+    if (!parsed) {
+      console.warn(`⚠️ Unsupported reactivity event "${eventType}" - expected subject:action with action one of ${ReactivityEventBinder.ACTIONS.join(', ')}`);
+      return () => {};
+    }
+
+    const { action, argument } = parsed;
+    const fire = (event) => handler(event);
+
+    switch (action) {
+      case 'hover':
+        return this.listen(element, 'mouseenter', fire);
+      case 'leave':
+        return this.listen(element, 'mouseleave', fire);
+      case 'click':
+        return this.listen(element, 'click', fire);
+      case 'press':
+        return this.listen(element, 'pointerdown', fire);
+      case 'release':
+        return this.all([
+          this.listen(element, 'pointerup', fire),
+          this.listen(element, 'pointercancel', fire)
+        ]);
+      case 'longpress':
+        return this.bindLongPress(element, fire, argument ? parseFloat(argument) : this.longPressMs);
+      case 'doubletap':
+        return this.bindDoubleTap(element, fire, argument ? parseFloat(argument) : this.doubleTapMs);
+      case 'focus':
+        return this.listen(element, 'focusin', fire);
+      case 'blur':
+        return this.listen(element, 'focusout', (event) => {
+          // Focus moving between children is not a blur of the surface
+          if (!element.contains(event.relatedTarget)) fire(event);
+        });
+      case 'key':
+        return this.bindKey(element, fire, argument);
+      case 'input':
+        return this.listen(element, 'input', fire);
+      case 'change':
+        return this.listen(element, 'change', fire);
+      case 'enter':
+        return this.observe(element, 0, (entry, wasVisible) => {
+          if (entry.isIntersecting && !wasVisible) fire(entry);
+        });
+      case 'exit':
+        return this.observe(element, 0, (entry, wasVisible) => {
+          if (!entry.isIntersecting && wasVisible) fire(entry);
+        });
+      case 'visible': {
+        const ratio = argument ? parseFloat(argument) : 0.5;
+        return this.observe(element, ratio, (entry, wasVisible) => {
+          const visible = entry.isIntersecting && entry.intersectionRatio >= ratio;
+          if (visible && !wasVisible) fire(entry);
+          return visible;
+        });
+      }
+      case 'progress':
+        return this.bindScrollProgress(fire, argument !== undefined ? parseFloat(argument) : null);
+    }
+
+    return () => {};
+  }
+
+  // ===== TRIGGERS =====
+
+  listen(element, type, listener, options) {
+    element.addEventListener(type, listener, options);
+    return () => element.removeEventListener(type, listener, options);
+  }
+
+  all(disposers) {
+    return () => disposers.forEach(dispose => dispose());
+  }
+
+  bindLongPress(element, fire, duration) {
+    let timer = null;
+    let start = null;
+
+    const cancel = () => {
+      clearTimeout(timer);
+      timer = null;
+      start = null;
+    };
+
+    return this.all([
+      this.listen(element, 'pointerdown', (event) => {
+        cancel();
+        start = { x: event.clientX, y: event.clientY };
+        timer = setTimeout(() => {
+          timer = null;
+          fire(event);
+        }, duration);
+      }),
+      this.listen(element, 'pointermove', (event) => {
+        if (start && Math.hypot(event.clientX - start.x, event.clientY - start.y) > this.moveTolerance) {
+          cancel();
+        }
+      }),
+      this.listen(element, 'pointerup', cancel),
+      this.listen(element, 'pointercancel', cancel),
+      this.listen(element, 'pointerleave', cancel),
+      // Suppress the context menu a long touch would otherwise open
+      this.listen(element, 'contextmenu', (event) => {
+        if (start) event.preventDefault();
+      }),
+      cancel
+    ]);
+  }
+
+  bindDoubleTap(element, fire, interval) {
+    let lastTap = null;
+
+    return this.listen(element, 'pointerup', (event) => {
+      const now = performance.now();
+      const isDouble = lastTap &&
+        now - lastTap.time <= interval &&
+        Math.hypot(event.clientX - lastTap.x, event.clientY - lastTap.y) <= this.moveTolerance * 3;
+
+      if (isDouble) {
+        lastTap = null;
+        fire(event);
+      } else {
+        lastTap = { time: now, x: event.clientX, y: event.clientY };
+      }
+    });
+  }
+
+  bindKey(element, fire, keyName) {
+    const key = keyName ? (ReactivityEventBinder.KEY_ALIASES[keyName] || keyName) : null;
+
+    return this.listen(element, 'keydown', (event) => {
+      if (!key || event.key === key || event.key.toLowerCase() === key.toLowerCase()) {
+        fire(event);
+      }
+    });
+  }
+
+  // callback(entry, wasVisible) may return the new visible state;
+  // by default it is entry.isIntersecting
+  observe(element, threshold, callback) {
+    if (typeof IntersectionObserver === 'undefined') {
+      console.warn('⚠️ IntersectionObserver unavailable - visibility events disabled');
+      return () => {};
+    }
+
+    if (!this.observers.has(threshold)) {
+      const subscribers = new Map();
+      const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          (subscribers.get(entry.target) || []).forEach(subscriber => {
+            const result = subscriber.callback(entry, subscriber.visible);
+            subscriber.visible = typeof result === 'boolean' ? result : entry.isIntersecting;
+          });
+        });
+      }, { threshold: threshold > 0 ? [0, threshold] : 0 });
+
+      this.observers.set(threshold, { observer, subscribers });
+    }
+
+    const { observer, subscribers } = this.observers.get(threshold);
+    const subscriber = { callback, visible: false };
+
+    if (!subscribers.has(element)) {
+      subscribers.set(element, []);
+      observer.observe(element);
+    }
+    subscribers.get(element).push(subscriber);
+
+    return () => {
+      const remaining = (subscribers.get(element) || []).filter(s => s !== subscriber);
+      if (remaining.length > 0) {
+        subscribers.set(element, remaining);
+      } else {
+        subscribers.delete(element);
+        observer.unobserve(element);
+      }
+    };
+  }
+
+  bindScrollProgress(fire, threshold) {
+    let lastProgress = this.getScrollProgress();
+
+    const subscriber = (progress, event) => {
+      if (threshold === null) {
+        if (progress !== lastProgress) fire(event);
+      } else if ((lastProgress < threshold) !== (progress < threshold)) {
+        // Crossing in either direction
+        fire(event);
+      }
+      lastProgress = progress;
+    };
+
+    if (this.scrollHandlers.size === 0) {
+      window.addEventListener('scroll', this.onScroll, { passive: true });
+    }
+    this.scrollHandlers.add(subscriber);
+
+    return () => {
+      this.scrollHandlers.delete(subscriber);
+      if (this.scrollHandlers.size === 0) {
+        window.removeEventListener('scroll', this.onScroll);
+      }
+    };
+  }
+
+  onScroll(event) {
+    if (this.scrollFrame) return;
+
+    // One progress computation per frame for all subscribers
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      const progress = this.getScrollProgress();
+      this.scrollHandlers.forEach(subscriber => subscriber(progress, event));
+    });
+  }
+
+  getScrollProgress() {
+    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    return maxScroll > 0 ? Math.min(Math.max(window.scrollY / maxScroll, 0), 1) : 0;
+  }
+
+  destroy() {
+    this.observers.forEach(({ observer }) => observer.disconnect());
+    this.observers.clear();
+    this.scrollHandlers.clear();
+    window.removeEventListener('scroll', this.onScroll);
+    if (this.scrollFrame) cancelAnimationFrame(this.scrollFrame);
+  }
+}
+
+// Export for global use
+window.ReactivityEventBinder = ReactivityEventBinder;
@@ -0,0 +1,340 @@
+/*
+ * REACTIVITY EXPRESSION v1.0
+ *
+ * Small, safe expression language for reactivity parameter operations:
+ *
+ *   { "hue":   { "expr": "wrap(value + 30, 0, 360)", "ms": 400 } }
+ *   { "speed": { "expr": "base.visual.speed * (1 + abs(scroll.velocity))" } }
+ *
+ * Expressions are tokenized and parsed into a tree, never passed to eval or
+ * Function. Supported syntax: numbers, + - * / %, unary - and !, comparisons,
+ * && || and ?:, parentheses, dotted names and calls to the helpers below.
+ *
+ * Names resolve against the scope given to evaluate():
+ *   value                  current value of the parameter being changed
+ *   target.* / frame.*     live { visual, color, rot4d } of the element / frame
+ *   base.*                 the system's base values
+ *   scroll.progress        0-1 page progress, scroll.velocity in viewports/sec
+ *   pointer.x, pointer.y   0-1 position in the viewport
+ *   time                   seconds since the page loaded
+ *
+ * Runs in the browser (window.ReactivityExpression) and in Node (require),
+ * where the config validator uses check() for the "reactivity-expression"
+ * format.
+ */
+
+class ReactivityExpression {
+  static ROOTS = ['value', 'target', 'frame', 'base', 'scroll', 'pointer', 'time'];
+
+  static CONSTANTS = {
+    PI: Math.PI,
+    TAU: Math.PI * 2,
+    E: Math.E
+  };
+
+  static FUNCTIONS = {
+    clamp: (x, min, max) => Math.min(Math.max(x, min), max),
+    lerp: (a, b, t) => a + (b - a) * t,
+    mix: (a, b, t) => a + (b - a) * t,
+    wrap: (x, min, max) => {
+      const range = max - min;
+      return range === 0 ? min : ((((x - min) % range) + range) % range) + min;
+    },
+    smoothstep: (edge0, edge1, x) => {
+      const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+      return t * t * (3 - 2 * t);
+    },
+    min: Math.min,
+    max: Math.max,
+    abs: Math.abs,
+    sign: Math.sign,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    sqrt: Math.sqrt,
+    pow: Math.pow,
+    sin: Math.sin,
+    cos: Math.cos
+  };
+
+  static VARIADIC = ['min', 'max'];
+
+  static BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '==': 3, '!=': 3,
+    '<': 4, '<=': 4, '>': 4, '>=': 4,
+    '+': 5, '-': 5,
+    '*': 6, '/': 6, '%': 6
+  };
+
+  static cache = new Map();
+
+  // Parsed expression, cached by source text
+  static compile(source) {
+    if (!ReactivityExpression.cache.has(source)) {
+      ReactivityExpression.cache.set(source, new ReactivityExpression(source));
+    }
+    return ReactivityExpression.cache.get(source);
+  }
+
+  static evaluate(source, scope) {
+    return ReactivityExpression.compile(source).evaluate(scope);
+  }
+
+  // Returns an error message, or null when the expression is valid
+  static check(source) {
+    try {
+      ReactivityExpression.compile(source);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  constructor(source) {
+    this.source = source;
+    this.tokens = ReactivityExpression.tokenize(source);
+    this.position = 0;
+    this.ast = this.parseExpression(0);
+
+    if (this.position < this.tokens.length) {
+      this.fail(`unexpected "${this.tokens[this.position].value}"`);
+    }
+  }
+
+  evaluate(scope = {}) {
+    const result = this.evaluateNode(this.ast, scope);
+    const number = typeof result === 'boolean' ? Number(result) : result;
+
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      throw new Error(`Expression "${this.source}" did not produce a finite number`);
+    }
+    return number;
+  }
+
+  // ===== TOKENIZER =====
+
+  static tokenize(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*)|(&&|\|\||==|!=|<=|>=|[-+*/%<>!?:(),]))/y;
+    let index = 0;
+
+    while (index < source.length) {
+      if (/^\s*$/.test(source.slice(index))) break;
+
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        const offset = source.slice(index).search(/\S/) + index;
+        throw new Error(`unexpected character "${source[offset]}" at position ${offset}`);
+      }
+
+      if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+      else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+      else tokens.push({ type: 'operator', value: match[3] });
+
+      index = pattern.lastIndex;
+    }
+
+    if (tokens.length === 0) {
+      throw new Error('expression is empty');
+    }
+    return tokens;
+  }
+
+  // ===== PARSER (precedence climbing) =====
+
+  parseExpression(minPrecedence) {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      if (!token || token.type !== 'operator') break;
+
+      if (token.value === '?' && minPrecedence === 0) {
+        this.position++;
+        const whenTrue = this.parseExpression(0);
+        this.expect(':');
+        const whenFalse = this.parseExpression(0);
+        left = { type: 'conditional', test: left, whenTrue, whenFalse };
+        continue;
+      }
+
+      const precedence = ReactivityExpression.BINARY_PRECEDENCE[token.value];
+      if (!precedence || precedence <= minPrecedence) break;
+
+      this.position++;
+      const right = this.parseExpression(precedence);
+      left = { type: 'binary', operator: token.value, left, right };
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token && token.type === 'operator' && (token.value === '-' || token.value === '+' || token.value === '!')) {
+      this.position++;
+      return { type: 'unary', operator: token.value, argument: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (!token) this.fail('unexpected end of expression');
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = this.parseExpression(0);
+      this.expect(')');
+      return inner;
+    }
+
+    if (token.type === 'name') {
+      if (this.peek()?.value === '(') {
+        return this.parseCall(token.value);
+      }
+      return this.parseName(token.value);
+    }
+
+    this.fail(`unexpected "${token.value}"`);
+  }
+
+  parseCall(name) {
+    const fn = ReactivityExpression.own(ReactivityExpression.FUNCTIONS, name);
+    if (!fn) {
+      this.fail(`unknown function "${name}" (available: ${Object.keys(ReactivityExpression.FUNCTIONS).join(', ')})`);
+    }
+
+    this.expect('(');
+    const args = [];
+    if (this.peek()?.value !== ')') {
+      do {
+        args.push(this.parseExpression(0));
+      } while (this.peek()?.value === ',' && this.next());
+    }
+    this.expect(')');
+
+    if (!ReactivityExpression.VARIADIC.includes(name) && args.length !== fn.length) {
+      this.fail(`${name}() expects ${fn.length} arguments, got ${args.length}`);
+    }
+
+    return { type: 'call', name, args };
+  }
+
+  parseName(name) {
+    if (ReactivityExpression.own(ReactivityExpression.CONSTANTS, name) !== undefined) {
+      return { type: 'number', value: ReactivityExpression.CONSTANTS[name] };
+    }
+
+    const path = name.split('.');
+    if (!ReactivityExpression.ROOTS.includes(path[0])) {
+      this.fail(`unknown name "${path[0]}" (available: ${ReactivityExpression.ROOTS.join(', ')})`);
+    }
+
+    return { type: 'name', path };
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (!token || token.value !== value) {
+      this.fail(`expected "${value}"${token ? ` but found "${token.value}"` : ' at end of expression'}`);
+    }
+  }
+
+  fail(message) {
+    throw new Error(message);
+  }
+
+  // ===== EVALUATOR =====
+
+  evaluateNode(node, scope) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+
+      case 'name':
+        return ReactivityExpression.resolvePath(scope, node.path, this.source);
+
+      case 'unary': {
+        const argument = this.evaluateNode(node.argument, scope);
+        if (node.operator === '!') return !argument;
+        return node.operator === '-' ? -argument : +argument;
+      }
+
+      case 'conditional':
+        return this.evaluateNode(node.test, scope)
+          ? this.evaluateNode(node.whenTrue, scope)
+          : this.evaluateNode(node.whenFalse, scope);
+
+      case 'call':
+        return ReactivityExpression.FUNCTIONS[node.name](...node.args.map(arg => this.evaluateNode(arg, scope)));
+
+      case 'binary':
+        return this.evaluateBinary(node, scope);
+    }
+  }
+
+  evaluateBinary(node, scope) {
+    const left = this.evaluateNode(node.left, scope);
+
+    // Short-circuit logical operators
+    if (node.operator === '&&') return left && this.evaluateNode(node.right, scope);
+    if (node.operator === '||') return left || this.evaluateNode(node.right, scope);
+
+    const right = this.evaluateNode(node.right, scope);
+    switch (node.operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return right === 0 ? 0 : left / right;
+      case '%': return right === 0 ? 0 : left % right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '==': return left === right;
+      case '!=': return left !== right;
+    }
+  }
+
+  // Own properties only, so names like "constructor" never reach prototypes
+  static own(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+  }
+
+  static resolvePath(scope, path, source = path.join('.')) {
+    let current = scope;
+
+    for (const part of path) {
+      current = current !== null && typeof current === 'object' ? ReactivityExpression.own(current, part) : undefined;
+      if (current === undefined) {
+        throw new Error(`Expression "${source}" references unknown value "${path.join('.')}"`);
+      }
+    }
+
+    return current;
+  }
+}
+
+// Browser global + Node export (used by scripts/validate-reactivity-config.js)
+if (typeof window !== 'undefined') {
+  window.ReactivityExpression = ReactivityExpression;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReactivityExpression;
+}
@@ -0,0 +1,380 @@
+/*
+ * REACTIVITY INSPECTOR v1.0
+ *
+ * In-page overlay showing what the polytopal reactivity system wired up:
+ * - a box around every element bound by a route, labelled with route id,
+ *   system, scene and role, its own visualizer and the scene's frame visualizer
+ * - live parameter values per visualizer, as the parameter queue applies them
+ * - a flash on each reaction (cyan = target, magenta = frame, amber =
+ *   siblings) and a log of recent events
+ *
+ * Toggle with Alt+Shift+I, window.toggleReactivityInspector(), or open the
+ * page with ?reactivity-inspector (enabled on polytopal:ready). Reads
+ * UnifiedPolytopalSystem state and listens to its polytopal:reaction /
+ * polytopal:parameters events.
+ */
+
+class ReactivityInspector {
+  constructor(options = {}) {
+    this.maxLogEntries = options.maxLogEntries || 30;
+    this.panelInterval = options.panelInterval || 200;
+
+    this.enabled = false;
+    this.container = null;
+    this.panel = null;
+    this.boxes = new Map();
+    this.frameBox = null;
+    this.parameters = new Map();
+    this.log = [];
+    this.lastPanelRender = 0;
+    this.frame = null;
+    this.removeTicker = null;
+
+    this.render = this.render.bind(this);
+    this.onReaction = this.onReaction.bind(this);
+    this.onParameters = this.onParameters.bind(this);
+
+    document.addEventListener('keydown', (e) => {
+      if (e.altKey && e.shiftKey && e.code === 'KeyI') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+  }
+
+  get system() {
+    return window.unifiedPolytopal || null;
+  }
+
+  toggle() {
+    return this.enabled ? this.disable() : this.enable();
+  }
+
+  enable() {
+    if (this.enabled) return true;
+    if (!this.system) {
+      console.warn('⚠️ Reactivity inspector: UnifiedPolytopalSystem is not running');
+      return false;
+    }
+
+    this.enabled = true;
+    this.createOverlay();
+    window.addEventListener('polytopal:reaction', this.onReaction);
+    window.addEventListener('polytopal:parameters', this.onParameters);
+
+    // Boxes follow their elements every frame (shared scheduler when loaded)
+    if (window.tweenScheduler) {
+      this.removeTicker = window.tweenScheduler.addTicker(this.render, () => { this.removeTicker = null; });
+    } else {
+      this.frame = requestAnimationFrame(this.render);
+    }
+
+    console.log('🔍 Reactivity inspector enabled');
+    return true;
+  }
+
+  disable() {
+    if (!this.enabled) return false;
+
+    this.enabled = false;
+    window.removeEventListener('polytopal:reaction', this.onReaction);
+    window.removeEventListener('polytopal:parameters', this.onParameters);
+    if (this.removeTicker) this.removeTicker();
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.removeTicker = null;
+    this.frame = null;
+
+    this.container.remove();
+    this.container = null;
+    this.panel = null;
+    this.frameBox = null;
+    this.boxes.clear();
+
+    console.log('🔍 Reactivity inspector disabled');
+    return false;
+  }
+
+  // ===== OVERLAY =====
+
+  createOverlay() {
+    if (!document.getElementById('reactivity-inspector-styles')) {
+      const styles = document.createElement('style');
+      styles.id = 'reactivity-inspector-styles';
+      styles.textContent = `
+        .reactivity-inspector {
+          position: fixed;
+          inset: 0;
+          pointer-events: none;
+          z-index: 10000;
+          font-family: 'Orbitron', monospace;
+          font-size: 10px;
+        }
+        .ri-box {
+          position: absolute;
+          top: 0;
+          left: 0;
+          border: 1px dashed rgba(58, 212, 237, 0.7);
+          transition: box-shadow 0.3s ease, background 0.3s ease;
+        }
+        .ri-box.flash-target {
+          box-shadow: 0 0 0 3px rgba(58, 212, 237, 0.9);
+          background: rgba(58, 212, 237, 0.12);
+        }
+        .ri-box.flash-frame {
+          box-shadow: 0 0 0 3px rgba(255, 0, 255, 0.8);
+        }
+        .ri-frame-box {
+          border-color: rgba(255, 0, 255, 0.7);
+          opacity: 0;
+          transition: opacity 0.3s ease, box-shadow 0.3s ease;
+        }
+        .ri-frame-box.flash-frame {
+          opacity: 1;
+        }
+        .ri-box.flash-sibling {
+          box-shadow: 0 0 0 3px rgba(255, 190, 40, 0.85);
+          background: rgba(255, 190, 40, 0.1);
+        }
+        .ri-label {
+          position: absolute;
+          top: -1px;
+          left: -1px;
+          max-width: 320px;
+          padding: 2px 6px;
+          background: rgba(13, 17, 23, 0.9);
+          color: #3ad4ed;
+          white-space: pre;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        .ri-panel {
+          position: absolute;
+          left: 20px;
+          bottom: 20px;
+          width: 340px;
+          max-height: 60vh;
+          overflow-y: auto;
+          padding: 10px 12px;
+          background: rgba(13, 17, 23, 0.95);
+          border: 1px solid rgba(58, 212, 237, 0.3);
+          border-radius: 12px;
+          color: #c9d1d9;
+          pointer-events: auto;
+        }
+        .ri-panel h4 {
+          margin: 8px 0 4px;
+          color: #3ad4ed;
+          font-size: 10px;
+          text-transform: uppercase;
+          letter-spacing: 1px;
+        }
+        .ri-panel table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        .ri-panel td {
+          padding: 1px 4px;
+          white-space: nowrap;
+        }
+        .ri-panel .ri-fired {
+          color: #ffbe28;
+        }
+      `;
+      document.head.appendChild(styles);
+    }
+
+    this.container = document.createElement('div');
+    this.container.className = 'reactivity-inspector';
+    this.panel = document.createElement('div');
+    this.panel.className = 'ri-panel';
+    this.container.appendChild(this.panel);
+    // Outside <body>, so the route MutationObserver ignores the overlay's updates
+    document.documentElement.appendChild(this.container);
+  }
+
+  render() {
+    this.frame = null;
+    if (!this.enabled) return;
+
+    const system = this.system;
+    const seen = new Set();
+
+    system.activeElements.forEach((elementData, element) => {
+      seen.add(element);
+      const box = this.boxes.get(element) || this.createBox(element, elementData);
+      const rect = element.getBoundingClientRect();
+      box.style.transform = `translate(${rect.left}px, ${rect.top}px)`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+      box.style.display = rect.bottom < 0 || rect.top > window.innerHeight ? 'none' : '';
+    });
+
+    // Elements unbound since the last frame (removed or re-rendered)
+    this.boxes.forEach((box, element) => {
+      if (!seen.has(element)) {
+        box.remove();
+        this.boxes.delete(element);
+      }
+    });
+
+    const now = performance.now();
+    if (now - this.lastPanelRender >= this.panelInterval) {
+      this.lastPanelRender = now;
+      this.renderPanel();
+    }
+
+    if (!this.removeTicker) {
+      this.frame = requestAnimationFrame(this.render);
+    }
+  }
+
+  createBox(element, elementData) {
+    const box = document.createElement('div');
+    box.className = 'ri-box';
+
+    const label = document.createElement('div');
+    label.className = 'ri-label';
+    label.textContent = this.describeElement(element, elementData);
+    box.appendChild(label);
+
+    this.container.insertBefore(box, this.panel);
+    this.boxes.set(element, box);
+    return box;
+  }
+
+  describeElement(element, elementData) {
+    const system = this.system;
+    const visualizer = system.findElementVisualizer(element);
+    const name = element.id ? `#${element.id}` : element.tagName.toLowerCase();
+
+    const lines = system.getElementBindings(elementData).map(binding => {
+      const { route } = binding;
+      const frame = system.findFrameVisualizer(route.scene);
+      return `${route.id || route.selector} · ${route.system} · ${route.scene} · ${route.role || 'target'}` +
+        ` → ${visualizer ? visualizer.id : 'no visualizer'}` +
+        (frame ? ` / frame ${frame.id}` : '');
+    });
+
+    return [name, ...lines].join('\n');
+  }
+
+  renderPanel() {
+    const system = this.system;
+    const status = system.getSystemStatus();
+
+    const routes = system.routes.map(route => {
+      let count = 0;
+      system.activeElements.forEach(elementData => {
+        if (system.getElementBindings(elementData).some(binding => binding.route === route)) count++;
+      });
+      return `<tr><td>${this.escape(route.id || route.selector)}</td><td>${this.escape(route.system)}</td>` +
+        `<td>${this.escape(route.scene)}</td><td>${count}</td></tr>`;
+    }).join('');
+
+    const parameters = Array.from(this.parameters, ([visualizerId, params]) => {
+      const values = Object.entries(params)
+        .map(([param, value]) => `${param} ${typeof value === 'number' ? value.toFixed(3) : this.escape(String(value))}`)
+        .join(' · ');
+      return `<tr><td>${this.escape(visualizerId)}</td><td>${values}</td></tr>`;
+    }).join('');
+
+    const log = this.log.map(entry =>
+      `<tr><td>${entry.time}</td><td>${this.escape(entry.element)}</td><td>${this.escape(entry.eventType)}</td>` +
+      `<td class="ri-fired">${this.escape(entry.fired)}</td></tr>`).join('');
+
+    this.panel.innerHTML = `
+      <h4>🔍 Reactivity · ${status.activeElementCount} elements · ${status.activeTweens} tweens · ${status.activeTimelines} timelines</h4>
+      <table>${routes}</table>
+      <h4>Parameters</h4>
+      <table>${parameters || '<tr><td>waiting for updates…</td></tr>'}</table>
+      <h4>Reactions</h4>
+      <table>${log || '<tr><td>no events yet</td></tr>'}</table>
+    `;
+  }
+
+  // ===== LIVE DATA =====
+
+  onReaction(event) {
+    const { element, eventType, fired } = event.detail;
+    const parts = [];
+
+    if (fired.target) {
+      this.flash(element, 'flash-target');
+      parts.push(`target → ${fired.target.id}`);
+    }
+    if (fired.frame) {
+      this.flashFrame(fired.frame);
+      parts.push(`frame → ${fired.frame.id}`);
+    }
+    if (fired.siblings.length > 0) {
+      fired.siblings.forEach(sibling => this.flash(sibling, 'flash-sibling'));
+      parts.push(`${fired.siblings.length} sibling(s)`);
+    }
+
+    this.log.unshift({
+      time: new Date().toLocaleTimeString(),
+      element: element.id ? `#${element.id}` : element.tagName.toLowerCase(),
+      eventType,
+      fired: parts.join(', ') || 'no reactions'
+    });
+    this.log.length = Math.min(this.log.length, this.maxLogEntries);
+  }
+
+  onParameters(event) {
+    const { visualizerId, params } = event.detail;
+    this.parameters.set(visualizerId, { ...this.parameters.get(visualizerId), ...params });
+  }
+
+  flash(element, className) {
+    const box = this.boxes.get(element);
+    if (box) this.flashBox(box, className);
+  }
+
+  // The frame visualizer is not a bound element; it gets a box that only
+  // shows while flashing
+  flashFrame(visualizer) {
+    if (!visualizer.element) return;
+
+    if (!this.frameBox) {
+      this.frameBox = document.createElement('div');
+      this.frameBox.className = 'ri-box ri-frame-box';
+      this.frameBox.appendChild(document.createElement('div')).className = 'ri-label';
+      this.container.insertBefore(this.frameBox, this.panel);
+    }
+
+    const rect = visualizer.element.getBoundingClientRect();
+    this.frameBox.style.transform = `translate(${rect.left}px, ${rect.top}px)`;
+    this.frameBox.style.width = `${rect.width}px`;
+    this.frameBox.style.height = `${rect.height}px`;
+    this.frameBox.firstChild.textContent = `frame ${visualizer.id}`;
+    this.flashBox(this.frameBox, 'flash-frame');
+  }
+
+  flashBox(box, className) {
+    box.classList.remove(className);
+    // Restart the flash when events arrive in quick succession
+    void box.offsetWidth;
+    box.classList.add(className);
+    clearTimeout(box[`${className}Timer`]);
+    box[`${className}Timer`] = setTimeout(() => box.classList.remove(className), 400);
+  }
+
+  escape(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+  }
+}
+
+// Global instance
+document.addEventListener('DOMContentLoaded', () => {
+  window.reactivityInspector = new ReactivityInspector();
+  window.toggleReactivityInspector = () => window.reactivityInspector.toggle();
+
+  if (new URLSearchParams(window.location.search).has('reactivity-inspector')) {
+    // Routes bind once the reactivity config has loaded
+    if (window.unifiedPolytopal?.isInitialized) {
+      window.reactivityInspector.enable();
+    } else {
+      window.addEventListener('polytopal:ready', () => window.reactivityInspector.enable(), { once: true });
+    }
+  }
+});
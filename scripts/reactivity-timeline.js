@@ -0,0 +1,277 @@
+/*
+ * REACTIVITY TIMELINE v1.0
+ *
+ * Declarative keyframe sequences for reactivity reactions. A timeline is a
+ * tree of groups and steps:
+ *
+ *   "timeline": {
+ *     "sequence": [
+ *       { "visual": { "chaos": { "to": 1.0 } }, "ms": 80, "ease": "expoOut" },
+ *       { "visual": { "chaos": { "to": 0.2 } }, "ms": 400 },
+ *       { "color": { "hue": { "expr": "wrap(value + 120, 0, 360)" } }, "ms": 2000 }
+ *     ],
+ *     "repeat": 1, "yoyo": true
+ *   }
+ *
+ * - "sequence" plays children one after another, "parallel" together.
+ * - Steps and groups accept "delay"; groups accept "repeat" (a count, or
+ *   "infinite" on the outermost group) and "yoyo" (odd repeats play back).
+ * - Each step's target value is resolved when the step starts, so relative
+ *   operations (mul, expr on value) build on the previous step.
+ *
+ * The timeline never touches visualizers itself: play() takes read/resolve/
+ * apply callbacks from UnifiedPolytopalSystem. Playbacks are keyed so that a
+ * later event (e.g. card:leave) can cancel what an earlier one started.
+ */
+
+class ReactivityTimeline {
+  constructor(options = {}) {
+    this.easing = options.easing || ((t) => t);
+    this.defaultDuration = options.defaultDuration || 300;
+    this.playbacks = new Set();
+    this.frame = null;
+    this.removeTicker = null;
+    this.tick = this.tick.bind(this);
+  }
+
+  // Per-parameter keyframes ({ "keyframes": [...], "repeat", "yoyo", "delay" })
+  // expressed as a single-track sequence
+  static fromKeyframes(namespace, param, operation) {
+    return {
+      sequence: operation.keyframes.map(keyframe => ({
+        [namespace]: { [param]: keyframe },
+        ms: keyframe.ms,
+        ease: keyframe.ease || operation.ease,
+        delay: keyframe.delay
+      })),
+      delay: operation.delay,
+      repeat: operation.repeat,
+      yoyo: operation.yoyo
+    };
+  }
+
+  // Legacy pingPong [high, low]: current → high → low over ms
+  static fromPingPong(namespace, param, operation) {
+    const [high, low] = operation.pingPong;
+    const half = (operation.ms || 300) / 2;
+    return ReactivityTimeline.fromKeyframes(namespace, param, {
+      keyframes: [{ to: high, ms: half }, { to: low, ms: half }],
+      ease: operation.ease
+    });
+  }
+
+  /*
+   * spec      timeline group (see header)
+   * callbacks read(namespace, param)             current value when a track starts
+   *           resolve(from, operation, ns, param) target value for a step
+   *           apply(namespace, param, value, isFinal)
+   * options   key: playbacks sharing a key belong to the same trigger
+   *           defaults: { ms, ease } inherited from the reaction block
+   */
+  play(spec, callbacks, options = {}) {
+    const defaults = {
+      ms: options.defaults?.ms ?? this.defaultDuration,
+      ease: options.defaults?.ease || 'linear'
+    };
+    const { tweens, duration } = this.flatten(spec, 0, defaults, true);
+
+    const playback = {
+      key: options.key,
+      tweens: tweens.sort((a, b) => a.start - b.start),
+      duration,
+      loop: spec.repeat === 'infinite',
+      reresolve: !spec.yoyo,
+      callbacks,
+      tracks: new Map(),
+      startTime: this.now(),
+      cycleStart: 0,
+      cancelled: false
+    };
+
+    this.playbacks.add(playback);
+    this.advance(playback, playback.startTime);
+    this.schedule();
+
+    return {
+      cancel: () => this.stop(playback)
+    };
+  }
+
+  cancel(key) {
+    this.playbacks.forEach(playback => {
+      if (playback.key === key) this.stop(playback);
+    });
+  }
+
+  // Cancel every playback whose key matches the predicate
+  cancelWhere(predicate) {
+    this.playbacks.forEach(playback => {
+      if (predicate(playback.key)) this.stop(playback);
+    });
+  }
+
+  stop(playback) {
+    playback.cancelled = true;
+    this.playbacks.delete(playback);
+  }
+
+  getActivePlaybacks() {
+    return Array.from(this.playbacks, playback => ({
+      key: playback.key,
+      elapsed: this.now() - playback.startTime,
+      duration: playback.loop ? Infinity : playback.duration
+    }));
+  }
+
+  // ===== FLATTENING =====
+
+  // Returns tweens with start offsets (ms) relative to the playback start.
+  // Finite repeats expand into copies; yoyo copies play their original backwards.
+  flatten(node, offset, defaults, isRoot = false) {
+    const delay = node.delay || 0;
+    const start = offset + delay;
+    let tweens = [];
+    let length = 0;
+
+    if (node.sequence || node.parallel) {
+      const inherited = { ms: node.ms ?? defaults.ms, ease: node.ease || defaults.ease };
+      let cursor = start;
+
+      (node.sequence || node.parallel).forEach(child => {
+        const result = this.flatten(child, node.sequence ? cursor : start, inherited);
+        tweens = tweens.concat(result.tweens);
+        if (node.sequence) {
+          cursor += result.duration;
+          length = cursor - start;
+        } else {
+          length = Math.max(length, result.duration);
+        }
+      });
+    } else {
+      ['visual', 'color', 'rot4d'].forEach(namespace => {
+        Object.entries(node[namespace] || {}).forEach(([param, operation]) => {
+          const op = typeof operation === 'object' ? operation : { to: operation };
+          const ms = op.ms ?? node.ms ?? defaults.ms;
+          tweens.push({
+            start,
+            ms,
+            ease: op.ease || node.ease || defaults.ease,
+            namespace,
+            param,
+            operation: op
+          });
+          length = Math.max(length, ms);
+        });
+      });
+    }
+
+    let repeat = node.repeat || 0;
+    if (repeat === 'infinite') {
+      if (!isRoot) {
+        console.warn('⚠️ "repeat": "infinite" is only supported on the outermost timeline group');
+      }
+      // The outermost group loops at playback level; one extra pass makes a yoyo cycle
+      repeat = node.yoyo ? 1 : 0;
+    }
+
+    // Copies share their original's resolved values when mirrored (source),
+    // plain repeats of an original resolve again
+    const iterations = [tweens];
+    for (let i = 1; i <= repeat; i++) {
+      const shift = i * length;
+      const mirrored = node.yoyo && i % 2 === 1;
+      iterations.push(tweens.map(tween => mirrored
+        ? {
+          ...tween,
+          start: start + shift + length - (tween.start - start) - tween.ms,
+          source: tween.source || tween,
+          reversed: !tween.reversed
+        }
+        : { ...tween, start: tween.start + shift }));
+    }
+
+    return { tweens: iterations.flat(), duration: delay + length * (repeat + 1) };
+  }
+
+  // ===== PLAYBACK =====
+
+  // Frames come from the shared tween scheduler when it is loaded
+  now() {
+    return window.tweenScheduler ? window.tweenScheduler.now() : performance.now();
+  }
+
+  schedule() {
+    if (this.playbacks.size === 0) {
+      if (this.removeTicker) this.removeTicker();
+      this.removeTicker = null;
+      return;
+    }
+
+    if (window.tweenScheduler) {
+      // Dropped after an error: the next schedule() registers again
+      this.removeTicker = this.removeTicker || window.tweenScheduler.addTicker(this.tick, () => { this.removeTicker = null; });
+    } else if (!this.frame) {
+      this.frame = requestAnimationFrame(this.tick);
+    }
+  }
+
+  tick(now = this.now()) {
+    this.frame = null;
+    this.playbacks.forEach(playback => this.advance(playback, now));
+    this.schedule();
+  }
+
+  advance(playback, now) {
+    if (playback.cancelled) return;
+
+    let local = now - playback.startTime - playback.cycleStart;
+
+    // Looping playbacks restart once every tween of the cycle has finished
+    if (playback.loop && local >= playback.duration && playback.duration > 0) {
+      this.render(playback, playback.duration);
+      playback.cycleStart += playback.duration * Math.floor(local / playback.duration);
+      local = now - playback.startTime - playback.cycleStart;
+      playback.tweens.forEach(tween => {
+        tween.done = false;
+        if (playback.reresolve) tween.resolved = false;
+      });
+    }
+
+    this.render(playback, Math.min(local, playback.duration));
+
+    if (!playback.loop && local >= playback.duration) {
+      this.playbacks.delete(playback);
+    }
+  }
+
+  render(playback, local) {
+    const { callbacks } = playback;
+
+    playback.tweens.forEach(tween => {
+      if (tween.done || tween.start > local) return;
+
+      const trackKey = `${tween.namespace}.${tween.param}`;
+      if (!playback.tracks.has(trackKey)) {
+        playback.tracks.set(trackKey, callbacks.read(tween.namespace, tween.param));
+      }
+
+      if (!tween.source && !tween.resolved) {
+        tween.from = playback.tracks.get(trackKey);
+        tween.to = callbacks.resolve(tween.from, tween.operation, tween.namespace, tween.param);
+        tween.resolved = true;
+      }
+
+      const progress = tween.ms > 0 ? Math.min((local - tween.start) / tween.ms, 1) : 1;
+      const source = tween.source || tween;
+      const eased = this.easing(tween.reversed ? 1 - progress : progress, tween.ease);
+      const value = source.from + (source.to - source.from) * eased;
+
+      playback.tracks.set(trackKey, value);
+      tween.done = progress >= 1;
+      callbacks.apply(tween.namespace, tween.param, value, tween.done);
+    });
+  }
+}
+
+// Export for global use
+window.ReactivityTimeline = ReactivityTimeline;
@@ -0,0 +1,349 @@
+/*
+ * TWEEN SCHEDULER v1.0
+ *
+ * One shared scheduler for every parameter animation on the page, replacing
+ * the per-feature setTimeout/setInterval/RAF loops. Tweens are keyed by the
+ * parameter they animate ("hero-polychora:visual.speed"), so two features
+ * animating the same parameter resolve the conflict instead of fighting:
+ *
+ *   replace   (default) cancel whatever animates the key and start from its
+ *             current value
+ *   additive  animate a delta on top of the other tweens on the key
+ *   queue     start when the tweens already on the key have finished
+ *
+ * Frames come from UnifiedExperienceEngine's update loop when it is running
+ * (it calls tick() every frame); otherwise the scheduler runs its own RAF
+ * loop while there is work. Everything pauses while the tab is hidden.
+ *
+ * window.tweenScheduler.getActiveTweens() lists what is animating right now.
+ */
+
+class TweenScheduler {
+  constructor() {
+    this.channels = new Map();
+    this.tickers = new Map(); // callback -> onDrop
+    this.nextId = 1;
+    this.targetIds = new WeakMap();
+
+    this.externalDriver = null;
+    this.rafId = null;
+    this.paused = typeof document !== 'undefined' && document.hidden;
+    this.pausedAt = this.paused ? performance.now() : null;
+    this.hiddenTime = 0;
+
+    this.tick = this.tick.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  /*
+   * options:
+   *   key        parameter being animated (required)
+   *   to         target value (required)
+   *   from       start value; defaults to the key's current animated value,
+   *              then read()
+   *   read       () => number, current value when nothing animates the key
+   *   duration   ms (default 300), delay ms
+   *   easing     EasingLibrary name ("expoOut", "spring(180, 12)") or
+   *              (t) => eased t (default linear)
+   *   mode       'replace' | 'additive' | 'queue'
+   *   interval   minimum ms between apply() calls (the final value always
+   *              applies) - for targets that are expensive to update
+   *   apply      (value, isFinal) => void
+   *   owner      label shown by getActiveTweens()
+   *   onComplete () => void
+   *
+   * Returns { id, cancel(), finished } where finished resolves with true on
+   * completion and false when cancelled.
+   */
+  to(options) {
+    const channel = this.getChannel(options.key, options.read);
+    const mode = options.mode || 'replace';
+
+    let resolveFinished;
+    const tween = {
+      id: this.nextId++,
+      key: options.key,
+      owner: options.owner || 'anonymous',
+      mode,
+      from: options.from,
+      to: options.to,
+      duration: Math.max(options.duration ?? 300, 0),
+      delay: options.delay || 0,
+      easing: this.resolveEasing(options.easing),
+      interval: options.interval || 0,
+      apply: options.apply || (() => {}),
+      onComplete: options.onComplete,
+      startTime: null,
+      lastApply: -Infinity,
+      value: null,
+      finished: new Promise(resolve => { resolveFinished = resolve; })
+    };
+    tween.settle = resolveFinished;
+
+    if (mode === 'queue' && (channel.active.length > 0 || channel.queue.length > 0)) {
+      channel.queue.push(tween);
+    } else {
+      if (mode === 'replace') this.clearChannel(channel);
+      this.startTween(channel, tween, performance.now());
+    }
+
+    this.wake();
+
+    return {
+      id: tween.id,
+      cancel: () => this.cancelTween(tween),
+      finished: tween.finished
+    };
+  }
+
+  // Cancel every tween animating a key (e.g. a timeline taking ownership)
+  cancel(key) {
+    const channel = this.channels.get(key);
+    if (channel) this.clearChannel(channel);
+  }
+
+  // Current animated value of a key, or undefined when it is not animated
+  getValue(key) {
+    const channel = this.channels.get(key);
+    return channel ? this.composite(channel) : undefined;
+  }
+
+  resolveEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    if (easing && window.EasingLibrary) return window.EasingLibrary.get(easing);
+    return t => t;
+  }
+
+  // The one key format for every tween: "<target>:<property>". Visualizer
+  // parameters pass the visualizer id and "<namespace>.<param>"; DOM
+  // elements and other objects without ids get a stable generated prefix.
+  keyFor(target, property) {
+    if (typeof target === 'string') return `${target}:${property}`;
+    if (!this.targetIds.has(target)) {
+      this.targetIds.set(target, `target-${this.nextId++}`);
+    }
+    return `${this.targetIds.get(target)}:${property}`;
+  }
+
+  // Clock that stands still while the tab is hidden
+  now() {
+    return (this.paused ? this.pausedAt : performance.now()) - this.hiddenTime;
+  }
+
+  // Per-frame callbacks that are not tweens (e.g. ReactivityTimeline).
+  // They receive now() and stop with the tweens while the tab is hidden.
+  // A ticker that throws is removed and onDrop(error) tells its owner, so
+  // the owner can register again. Returns a function that removes the ticker.
+  addTicker(callback, onDrop = null) {
+    this.tickers.set(callback, onDrop);
+    this.wake();
+    return () => this.tickers.delete(callback);
+  }
+
+  getActiveTweens() {
+    const now = this.paused ? this.pausedAt : performance.now();
+    const tweens = [];
+
+    this.channels.forEach(channel => {
+      channel.active.forEach(tween => tweens.push({
+        id: tween.id,
+        key: tween.key,
+        owner: tween.owner,
+        mode: tween.mode,
+        from: tween.from,
+        to: tween.to,
+        value: tween.value,
+        progress: tween.duration > 0 ? Math.min(Math.max((now - tween.startTime) / tween.duration, 0), 1) : 1,
+        state: 'running'
+      }));
+      channel.queue.forEach(tween => tweens.push({
+        id: tween.id,
+        key: tween.key,
+        owner: tween.owner,
+        mode: tween.mode,
+        to: tween.to,
+        state: 'queued'
+      }));
+    });
+
+    return tweens;
+  }
+
+  // ===== LOOP =====
+
+  // UnifiedExperienceEngine calls attach() when its loop starts so the
+  // scheduler stops running a loop of its own
+  attach(driver) {
+    this.externalDriver = driver;
+    if (this.rafId) {
+      cancelAnimationFrame(this.rafId);
+      this.rafId = null;
+    }
+  }
+
+  detach(driver) {
+    if (this.externalDriver === driver) {
+      this.externalDriver = null;
+      this.wake();
+    }
+  }
+
+  wake() {
+    if (this.externalDriver || this.rafId || this.paused || !this.hasWork()) return;
+    this.rafId = requestAnimationFrame((now) => {
+      this.rafId = null;
+      this.tick(now);
+      this.wake();
+    });
+  }
+
+  hasWork() {
+    return this.channels.size > 0 || this.tickers.size > 0;
+  }
+
+  tick(now = performance.now()) {
+    if (this.paused) return;
+
+    this.channels.forEach((channel, key) => {
+      this.advanceChannel(channel, now);
+      if (channel.active.length === 0 && channel.queue.length === 0) {
+        this.channels.delete(key);
+      }
+    });
+
+    const clock = now - this.hiddenTime;
+    this.tickers.forEach((onDrop, callback) => {
+      try {
+        callback(clock);
+      } catch (error) {
+        console.error('Tween ticker failed:', error);
+        this.tickers.delete(callback);
+        if (onDrop) onDrop(error);
+      }
+    });
+  }
+
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.paused = true;
+      this.pausedAt = performance.now();
+      return;
+    }
+
+    // Shift every running tween by the hidden time so it resumes in place
+    const hiddenFor = performance.now() - (this.pausedAt ?? performance.now());
+    this.channels.forEach(channel => {
+      channel.active.forEach(tween => { tween.startTime += hiddenFor; });
+    });
+    this.hiddenTime += hiddenFor;
+    this.paused = false;
+    this.pausedAt = null;
+    this.wake();
+  }
+
+  // ===== CHANNELS =====
+
+  getChannel(key, read) {
+    if (!this.channels.has(key)) {
+      this.channels.set(key, { key, read, base: null, active: [], queue: [] });
+    }
+    const channel = this.channels.get(key);
+    if (read) channel.read = read;
+    return channel;
+  }
+
+  startTween(channel, tween, now) {
+    const current = this.composite(channel);
+
+    if (tween.from === undefined) {
+      tween.from = current ?? (channel.read ? channel.read() : tween.to);
+    }
+    if (channel.base === null) {
+      channel.base = tween.mode === 'additive' ? tween.from : current ?? tween.from;
+    }
+
+    tween.startTime = now + tween.delay;
+    channel.active.push(tween);
+  }
+
+  advanceChannel(channel, now) {
+    const finished = [];
+    let apply = null;
+    let isFinal = true;
+
+    channel.active.forEach(tween => {
+      if (now < tween.startTime) {
+        isFinal = false;
+        return;
+      }
+
+      const progress = tween.duration > 0 ? Math.min((now - tween.startTime) / tween.duration, 1) : 1;
+      const eased = tween.easing(progress);
+
+      if (tween.mode === 'additive') {
+        tween.value = (tween.to - tween.from) * eased;
+      } else {
+        tween.value = tween.from + (tween.to - tween.from) * eased;
+        channel.base = tween.value;
+      }
+
+      if (progress >= 1) finished.push(tween);
+      else isFinal = false;
+      apply = tween;
+    });
+
+    if (!apply) return;
+
+    const value = this.composite(channel);
+    const due = isFinal || now - apply.lastApply >= apply.interval;
+    if (due) {
+      apply.lastApply = now;
+      apply.apply(value, isFinal && channel.queue.length === 0);
+    }
+
+    finished.forEach(tween => {
+      // Completed additive deltas become part of the base value
+      if (tween.mode === 'additive') channel.base += tween.value;
+      this.removeTween(channel, tween);
+      if (tween.onComplete) tween.onComplete();
+      tween.settle(true);
+    });
+
+    if (channel.active.length === 0 && channel.queue.length > 0) {
+      this.startTween(channel, channel.queue.shift(), now);
+    }
+  }
+
+  // Base value plus every running additive delta
+  composite(channel) {
+    if (channel.base === null) return undefined;
+    return channel.active.reduce((value, tween) =>
+      tween.mode === 'additive' && tween.value !== null ? value + tween.value : value, channel.base);
+  }
+
+  removeTween(channel, tween) {
+    channel.active = channel.active.filter(t => t !== tween);
+    channel.queue = channel.queue.filter(t => t !== tween);
+  }
+
+  clearChannel(channel) {
+    // Fold running additive deltas in so the value does not jump
+    channel.base = this.composite(channel) ?? null;
+    channel.active.concat(channel.queue).forEach(tween => tween.settle(false));
+    channel.active = [];
+    channel.queue = [];
+  }
+
+  cancelTween(tween) {
+    const channel = this.channels.get(tween.key);
+    if (!channel) return;
+    if (tween.mode === 'additive' && tween.value !== null) channel.base += tween.value;
+    this.removeTween(channel, tween);
+    tween.settle(false);
+  }
+}
+
+// Global instance
+window.TweenScheduler = TweenScheduler;
+window.tweenScheduler = window.tweenScheduler || new TweenScheduler();
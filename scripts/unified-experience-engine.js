@@ -559,11 +559,22 @@ class UnifiedExperienceEngine {
       // Update all active visualizers
       this.updateActiveVisualizers();
       
+      // Advance shared parameter tweens
+      if (window.tweenScheduler) {
+        window.tweenScheduler.tick(currentTime);
+      }
+      
       // Continue the loop
       this.rafId = requestAnimationFrame(update);
     };
     
     this.rafId = requestAnimationFrame(update);
+    
+    // The shared tween scheduler rides on this loop instead of its own
+    if (window.tweenScheduler) {
+      window.tweenScheduler.attach(this);
+    }
+    
     console.log('▶️ Unified Experience Engine - Update loop started');
   }
   
@@ -616,6 +627,10 @@ class UnifiedExperienceEngine {
       clearInterval(this.performanceCheckInterval);
     }
     
+    if (window.tweenScheduler) {
+      window.tweenScheduler.detach(this);
+    }
+    
     console.log('⏹️ Unified Experience Engine - Stopped');
   }
   
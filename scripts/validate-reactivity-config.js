@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/*
+ * REACTIVITY CONFIG CHECK
+ *
+ * Headless pre-deploy check for reactivity configuration files.
+ * Validates every file given on the command line (or every config in
+ * assets/reactivity/ when none are given) against reactivity.schema.json.
+ * Manifests are additionally composed page by page (systems + extends
+ * chains + routes) so cross-file references are checked as the browser
+ * will see them.
+ *
+ * Usage: node scripts/validate-reactivity-config.js [config.json ...]
+ * Exits with status 1 when any file fails validation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ReactivityConfigValidator = require('./reactivity-config-validator.js');
+const ReactivityConfigLoader = require('./reactivity-config-loader.js');
+const ReactivityExpression = require('./reactivity-expression.js');
+const EasingLibrary = require('./easing-library.js');
+
+const REACTIVITY_DIR = path.join(__dirname, '..', 'assets', 'reactivity');
+const SCHEMA_FILE = path.join(REACTIVITY_DIR, 'reactivity.schema.json');
+
+function findConfigFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findConfigFiles(fullPath);
+    if (!entry.name.endsWith('.json') || entry.name.endsWith('.schema.json')) return [];
+    return [fullPath];
+  });
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function isManifest(file) {
+  return path.basename(file) === 'manifest.json';
+}
+
+function report(label, result) {
+  if (result.valid) {
+    console.log(`✅ ${label}`);
+    return true;
+  }
+
+  console.error(`❌ ${label} - ${result.errors.length} error(s)`);
+  console.error(ReactivityConfigValidator.formatErrors(result.errors));
+  return false;
+}
+
+async function validatePages(validator, manifestFile) {
+  const loader = new ReactivityConfigLoader({ readJson: async url => readJson(url) });
+  const pages = Object.keys(readJson(manifestFile).pages || { default: null });
+  let failures = 0;
+
+  for (const page of pages) {
+    const label = `${path.relative(process.cwd(), manifestFile)} [page: ${page}]`;
+    try {
+      const { config } = await loader.loadForPage(manifestFile, page);
+      if (!report(label, validator.validate(config))) failures++;
+    } catch (error) {
+      report(label, { valid: false, errors: [{ path: '$', message: `could not be composed: ${error.message}` }] });
+      failures++;
+    }
+  }
+
+  return { checked: pages.length, failures };
+}
+
+async function main(args) {
+  const validator = new ReactivityConfigValidator(readJson(SCHEMA_FILE))
+    .registerFormat('reactivity-expression', ReactivityExpression.check)
+    .registerFormat('easing', EasingLibrary.check);
+  const files = args.length > 0 ? args.map(file => path.resolve(file)) : findConfigFiles(REACTIVITY_DIR);
+
+  let checked = 0;
+  let failures = 0;
+
+  for (const file of files) {
+    const label = path.relative(process.cwd(), file);
+    let config;
+
+    checked++;
+    try {
+      config = readJson(file);
+    } catch (error) {
+      report(label, { valid: false, errors: [{ path: '$', message: `could not be parsed: ${error.message}` }] });
+      failures++;
+      continue;
+    }
+
+    // A file with both systems and routes is checked on its own; others may
+    // rely on systems defined elsewhere, so their references are checked on
+    // the composed page configs below.
+    const standalone = Boolean(config && config.systems && config.routes);
+    const result = isManifest(file)
+      ? validator.validate(config, { definition: 'manifest' })
+      : validator.validate(config, { references: standalone });
+
+    if (!report(label, result)) failures++;
+  }
+
+  for (const manifest of files.filter(isManifest)) {
+    const pages = await validatePages(validator, manifest);
+    checked += pages.checked;
+    failures += pages.failures;
+  }
+
+  console.log(`\n${checked - failures}/${checked} reactivity check(s) passed`);
+  return failures === 0 ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
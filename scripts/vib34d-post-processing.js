@@ -0,0 +1,360 @@
+/*
+ * VIB34D POST-PROCESSING v1.0
+ *
+ * Framebuffer pass chain run by VIB34DRenderer after its system shader.
+ *
+ *   const post = new VIB34DPostProcessor(gl, { passes: ['bloom', 'vignette'] });
+ *   if (post.begin(width, height, parameters)) { ...draw the scene... }
+ *   post.end(parameters, time);
+ *
+ * - Passes run in the given order (default: bloom, chromaticAberration,
+ *   scanlines, grain, vignette). Each reads the renderer's parameter object (bloom,
+ *   chromaticShift, scanlines, grain, vignette are 0-1 amounts, shaped by
+ *   intensity, chaos, morphFactor and gridDensity), so the effects follow the
+ *   visualizer's own content rather than sitting on top of the page.
+ * - A pass with no amount is skipped; with none left the scene goes straight
+ *   to the canvas and no framebuffer is touched.
+ * - Shaders are GLSL ES 3.00; options.port(source, stage) converts them for
+ *   WebGL1 contexts (VIB34DRenderer.toWebGL1).
+ */
+
+class VIB34DPostProcessor {
+  static ORDER = ['bloom', 'chromaticAberration', 'scanlines', 'grain', 'vignette'];
+
+  /*
+   * Pass definitions. amount(p) > 0 enables the pass for a frame and is
+   * passed to every step as u_amount. Steps with an id render into their own
+   * (optionally scaled) target that later steps of the pass can sample; the
+   * step without an id is the pass output. Texture refs: 'input' is the
+   * pass input (the scene or the previous pass).
+   */
+  static PASSES = {
+    bloom: {
+      amount: p => (p.bloom || 0) * (0.5 + p.intensity * 0.5),
+      steps: [
+        { id: 'bright', fragment: 'bright', scale: 0.5, uniforms: p => ({ u_threshold: 0.75 - p.intensity * 0.35 }) },
+        { id: 'blurX', fragment: 'blur', scale: 0.5, textures: { u_texture: 'bright' }, uniforms: p => ({ u_direction: [1 + p.morphFactor, 0] }) },
+        { id: 'blurY', fragment: 'blur', scale: 0.5, textures: { u_texture: 'blurX' }, uniforms: p => ({ u_direction: [0, 1 + p.morphFactor] }) },
+        { fragment: 'bloomCombine', textures: { u_texture: 'input', u_bloom: 'blurY' } }
+      ]
+    },
+    chromaticAberration: {
+      amount: p => (p.chromaticShift || 0) * (1 + p.chaos),
+      steps: [{ fragment: 'chromatic' }]
+    },
+    scanlines: {
+      amount: p => p.scanlines || 0,
+      steps: [{ fragment: 'scanlines', uniforms: p => ({ u_spacing: Math.max(2, 6 - p.gridDensity / 20) }) }]
+    },
+    grain: {
+      amount: p => (p.grain || 0) * (0.6 + p.chaos * 0.8),
+      steps: [{ fragment: 'grain' }]
+    },
+    vignette: {
+      amount: p => (p.vignette || 0) * (0.5 + p.intensity * 0.5),
+      steps: [{ fragment: 'vignette' }]
+    }
+  };
+
+  // Fragment bodies; each gets the common header (u_texture, u_resolution, u_amount, u_time, v_uv)
+  static FRAGMENTS = {
+    bright: `
+      uniform float u_threshold;
+
+      void main() {
+        vec4 color = texture(u_texture, v_uv);
+        float luma = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+        float keep = smoothstep(u_threshold, u_threshold + 0.25, luma);
+        fragColor = vec4(color.rgb * keep, color.a * keep);
+      }
+    `,
+    // 9-tap gaussian using linear filtering between texels
+    blur: `
+      uniform vec2 u_direction;
+
+      void main() {
+        vec2 texel = u_direction / u_resolution;
+        vec4 sum = texture(u_texture, v_uv) * 0.227027;
+        sum += (texture(u_texture, v_uv + texel * 1.384615) + texture(u_texture, v_uv - texel * 1.384615)) * 0.316216;
+        sum += (texture(u_texture, v_uv + texel * 3.230769) + texture(u_texture, v_uv - texel * 3.230769)) * 0.070270;
+        fragColor = sum;
+      }
+    `,
+    bloomCombine: `
+      uniform sampler2D u_bloom;
+
+      void main() {
+        vec4 color = texture(u_texture, v_uv);
+        vec4 glow = texture(u_bloom, v_uv) * u_amount * 1.5;
+        fragColor = vec4(color.rgb + glow.rgb, min(color.a + glow.a, 1.0));
+      }
+    `,
+    chromatic: `
+      void main() {
+        // Radial split that drifts slightly over time
+        vec2 offset = (v_uv - 0.5) * u_amount * 0.02 +
+          vec2(sin(u_time * 2.3), cos(u_time * 1.7)) * u_amount * 0.002;
+        vec4 red = texture(u_texture, v_uv + offset);
+        vec4 color = texture(u_texture, v_uv);
+        vec4 blue = texture(u_texture, v_uv - offset);
+        fragColor = vec4(red.r, color.g, blue.b, max(color.a, max(red.a, blue.a)));
+      }
+    `,
+    scanlines: `
+      uniform float u_spacing;
+
+      void main() {
+        vec4 color = texture(u_texture, v_uv);
+        float line = sin(v_uv.y * u_resolution.y * 3.14159 / u_spacing + u_time * 5.0) * 0.5 + 0.5;
+        fragColor = vec4(color.rgb * (1.0 - u_amount * 0.5 * line), color.a);
+      }
+    `,
+    grain: `
+      void main() {
+        vec4 color = texture(u_texture, v_uv);
+        float noise = fract(sin(dot(v_uv * u_resolution + fract(u_time) * 100.0, vec2(12.9898, 78.233))) * 43758.5453);
+        fragColor = vec4(color.rgb + (noise - 0.5) * u_amount * 0.25 * color.a, color.a);
+      }
+    `,
+    vignette: `
+      void main() {
+        vec4 color = texture(u_texture, v_uv);
+        float falloff = 1.0 - u_amount * smoothstep(0.4, 1.0, length(v_uv - 0.5) * 1.4142);
+        fragColor = color * falloff;
+      }
+    `
+  };
+
+  static VERTEX = `#version 300 es
+      precision highp float;
+
+      in vec2 a_position;
+      out vec2 v_uv;
+
+      void main() {
+        v_uv = a_position * 0.5 + 0.5;
+        gl_Position = vec4(a_position, 0.0, 1.0);
+      }
+    `;
+
+  static getFragmentSource(name) {
+    return `#version 300 es
+      precision highp float;
+
+      uniform sampler2D u_texture;
+      uniform vec2 u_resolution;
+      uniform float u_amount;
+      uniform float u_time;
+
+      in vec2 v_uv;
+      out vec4 fragColor;
+      ${VIB34DPostProcessor.FRAGMENTS[name]}`;
+  }
+
+  /*
+   * options:
+   *   passes  pass names, run in the given order (default: ORDER)
+   *   port    (source, stage) => source for non-WebGL2 contexts
+   */
+  constructor(gl, options = {}) {
+    const passes = options.passes || VIB34DPostProcessor.ORDER;
+    const unknown = passes.filter(name => !VIB34DPostProcessor.PASSES[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown post-processing pass "${unknown[0]}" (use ${VIB34DPostProcessor.ORDER.join(', ')})`);
+    }
+
+    this.gl = gl;
+    this.passes = Array.from(new Set(passes));
+    this.port = options.port || null;
+    this.programs = new Map();
+    this.targets = new Map();
+    this.active = [];
+
+    this.buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+  }
+
+  // Passes with something to do for these parameters, as [name, amount]
+  getActivePasses(parameters) {
+    return this.passes
+      .map(name => [name, VIB34DPostProcessor.PASSES[name].amount(parameters)])
+      .filter(([, amount]) => amount > 0.001);
+  }
+
+  // Binds the scene target when any pass is active; false means draw to the canvas
+  begin(width, height, parameters) {
+    this.active = width > 0 && height > 0 ? this.getActivePasses(parameters) : [];
+    if (this.active.length === 0) return false;
+
+    const gl = this.gl;
+    const scene = this.getTarget('scene', width, height);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, scene.framebuffer);
+    gl.viewport(0, 0, width, height);
+    return true;
+  }
+
+  // Runs the active passes on the scene target, the last one into the canvas
+  end(parameters, time) {
+    const gl = this.gl;
+    const scene = this.targets.get('scene');
+    let input = scene;
+
+    gl.disable(gl.BLEND);
+    this.active.forEach(([name, amount], passIndex) => {
+      const steps = VIB34DPostProcessor.PASSES[name].steps;
+      const named = { input };
+
+      steps.forEach(step => {
+        let output;
+        if (step.id) {
+          const scale = step.scale || 1;
+          output = this.getTarget(`${name}.${step.id}`,
+            Math.max(Math.round(scene.width * scale), 1), Math.max(Math.round(scene.height * scale), 1));
+          named[step.id] = output;
+        } else if (passIndex < this.active.length - 1) {
+          // Ping-pong between two full-size targets, never the one being read
+          output = this.getTarget(input === this.targets.get('ping') ? 'pong' : 'ping', scene.width, scene.height);
+        } else {
+          output = null; // The canvas
+        }
+
+        const textures = {};
+        Object.entries(step.textures || { u_texture: 'input' }).forEach(([uniform, ref]) => {
+          textures[uniform] = named[ref];
+        });
+        this.draw(step, textures, output, {
+          u_resolution: output ? [output.width, output.height] : [scene.width, scene.height],
+          u_amount: amount,
+          u_time: time,
+          ...(step.uniforms ? step.uniforms(parameters) : {})
+        });
+
+        if (!step.id) input = output;
+      });
+    });
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.enable(gl.BLEND);
+  }
+
+  draw(step, textures, output, uniforms) {
+    const gl = this.gl;
+    const entry = this.getProgram(step.fragment);
+    const [width, height] = uniforms.u_resolution;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, output ? output.framebuffer : null);
+    gl.viewport(0, 0, width, height);
+    gl.useProgram(entry.program);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.enableVertexAttribArray(entry.position);
+    gl.vertexAttribPointer(entry.position, 2, gl.FLOAT, false, 0, 0);
+
+    Object.entries(textures).forEach(([name, target], unit) => {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, target.texture);
+      gl.uniform1i(this.getLocation(entry, name), unit);
+    });
+    gl.activeTexture(gl.TEXTURE0);
+
+    Object.entries(uniforms).forEach(([name, value]) => {
+      const location = this.getLocation(entry, name);
+      if (Array.isArray(value)) gl.uniform2f(location, value[0], value[1]);
+      else gl.uniform1f(location, value);
+    });
+
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  }
+
+  // ===== RESOURCES =====
+
+  // Compiles every program the configured passes use (throws on shader errors)
+  compile() {
+    this.passes.forEach(name => {
+      VIB34DPostProcessor.PASSES[name].steps.forEach(step => this.getProgram(step.fragment));
+    });
+    return this;
+  }
+
+  getProgram(fragment) {
+    if (this.programs.has(fragment)) return this.programs.get(fragment);
+
+    const gl = this.gl;
+    const port = (source, stage) => (this.port ? this.port(source, stage) : source);
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const error = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new Error(`Post-processing shader "${fragment}" failed to compile: ${error}`);
+      }
+      return shader;
+    };
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, port(VIB34DPostProcessor.VERTEX, 'vertex')));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, port(VIB34DPostProcessor.getFragmentSource(fragment), 'fragment')));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      const error = gl.getProgramInfoLog(program);
+      gl.deleteProgram(program);
+      throw new Error(`Post-processing program "${fragment}" failed to link: ${error}`);
+    }
+
+    const entry = { program, position: gl.getAttribLocation(program, 'a_position'), locations: new Map() };
+    this.programs.set(fragment, entry);
+    return entry;
+  }
+
+  getLocation(entry, name) {
+    if (!entry.locations.has(name)) {
+      entry.locations.set(name, this.gl.getUniformLocation(entry.program, name));
+    }
+    return entry.locations.get(name);
+  }
+
+  // Colour target of the given size (created or resized on demand)
+  getTarget(key, width, height) {
+    const gl = this.gl;
+    let target = this.targets.get(key);
+
+    if (!target) {
+      target = { texture: gl.createTexture(), framebuffer: gl.createFramebuffer(), width: 0, height: 0 };
+      gl.bindTexture(gl.TEXTURE_2D, target.texture);
+      // Linear, clamped and without mipmaps - valid for NPOT sizes on WebGL1 too
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      this.targets.set(key, target);
+    }
+
+    if (target.width !== width || target.height !== height) {
+      gl.bindTexture(gl.TEXTURE_2D, target.texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+      target.width = width;
+      target.height = height;
+    }
+    return target;
+  }
+
+  destroy() {
+    const gl = this.gl;
+    this.programs.forEach(entry => gl.deleteProgram(entry.program));
+    this.targets.forEach(target => {
+      gl.deleteFramebuffer(target.framebuffer);
+      gl.deleteTexture(target.texture);
+    });
+    gl.deleteBuffer(this.buffer);
+    this.programs.clear();
+    this.targets.clear();
+  }
+}
+
+// Export for global use
+window.VIB34DPostProcessor = VIB34DPostProcessor;
@@ -10,7 +10,6 @@ class VisualizerParameterAdapter {
   constructor() {
     this.visualizers = new Map();
     this.parameterMappings = this.createParameterMappings();
-    this.activeTransitions = new Map();
     this.performanceMonitor = new PerformanceMonitor();
     
     this.initializeAdapter();
@@ -129,6 +128,7 @@ class VisualizerParameterAdapter {
       currentParams: new Map(),
       lastUpdate: 0,
       queuedUpdates: new Map(),
+      transitions: new Set(),
       isTransitioning: false
     };
     
@@ -172,7 +172,7 @@ class VisualizerParameterAdapter {
     if (options.immediate) {
       return this.applyImmediateUpdate(visualizer, vib34dParam, transformedValue);
     } else if (options.transition) {
-      return this.applyTransitionUpdate(visualizer, vib34dParam, transformedValue, options.transition);
+      return this.applyTransitionUpdate(visualizer, vib34dParam, transformedValue, options.transition, `${namespace}.${param}`);
     } else {
       return this.applyQueuedUpdate(visualizer, vib34dParam, transformedValue);
     }
@@ -189,45 +189,31 @@ class VisualizerParameterAdapter {
     return false;
   }
 
-  applyTransitionUpdate(visualizer, param, targetValue, transition) {
-    const transitionId = `${visualizer.id}_${param}`;
-    const currentValue = visualizer.currentParams.get(param) || 0;
-    
-    // Cancel existing transition for this parameter
-    if (this.activeTransitions.has(transitionId)) {
-      clearInterval(this.activeTransitions.get(transitionId).interval);
+  applyTransitionUpdate(visualizer, param, targetValue, transition, property) {
+    if (!window.tweenScheduler) {
+      return this.applyImmediateUpdate(visualizer, param, targetValue);
     }
     
-    const duration = transition.duration || 500;
-    const easing = transition.easing || 'linear';
-    const steps = Math.max(duration / 16, 10); // ~60fps, minimum 10 steps
-    const stepDuration = duration / steps;
-    
-    let currentStep = 0;
-    
-    const transitionData = {
-      interval: setInterval(() => {
-        const progress = Math.min(currentStep / steps, 1);
-        const easedProgress = this.applyEasing(progress, easing);
-        const interpolatedValue = currentValue + (targetValue - currentValue) * easedProgress;
-        
-        this.applyImmediateUpdate(visualizer, param, interpolatedValue);
-        
-        currentStep++;
-        if (progress >= 1) {
-          clearInterval(transitionData.interval);
-          this.activeTransitions.delete(transitionId);
-          visualizer.isTransitioning = false;
-        }
-      }, stepDuration),
-      startValue: currentValue,
-      targetValue,
-      progress: 0
-    };
-    
-    this.activeTransitions.set(transitionId, transitionData);
+    // The scheduler replaces any running tween on this parameter
+    const tween = window.tweenScheduler.to({
+      key: window.tweenScheduler.keyFor(visualizer.id, property),
+      read: () => visualizer.currentParams.get(param) || 0,
+      to: targetValue,
+      duration: transition.duration || 500,
+      easing: transition.easing || 'linear',
+      mode: transition.mode,
+      owner: 'visualizer-adapter',
+      apply: (value) => this.applyImmediateUpdate(visualizer, param, value)
+    });
+    visualizer.transitions.add(tween);
     visualizer.isTransitioning = true;
     
+    // Settles on completion and when cancelled or replaced
+    tween.finished.then(() => {
+      visualizer.transitions.delete(tween);
+      visualizer.isTransitioning = visualizer.transitions.size > 0;
+    });
+    
     return true;
   }
 
@@ -356,36 +342,6 @@ class VisualizerParameterAdapter {
     return geometries[Math.floor(index) % geometries.length] || 'TETRAHEDRON';
   }
 
-  applyEasing(t, easing) {
-    switch (easing) {
-      case 'expoOut':
-        return t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
-      case 'expoIn':
-        return t === 0 ? 0 : Math.pow(2, 10 * (t - 1));
-      case 'backOut':
-        const c1 = 1.70158;
-        const c3 = c1 + 1;
-        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
-      case 'bounceOut':
-        const n1 = 7.5625;
-        const d1 = 2.75;
-        if (t < 1 / d1) {
-          return n1 * t * t;
-        } else if (t < 2 / d1) {
-          return n1 * (t -= 1.5 / d1) * t + 0.75;
-        } else if (t < 2.5 / d1) {
-          return n1 * (t -= 2.25 / d1) * t + 0.9375;
-        } else {
-          return n1 * (t -= 2.625 / d1) * t + 0.984375;
-        }
-      case 'elastic':
-        const c4 = (2 * Math.PI) / 3;
-        return t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
-      default:
-        return t; // linear
-    }
-  }
-
   setupVisualizerObserver() {
     // Watch for new visualizers being added to the DOM
     const observer = new MutationObserver((mutations) => {
@@ -453,7 +409,7 @@ class VisualizerParameterAdapter {
   getPerformanceMetrics() {
     return {
       activeVisualizers: this.visualizers.size,
-      activeTransitions: this.activeTransitions.size,
+      activeTransitions: Array.from(this.visualizers.values()).filter(v => v.isTransitioning).length,
       averageUpdateTime: this.performanceMonitor.getAverageUpdateTime(),
       memoryUsage: this.performanceMonitor.getMemoryUsage()
     };
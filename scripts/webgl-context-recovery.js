@@ -0,0 +1,144 @@
+/*
+ * WEBGL CONTEXT RECOVERY v1.0
+ *
+ * Uniform webglcontextlost / webglcontextrestored handling for visualizers.
+ *
+ *   this.recovery = new WebGLContextRecovery(canvas, {
+ *     gl,
+ *     onLost: () => ...,       stop drawing - programs, buffers and locations are gone
+ *     onRestored: () => ...,   rebuild them on the same context (may return a promise)
+ *     fallbacks: () => [{ element, hue }]
+ *   });
+ *   if (this.recovery?.isLost) return;   render loops skip frames during the outage
+ *
+ * - The lost event is cancelled, otherwise the browser never restores the context.
+ * - During the outage each fallback element (default: the canvas) shows a
+ *   static gradient in its hue instead of going blank; it is removed once
+ *   onRestored has finished.
+ * - Debug hook, also usable headlessly:
+ *     WebGLContextRecovery.simulateLoss(500)   every tracked context, restored after 500ms
+ *   Without WEBGL_lose_context the events are dispatched by hand, so the
+ *   rebuild path still runs (on a context that never really went away).
+ */
+
+class WebGLContextRecovery {
+  static instances = new Set();
+
+  /*
+   * options:
+   *   gl          the canvas's context (used by simulateLoss)
+   *   onLost      called once per outage
+   *   onRestored  called when the context is back; parameter state is the caller's
+   *   fallbacks   () => [{ element, hue }] shown during the outage
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.gl = options.gl || null;
+    this.onLost = options.onLost || null;
+    this.onRestored = options.onRestored || null;
+    this.fallbacks = options.fallbacks || (() => [{ element: canvas, hue: 200 }]);
+
+    this.isLost = false;
+    this.losses = 0;
+    this.shown = new Map(); // fallback element -> its own inline background
+    this.settle = null;
+
+    this.handleLost = (event) => {
+      event.preventDefault();
+      if (this.isLost) return;
+
+      this.isLost = true;
+      this.losses++;
+      console.warn(`⚠️ WebGL context lost (${this.describe()})`);
+      this.showFallback();
+      if (this.onLost) this.onLost();
+    };
+
+    this.handleRestored = () => {
+      if (!this.isLost) return;
+
+      Promise.resolve()
+        .then(() => this.onRestored && this.onRestored())
+        .then(() => {
+          this.isLost = false;
+          this.hideFallback();
+          console.log(`🔄 WebGL context restored (${this.describe()})`);
+        })
+        .catch(error => {
+          // Keep the static fallback - the visualizer stays paused
+          console.error(`❌ Could not rebuild after WebGL context restore (${this.describe()}):`, error);
+        })
+        .finally(() => {
+          if (this.settle) this.settle();
+          this.settle = null;
+        });
+    };
+
+    canvas.addEventListener('webglcontextlost', this.handleLost);
+    canvas.addEventListener('webglcontextrestored', this.handleRestored);
+    WebGLContextRecovery.instances.add(this);
+  }
+
+  describe() {
+    return this.canvas.id || this.canvas.className || 'canvas';
+  }
+
+  // Radial gradient standing in for a visualizer of the given hue
+  static fallbackBackground(hue) {
+    const h = Math.round(((hue % 360) + 360) % 360);
+    return `radial-gradient(ellipse at 50% 40%, hsla(${h}, 70%, 45%, 0.35), hsla(${(h + 40) % 360}, 60%, 15%, 0.2) 60%, transparent 100%)`;
+  }
+
+  showFallback() {
+    this.fallbacks().forEach(({ element, hue }) => {
+      if (!element || this.shown.has(element)) return;
+      this.shown.set(element, element.style.backgroundImage);
+      element.style.backgroundImage = WebGLContextRecovery.fallbackBackground(hue ?? 200);
+      element.classList.add('webgl-context-lost');
+    });
+  }
+
+  hideFallback() {
+    this.shown.forEach((background, element) => {
+      element.style.backgroundImage = background;
+      element.classList.remove('webgl-context-lost');
+    });
+    this.shown.clear();
+  }
+
+  // ===== DEBUG =====
+
+  // Loses the context, restores it after restoreAfter ms; resolves once rebuilt
+  simulateLoss(restoreAfter = 1000) {
+    if (this.isLost) return Promise.reject(new Error(`WebGL context of ${this.describe()} is already lost`));
+
+    const extension = this.gl && this.gl.getExtension('WEBGL_lose_context');
+    const rebuilt = new Promise(resolve => { this.settle = resolve; });
+
+    if (extension) {
+      extension.loseContext();
+      setTimeout(() => extension.restoreContext(), restoreAfter);
+    } else {
+      this.canvas.dispatchEvent(new Event('webglcontextlost', { cancelable: true }));
+      setTimeout(() => this.canvas.dispatchEvent(new Event('webglcontextrestored')), restoreAfter);
+    }
+    return rebuilt;
+  }
+
+  static simulateLoss(restoreAfter = 1000) {
+    const instances = Array.from(WebGLContextRecovery.instances).filter(instance => !instance.isLost);
+    return Promise.all(instances.map(instance => instance.simulateLoss(restoreAfter))).then(() => instances.length);
+  }
+
+  destroy() {
+    this.hideFallback();
+    this.canvas.removeEventListener('webglcontextlost', this.handleLost);
+    this.canvas.removeEventListener('webglcontextrestored', this.handleRestored);
+    WebGLContextRecovery.instances.delete(this);
+    if (this.settle) this.settle();
+    this.settle = null;
+  }
+}
+
+// Export for global use
+window.WebGLContextRecovery = WebGLContextRecovery;
@@ -11,6 +11,8 @@ class BaseZoneVisualizer {
     this.config = config;
     this.canvases = new Map();
     this.contexts = new Map();
+    this.recoveries = new Map(); // WebGL layer -> WebGLContextRecovery
+    this.lostLayers = new Set();
     this.animationFrame = null;
     this.isActive = false;
     
@@ -40,6 +42,7 @@ class BaseZoneVisualizer {
         const context = this.getContextForLayer(layerName);
         if (context) {
           this.contexts.set(layerName, context);
+          if (context.drawArrays) this.watchContext(layerName, canvas, context);
         }
       }
     });
@@ -60,10 +63,7 @@ class BaseZoneVisualizer {
       });
       
       if (gl) {
-        // Setup WebGL state
-        gl.enable(gl.BLEND);
-        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-        gl.clearColor(0, 0, 0, 0);
+        this.setupWebGLState(gl);
         return gl;
       }
     }
@@ -77,6 +77,38 @@ class BaseZoneVisualizer {
     return ctx;
   }
   
+  setupWebGLState(gl) {
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.clearColor(0, 0, 0, 0);
+  }
+  
+  // ===== CONTEXT LOSS =====
+  
+  watchContext(layerName, canvas, gl) {
+    if (!window.WebGLContextRecovery) return;
+    
+    this.recoveries.set(layerName, new WebGLContextRecovery(canvas, {
+      gl,
+      onLost: () => this.lostLayers.add(layerName),
+      onRestored: () => {
+        this.setupWebGLState(gl);
+        this.rebuildLayer(layerName, gl);
+        this.lostLayers.delete(layerName);
+      },
+      fallbacks: () => [{ element: canvas, hue: this.parameters.hue }]
+    }));
+  }
+  
+  isLayerLost(layerName) {
+    return this.lostLayers.has(layerName);
+  }
+  
+  // Recreate a WebGL layer's programs and buffers after a context restore
+  rebuildLayer(layerName, gl) {
+    // Override in subclasses that keep GL resources
+  }
+  
   updateParameters(newParams) {
     Object.assign(this.parameters, newParams);
     
@@ -112,6 +144,9 @@ class BaseZoneVisualizer {
       cancelAnimationFrame(this.animationFrame);
     }
     
+    this.recoveries.forEach(recovery => recovery.destroy());
+    this.recoveries.clear();
+    
     // Clear all contexts
     this.contexts.forEach((context, layerName) => {
       if (context.clear) {
@@ -135,6 +170,11 @@ class PolychoraZoneVisualizer extends BaseZoneVisualizer {
     this.setupPolychoraShaders();
   }
   
+  rebuildLayer(layerName) {
+    // Rotation and parameters live on the instance, so only GL objects are rebuilt
+    if (layerName === 'primary') this.setupPolychoraShaders();
+  }
+  
   setupPolychoraShaders() {
     const gl = this.contexts.get('primary');
     if (!gl) return;
@@ -219,7 +259,7 @@ class PolychoraZoneVisualizer extends BaseZoneVisualizer {
   
   render() {
     const gl = this.contexts.get('primary');
-    if (!gl || !this.program) return;
+    if (!gl || !this.program || this.isLayerLost('primary')) return;
     
     // Update 4D rotation based on parameters
     this.rotation4D.xy += this.parameters.speed * 0.01;